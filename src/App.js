@@ -10,6 +10,12 @@ import Live from './components/Live';
 import Watchlist from './components/Watchlist';
 import Lineups from './components/Lineups';
 import Standings from './components/Standings';
+import Waivers from './components/Waivers';
+import Trades from './components/Trades';
+import MatchupPreview from './components/MatchupPreview';
+import Transactions from './components/Transactions';
+import Draft from './components/Draft';
+import Dynasty from './components/Dynasty';
 
 function App() {
   const [activeTab, setActiveTab] = useState('overview');
@@ -19,7 +25,6 @@ function App() {
   const [userLeagues, setUserLeagues] = useState([]);
   const [selectedTeam, setSelectedTeam] = useState(null);
   const [lineupData, setLineupData] = useState(null);
-  const [matchupData, setMatchupData] = useState(null);
   const [freeAgents, setFreeAgents] = useState([]);
   const [cacheStatus, setCacheStatus] = useState(null);
   const [platformStatus, setPlatformStatus] = useState(null);
@@ -43,6 +48,9 @@ function App() {
     window.fantasyDataService = fantasyDataService;
     window.sleeperApi = sleeperApi;
     
+    // Warm the player database from IndexedDB before any tab needs it
+    fantasyDataService.loadPersistedPlayers();
+    
     // Check if we have pre-configured platforms
     if (teamsConfig.hasAnyPlatform) {
       setPlatformStatus(teamsConfig.configurationStatus);
@@ -131,7 +139,6 @@ function App() {
     setSelectedTeam(team);
     setStorageValue(STORAGE_KEYS.SELECTED_LEAGUE_ID, team.leagueId);
     setLineupData(null);
-    setMatchupData(null);
     setFreeAgents([]);
   }, []);
 
@@ -157,26 +164,36 @@ function App() {
     }
   }, [selectedTeam, userData]);
 
-  // Load matchup data for selected team
-  const loadMatchupData = useCallback(async () => {
-    if (!selectedTeam) return;
+  // Keep a loaded Sleeper lineup current when its cached league data or projections refresh in the background
+  const hasLineupData = !!lineupData;
+  useEffect(() => {
+    if (!hasLineupData || !userData || selectedTeam?.platform !== 'sleeper') return;
 
-    setIsLoading(true);
-    try {
-      if (selectedTeam.platform === 'sleeper') {
-        const matchups = await fantasyDataService.getCurrentMatchups(selectedTeam.leagueId, null, 'sleeper');
-        setMatchupData(matchups);
-      } else if (selectedTeam.platform === 'espn') {
-        const matchups = await fantasyDataService.getCurrentMatchups(selectedTeam.leagueId, null, 'espn');
-        setMatchupData(matchups);
-      }
-    } catch (error) {
-      console.error('Error loading matchups:', error);
-      setError('Failed to load matchup data');
-    } finally {
-      setIsLoading(false);
-    }
-  }, [selectedTeam]);
+    let isCurrent = true;
+    let refreshTimer = null;
+    const unsubscribe = fantasyDataService.subscribe(({ cache, key }) => {
+      const affectsLineup = key.includes(selectedTeam.leagueId) || cache === 'projections' || cache === 'stats';
+      if (!affectsLineup) return;
+
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(async () => {
+        try {
+          const lineup = await fantasyDataService.getEnhancedLineups(userData.user_id, selectedTeam.leagueId, 'sleeper');
+          if (isCurrent) {
+            setLineupData(lineup);
+          }
+        } catch (error) {
+          console.error('Error refreshing lineup:', error);
+        }
+      }, 500);
+    });
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(refreshTimer);
+      unsubscribe();
+    };
+  }, [hasLineupData, selectedTeam, userData]);
 
   // Load free agents for selected team
   const loadFreeAgents = useCallback(async () => {
@@ -344,18 +361,15 @@ function App() {
                           {cacheStatus.playerCache.isValid ? 'Valid' : 'Expired'}
                         </span>
                       </div>
-                      <div className="status-item">
-                        <span className="status-label">Sleeper API:</span>
-                        <span className="status-value">
-                          {cacheStatus.rateLimit.sleeper.currentCount}/{cacheStatus.rateLimit.sleeper.maxCount}
-                        </span>
-                      </div>
-                      <div className="status-item">
-                        <span className="status-label">ESPN API:</span>
-                        <span className="status-value">
-                          {cacheStatus.rateLimit.espn.rateLimit.currentCount}/{cacheStatus.rateLimit.espn.rateLimit.maxCount}
-                        </span>
-                      </div>
+                      {Object.entries(cacheStatus.requests.hosts).map(([host, status]) => (
+                        <div key={host} className="status-item">
+                          <span className="status-label">{host}:</span>
+                          <span className="status-value">
+                            {status.currentCount}/{status.maxCount}
+                            {status.retries > 0 && ` (${status.retries} retries)`}
+                          </span>
+                        </div>
+                      ))}
                     </div>
                   </div>
                 )}
@@ -482,44 +496,6 @@ function App() {
           </div>
         );
       
-      case 'analytics':
-        return (
-          <div className="analytics-content">
-            <h2>📊 Analytics Dashboard</h2>
-            {!userData ? (
-              <p>Please connect to Sleeper first to view analytics.</p>
-            ) : !selectedTeam ? (
-              <p>Please select a team to view analytics.</p>
-            ) : (
-              <div>
-                <div className="section-header">
-                  <h3>Current Week Matchups</h3>
-                  <button onClick={loadMatchupData} disabled={isLoading}>
-                    {isLoading ? 'Loading...' : 'Load Matchups'}
-                  </button>
-                </div>
-                
-                {matchupData && (
-                  <div className="matchups-display">
-                    {matchupData.map(matchup => (
-                      <div key={matchup.roster_id} className="matchup-item">
-                        <h4>{matchup.user?.display_name || matchup.user?.username || `Team ${matchup.roster_id}`}</h4>
-                        <div className="matchup-starters">
-                          {matchup.starters.slice(0, 5).map(player => (
-                            <span key={player.player_id} className="starter-player">
-                              {player.first_name} {player.last_name} ({player.position})
-                            </span>
-                          ))}
-                        </div>
-                      </div>
-                    ))}
-                  </div>
-                )}
-              </div>
-            )}
-          </div>
-        );
-      
       default:
         return (
           <div className="overview-content">
@@ -564,12 +540,48 @@ function App() {
           >
             🏈 Lineups
           </button>
+          <button 
+            className={`tab-button ${activeTab === 'matchup' ? 'active' : ''}`}
+            onClick={() => setActiveTab('matchup')}
+          >
+            ⚔️ Matchup
+          </button>
           <button 
             className={`tab-button ${activeTab === 'standings' ? 'active' : ''}`}
             onClick={() => setActiveTab('standings')}
           >
             🏆 Standings
           </button>
+          <button 
+            className={`tab-button ${activeTab === 'waivers' ? 'active' : ''}`}
+            onClick={() => setActiveTab('waivers')}
+          >
+            📋 Waivers
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'trades' ? 'active' : ''}`}
+            onClick={() => setActiveTab('trades')}
+          >
+            🤝 Trades
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'transactions' ? 'active' : ''}`}
+            onClick={() => setActiveTab('transactions')}
+          >
+            🔄 Transactions
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'draft' ? 'active' : ''}`}
+            onClick={() => setActiveTab('draft')}
+          >
+            📝 Draft
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'dynasty' ? 'active' : ''}`}
+            onClick={() => setActiveTab('dynasty')}
+          >
+            🏛️ Dynasty
+          </button>
         </div>
 
         <div className="main-content">
@@ -591,6 +603,51 @@ function App() {
               allTeams={allTeams}
               isLoading={isLoading}
             />
+          ) : activeTab === 'live' ? (
+            <Live 
+              selectedTeam={selectedTeam}
+              userData={userData}
+            />
+          ) : activeTab === 'waivers' ? (
+            <Waivers 
+              userData={userData}
+              allTeams={allTeams}
+            />
+          ) : activeTab === 'matchup' ? (
+            <MatchupPreview 
+              selectedTeam={selectedTeam}
+              userData={userData}
+              onTeamSelection={handleTeamSelection}
+              allTeams={allTeams}
+            />
+          ) : activeTab === 'trades' ? (
+            <Trades 
+              selectedTeam={selectedTeam}
+              userData={userData}
+              onTeamSelection={handleTeamSelection}
+              allTeams={allTeams}
+            />
+          ) : activeTab === 'transactions' ? (
+            <Transactions 
+              selectedTeam={selectedTeam}
+              userData={userData}
+              onTeamSelection={handleTeamSelection}
+              allTeams={allTeams}
+            />
+          ) : activeTab === 'draft' ? (
+            <Draft 
+              selectedTeam={selectedTeam}
+              userData={userData}
+              onTeamSelection={handleTeamSelection}
+              allTeams={allTeams}
+            />
+          ) : activeTab === 'dynasty' ? (
+            <Dynasty 
+              selectedTeam={selectedTeam}
+              userData={userData}
+              onTeamSelection={handleTeamSelection}
+              allTeams={allTeams}
+            />
           ) : activeTab === 'watchlist' ? (
             <Watchlist 
               selectedTeam={selectedTeam}
@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import './Draft.css';
+import draftService from '../services/draftService';
+import DraftAssistant from './DraftAssistant';
+import MockDraft from './MockDraft';
+
+const Draft = ({
+  selectedTeam,
+  userData,
+  onTeamSelection,
+  allTeams
+}) => {
+  const [recap, setRecap] = useState(null);
+  const [selectedDraftId, setSelectedDraftId] = useState(null);
+  const [isLoadingRecap, setIsLoadingRecap] = useState(false);
+  const [recapError, setRecapError] = useState('');
+  const [view, setView] = useState('recap');
+
+  const sleeperTeams = useMemo(
+    () => (allTeams || []).filter(team => team.platform === 'sleeper'),
+    [allTeams]
+  );
+
+  // Auto-select the first Sleeper league when the current selection has no draft data
+  useEffect(() => {
+    if (sleeperTeams.length > 0 && (!selectedTeam || selectedTeam.platform !== 'sleeper')) {
+      onTeamSelection(sleeperTeams[0]);
+    }
+  }, [sleeperTeams, selectedTeam, onTeamSelection]);
+
+  // A different league starts from its main draft
+  useEffect(() => {
+    setSelectedDraftId(null);
+    setRecap(null);
+  }, [selectedTeam]);
+
+  const loadRecap = useCallback(async () => {
+    if (!selectedTeam || selectedTeam.platform !== 'sleeper' || !userData) return;
+
+    setIsLoadingRecap(true);
+    setRecapError('');
+    try {
+      setRecap(await draftService.getDraftRecap(selectedTeam.leagueId, selectedDraftId));
+    } catch (error) {
+      console.error('Error loading draft recap:', error);
+      setRecap(null);
+      setRecapError('Failed to load the draft for this league.');
+    } finally {
+      setIsLoadingRecap(false);
+    }
+  }, [selectedTeam, userData, selectedDraftId]);
+
+  useEffect(() => {
+    if (view === 'recap') {
+      loadRecap();
+    }
+  }, [loadRecap, view]);
+
+  if (!userData) {
+    return (
+      <div className="draft-content">
+        <h2>📝 Draft</h2>
+        <p>Please connect to your fantasy platform first to view your league's draft.</p>
+      </div>
+    );
+  }
+
+  if (sleeperTeams.length === 0) {
+    return (
+      <div className="draft-content">
+        <h2>📝 Draft</h2>
+        <p>Draft recaps are currently available for Sleeper leagues only.</p>
+      </div>
+    );
+  }
+
+  const getPickLabel = (pick) => {
+    if (recap.isAuction) {
+      return pick.amount !== null ? `$${pick.amount}` : '-';
+    }
+    const teams = recap.columns.length;
+    const pickInRound = pick.pickNo - (pick.round - 1) * teams;
+    return `${pick.round}.${String(pickInRound).padStart(2, '0')}`;
+  };
+
+  const getValueClass = (value) => {
+    if (value >= 12) return 'steal';
+    if (value <= -12) return 'reach';
+    return '';
+  };
+
+  const renderPick = (pick, column) => (
+    <div className={`draft-pick position-${pick.position || 'NA'} ${getValueClass(pick.value)}`}>
+      <div className="draft-pick-top">
+        <span className="draft-pick-label">{getPickLabel(pick)}</span>
+        {pick.isKeeper && <span className="draft-keeper" title="Keeper">K</span>}
+        {pick.rosterId !== column.rosterId && (
+          <span className="draft-traded" title={`Traded pick, made by ${pick.teamName}`}>→ {pick.teamName}</span>
+        )}
+      </div>
+      <span className="draft-pick-name">{pick.name}</span>
+      <span className="draft-pick-meta">{pick.position || '-'}{pick.team ? ` • ${pick.team}` : ''}</span>
+      <span className="draft-pick-points">
+        {pick.points.toFixed(1)} pts{pick.positionRank ? ` • ${pick.positionRank}` : ''}
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="draft-content">
+      <div className="draft-header">
+        <div className="header-left">
+          <h2>📝 Draft Recap</h2>
+          <div className="league-selector">
+            <select
+              value={selectedTeam?.platform === 'sleeper' ? selectedTeam.teamId : ''}
+              onChange={(e) => {
+                const team = sleeperTeams.find(t => t.teamId === e.target.value);
+                if (team && onTeamSelection) {
+                  onTeamSelection(team);
+                }
+              }}
+              className="league-dropdown"
+            >
+              <option value="">Select a league...</option>
+              {sleeperTeams.map(team => (
+                <option key={team.teamId} value={team.teamId}>
+                  {team.leagueName}
+                </option>
+              ))}
+            </select>
+          </div>
+          {view === 'recap' && recap && recap.drafts.length > 1 && (
+            <select
+              value={recap.draft.draftId}
+              onChange={(e) => setSelectedDraftId(e.target.value)}
+              className="draft-select"
+            >
+              {recap.drafts.map(draft => (
+                <option key={draft.draftId} value={draft.draftId}>
+                  {draft.season} {draft.type} draft
+                </option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="header-actions">
+          <div className="draft-view-toggle">
+            <button
+              className={`draft-view-button ${view === 'recap' ? 'active' : ''}`}
+              onClick={() => setView('recap')}
+            >
+              Board & Grades
+            </button>
+            <button
+              className={`draft-view-button ${view === 'assistant' ? 'active' : ''}`}
+              onClick={() => setView('assistant')}
+            >
+              Live Assistant
+            </button>
+            <button
+              className={`draft-view-button ${view === 'mock' ? 'active' : ''}`}
+              onClick={() => setView('mock')}
+            >
+              Mock Draft
+            </button>
+          </div>
+          {view === 'recap' && (
+            <button className="draft-refresh-button" onClick={loadRecap} disabled={isLoadingRecap}>
+              {isLoadingRecap ? '🔄 Loading...' : '🔄 Refresh'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {view === 'assistant' && selectedTeam?.platform === 'sleeper' && (
+        <DraftAssistant leagueId={selectedTeam.leagueId} userId={userData.user_id} />
+      )}
+
+      {view === 'mock' && selectedTeam?.platform === 'sleeper' && (
+        <MockDraft leagueId={selectedTeam.leagueId} userId={userData.user_id} />
+      )}
+
+      {view === 'recap' && recapError && (
+        <div className="error-message">{recapError}</div>
+      )}
+
+      {view === 'recap' && isLoadingRecap && !recap && (
+        <p>Loading the draft and scoring every pick...</p>
+      )}
+
+      {view === 'recap' && recap && recap.picks.length === 0 && (
+        <p>No picks have been made in this draft yet.</p>
+      )}
+
+      {view === 'recap' && recap && recap.picks.length > 0 && (
+        <>
+          <p className="draft-note">
+            {recap.draft.season} {recap.isAuction ? 'auction' : recap.draft.type} draft • points through{' '}
+            {recap.weeksScored} completed week{recap.weeksScored === 1 ? '' : 's'} with your league's scoring.
+            Green picks {recap.isAuction ? 'cost less than' : 'went well after'} players who scored less;
+            red picks {recap.isAuction ? 'cost more than' : 'went well before'} players who scored more.
+          </p>
+
+          {/* Board */}
+          <div className="draft-board-wrapper">
+            <table className="draft-board">
+              <thead>
+                <tr>
+                  <th className="draft-round-header">{recap.isAuction ? '#' : 'Rd'}</th>
+                  {recap.columns.map(column => (
+                    <th key={column.key}>{column.teamName}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {recap.board.map((row, roundIndex) => (
+                  <tr key={roundIndex}>
+                    <td className="draft-round-header">{roundIndex + 1}</td>
+                    {row.map((pick, columnIndex) => (
+                      <td key={recap.columns[columnIndex].key}>
+                        {pick ? renderPick(pick, recap.columns[columnIndex]) : <div className="draft-pick empty" />}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Grades */}
+          <div className="draft-grades">
+            <h3>🎓 Draft Grades in Hindsight</h3>
+            <div className="draft-grades-container">
+              <table className="draft-grades-table">
+                <thead>
+                  <tr>
+                    <th>Team</th>
+                    <th>Grade</th>
+                    <th>Points Drafted</th>
+                    {recap.isAuction && <th>Spent</th>}
+                    {recap.isAuction && <th>Pts / $</th>}
+                    <th>Avg Value</th>
+                    <th>Best Pick</th>
+                    <th>Worst Pick</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {recap.grades.map(team => (
+                    <tr key={team.rosterId} className={team.ownerId === userData.user_id ? 'selected-team' : ''}>
+                      <td className="draft-grade-team">{team.teamName}</td>
+                      <td><span className={`draft-grade grade-${team.grade}`}>{team.grade}</span></td>
+                      <td>{team.points.toFixed(1)}</td>
+                      {recap.isAuction && <td>${team.spent}</td>}
+                      {recap.isAuction && <td>{team.pointsPerDollar !== null ? team.pointsPerDollar.toFixed(2) : '-'}</td>}
+                      <td className={`draft-value ${team.averageValue >= 0 ? 'positive' : 'negative'}`}>
+                        {team.averageValue >= 0 ? '+' : ''}{team.averageValue.toFixed(1)}
+                      </td>
+                      <td>{team.bestPick ? `${team.bestPick.name} (${getPickLabel(team.bestPick)})` : '-'}</td>
+                      <td>{team.worstPick ? `${team.worstPick.name} (${getPickLabel(team.worstPick)})` : '-'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="draft-note">
+              Value is where each player was {recap.isAuction ? 'priced' : 'picked'} minus where their points rank among everyone drafted.
+            </p>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Draft;
@@ -0,0 +1,215 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import './DraftAssistant.css';
+import draftAssistantService from '../services/draftAssistantService';
+
+const POSITION_FILTERS = ['ALL', 'QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+const DraftAssistant = ({ leagueId, userId }) => {
+  const [draftState, setDraftState] = useState(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [positionFilter, setPositionFilter] = useState('ALL');
+  const pollTimer = useRef(null);
+  const lastStatus = useRef(null);
+
+  // Fetch the latest picks; results for a league the user has since left are dropped
+  const loadDraftState = useCallback(async (isActive) => {
+    if (!leagueId || !userId) return null;
+
+    setIsRefreshing(true);
+    try {
+      const state = await draftAssistantService.getDraftState(userId, leagueId);
+      if (isActive()) {
+        setDraftState(state);
+        setError('');
+      }
+      return state;
+    } catch (error) {
+      console.error('Error loading draft state:', error);
+      if (isActive()) {
+        setError('Failed to load the draft for this league.');
+      }
+      return null;
+    } finally {
+      if (isActive()) {
+        setIsRefreshing(false);
+      }
+    }
+  }, [leagueId, userId]);
+
+  // Poll while the draft is running or about to start; stops once it is complete.
+  // A failed poll keeps going on the last known status, backing off while failures continue.
+  useEffect(() => {
+    let isActive = true;
+    let failures = 0;
+
+    const poll = async () => {
+      const state = await loadDraftState(() => isActive);
+      if (!isActive) return;
+
+      let interval;
+      if (state) {
+        failures = 0;
+        lastStatus.current = state.draft.status;
+        interval = draftAssistantService.getPollingInterval(state.draft.status);
+      } else {
+        failures++;
+        interval = draftAssistantService.getRetryInterval(lastStatus.current, failures);
+      }
+      if (interval) {
+        pollTimer.current = setTimeout(poll, interval);
+      }
+    };
+
+    setDraftState(null);
+    lastStatus.current = null;
+    poll();
+
+    return () => {
+      isActive = false;
+      clearTimeout(pollTimer.current);
+    };
+  }, [loadDraftState]);
+
+  if (error && !draftState) {
+    return <div className="error-message">{error}</div>;
+  }
+
+  if (!draftState) {
+    return <p>Loading the draft and ranking every player with your league's scoring...</p>;
+  }
+
+  const { draft, turn, available, lineup, benchCount, neededPositions, alerts, picksMade } = draftState;
+
+  const getPlayerName = (player) => (
+    player.first_name ? `${player.first_name} ${player.last_name}` : player.player_id
+  );
+
+  const formatPick = (pickNo) => {
+    const round = Math.ceil(pickNo / draft.teams);
+    return `${round}.${String(pickNo - (round - 1) * draft.teams).padStart(2, '0')}`;
+  };
+
+  const getStatusText = () => {
+    if (draft.status === 'pre_draft') return 'Waiting for the draft to start';
+    if (draft.status === 'complete') return 'Draft complete';
+    if (!turn) return `${picksMade} players drafted`;
+    if (turn.isMyTurn) return `You're on the clock at ${formatPick(turn.currentPick)}!`;
+    if (!turn.myNextPick) return 'You have no picks left';
+    return `${turn.picksUntilMyTurn} pick${turn.picksUntilMyTurn === 1 ? '' : 's'} until your turn at ${formatPick(turn.myNextPick)}`;
+  };
+
+  const filteredPlayers = available
+    .filter(player => positionFilter === 'ALL' || player.position === positionFilter)
+    .slice(0, 60);
+
+  return (
+    <div className="draft-assistant">
+      {/* Status */}
+      <div className={`assistant-status ${turn?.isMyTurn ? 'on-clock' : ''}`}>
+        <div className="assistant-status-main">
+          <span className="assistant-status-text">{getStatusText()}</span>
+          {turn && draft.status === 'drafting' && (
+            <span className="assistant-status-meta">
+              Pick {formatPick(turn.currentPick)} of {turn.totalPicks}
+              {turn.myFollowingPick ? ` • then ${formatPick(turn.myFollowingPick)}` : ''}
+            </span>
+          )}
+        </div>
+        <span className="assistant-updated">
+          {isRefreshing ? '🔄 Updating...' : `Updated ${new Date(draftState.lastUpdated).toLocaleTimeString()}`}
+        </span>
+      </div>
+
+      {error && (
+        <div className="error-message">{error}</div>
+      )}
+
+      {/* Tier alerts */}
+      {alerts.length > 0 && (
+        <div className="assistant-alerts">
+          {alerts.map(alert => (
+            <div key={alert.position} className={`assistant-alert ${alert.isNeed ? 'need' : ''}`}>
+              ⚠️ Only {alert.remaining} {alert.position}{alert.remaining === 1 ? '' : 's'} left in tier {alert.tier},
+              with {alert.picksUntilMyTurn} pick{alert.picksUntilMyTurn === 1 ? '' : 's'} before yours
+              {alert.isNeed && <span className="assistant-alert-need">Need</span>}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="assistant-layout">
+        {/* Available players */}
+        <div className="assistant-available">
+          <div className="assistant-position-filter">
+            {POSITION_FILTERS.map(position => (
+              <button
+                key={position}
+                className={`assistant-filter-button ${positionFilter === position ? 'active' : ''} ${neededPositions.includes(position) ? 'need' : ''}`}
+                onClick={() => setPositionFilter(position)}
+              >
+                {position}
+              </button>
+            ))}
+          </div>
+          <table className="assistant-table">
+            <thead>
+              <tr>
+                <th>Rank</th>
+                <th>Player</th>
+                <th>Pos</th>
+                <th>Tier</th>
+                <th>Proj</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredPlayers.map((player, index) => {
+                // Within one position, mark where the next tier starts
+                const previous = filteredPlayers[index - 1];
+                const isTierBreak = positionFilter !== 'ALL' && previous && previous.tier !== player.tier;
+                return (
+                  <React.Fragment key={player.player_id}>
+                    {isTierBreak && (
+                      <tr className="assistant-tier-break">
+                        <td colSpan={5}>Tier {player.tier}</td>
+                      </tr>
+                    )}
+                    <tr>
+                      <td>{player.overallRank}</td>
+                      <td>
+                        <span className="assistant-player-name">{getPlayerName(player)}</span>
+                        <span className="assistant-player-team">{player.team}</span>
+                      </td>
+                      <td>{player.position}{player.positionRank}</td>
+                      <td><span className={`assistant-tier tier-${Math.min(player.tier, 6)}`}>{player.tier}</span></td>
+                      <td>{player.draftProjection.toFixed(1)}</td>
+                    </tr>
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+          {filteredPlayers.length === 0 && (
+            <p className="assistant-empty">No ranked players left at this position.</p>
+          )}
+        </div>
+
+        {/* Roster needs */}
+        <div className="assistant-roster">
+          <h3>Your Starters</h3>
+          {lineup.map((entry, index) => (
+            <div key={`${entry.slot}-${index}`} className={`assistant-slot ${entry.player ? '' : 'open'}`}>
+              <span className="assistant-slot-name">{entry.slot.replace('_', ' ')}</span>
+              <span className="assistant-slot-player">
+                {entry.player ? getPlayerName(entry.player) : 'Open'}
+              </span>
+            </div>
+          ))}
+          <p className="assistant-bench">{benchCount} on the bench</p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DraftAssistant;
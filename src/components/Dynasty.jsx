@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import './Dynasty.css';
+import dynastyValueService from '../services/dynastyValueService';
+
+const OUTLOOK_LABELS = {
+  contend: '🏆 Contend',
+  middle: '⚖️ Middle',
+  rebuild: '🌱 Rebuild'
+};
+
+const Dynasty = ({
+  selectedTeam,
+  userData,
+  onTeamSelection,
+  allTeams
+}) => {
+  const [values, setValues] = useState(null);
+  const [isLoadingValues, setIsLoadingValues] = useState(false);
+  const [valuesError, setValuesError] = useState('');
+  const [expandedRosterId, setExpandedRosterId] = useState(null);
+
+  const sleeperTeams = useMemo(
+    () => (allTeams || []).filter(team => team.platform === 'sleeper'),
+    [allTeams]
+  );
+
+  // Auto-select the first Sleeper league when the current selection has no dynasty values
+  useEffect(() => {
+    if (sleeperTeams.length > 0 && (!selectedTeam || selectedTeam.platform !== 'sleeper')) {
+      onTeamSelection(sleeperTeams[0]);
+    }
+  }, [sleeperTeams, selectedTeam, onTeamSelection]);
+
+  const loadValues = useCallback(async () => {
+    if (!selectedTeam || selectedTeam.platform !== 'sleeper' || !userData) return;
+
+    setIsLoadingValues(true);
+    setValuesError('');
+    try {
+      const result = await dynastyValueService.getDynastyValues(selectedTeam.leagueId);
+      setValues(result);
+      setExpandedRosterId(result.teams.find(team => team.ownerId === userData.user_id)?.rosterId ?? null);
+    } catch (error) {
+      console.error('Error loading dynasty values:', error);
+      setValues(null);
+      setValuesError('Failed to load dynasty values for this league.');
+    } finally {
+      setIsLoadingValues(false);
+    }
+  }, [selectedTeam, userData]);
+
+  useEffect(() => {
+    setValues(null);
+    loadValues();
+  }, [loadValues]);
+
+  if (!userData) {
+    return (
+      <div className="dynasty-content">
+        <h2>🏛️ Dynasty</h2>
+        <p>Please connect to your fantasy platform first to view dynasty values.</p>
+      </div>
+    );
+  }
+
+  if (sleeperTeams.length === 0) {
+    return (
+      <div className="dynasty-content">
+        <h2>🏛️ Dynasty</h2>
+        <p>Dynasty values are currently available for Sleeper leagues only.</p>
+      </div>
+    );
+  }
+
+  const getPlayerName = (player) => (
+    player.first_name ? `${player.first_name} ${player.last_name}` : player.player_id
+  );
+
+  const formatValue = (value) => Math.round(value).toLocaleString();
+
+  const maxValue = values ? Math.max(1, ...values.teams.map(team => team.totalValue)) : 1;
+
+  return (
+    <div className="dynasty-content">
+      <div className="dynasty-header">
+        <div className="header-left">
+          <h2>🏛️ Dynasty Values</h2>
+          <div className="league-selector">
+            <select
+              value={selectedTeam?.platform === 'sleeper' ? selectedTeam.teamId : ''}
+              onChange={(e) => {
+                const team = sleeperTeams.find(t => t.teamId === e.target.value);
+                if (team && onTeamSelection) {
+                  onTeamSelection(team);
+                }
+              }}
+              className="league-dropdown"
+            >
+              <option value="">Select a league...</option>
+              {sleeperTeams.map(team => (
+                <option key={team.teamId} value={team.teamId}>
+                  {team.leagueName}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="header-actions">
+          <button className="dynasty-refresh-button" onClick={loadValues} disabled={isLoadingValues}>
+            {isLoadingValues ? '🔄 Loading...' : '🔄 Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {valuesError && (
+        <div className="error-message">{valuesError}</div>
+      )}
+
+      {isLoadingValues && !values && (
+        <p>Valuing every roster and future pick...</p>
+      )}
+
+      {values && (
+        <>
+          <p className="dynasty-note">
+            <span className="dynasty-league-type">{values.leagueType}</span>
+            Players are valued on {values.horizonYears} season{values.horizonYears === 1 ? '' : 's'} of points above
+            replacement, adjusted for age at their position. Rookies and second-year players without production
+            yet are valued from next season on what the class a year ahead of them produces.
+            {values.leagueType === 'redraft'
+              ? ' This is a redraft league, so future picks are not counted.'
+              : ' Future picks are valued by round against an average starter.'}
+            {' '}Outlook compares each starting lineup with the rest of the league today.
+          </p>
+
+          <div className="dynasty-teams">
+            {values.teams.map(team => {
+              const isExpanded = expandedRosterId === team.rosterId;
+              return (
+                <div key={team.rosterId} className={`dynasty-team ${team.ownerId === userData.user_id ? 'mine' : ''}`}>
+                  <button
+                    className="dynasty-team-summary"
+                    onClick={() => setExpandedRosterId(isExpanded ? null : team.rosterId)}
+                  >
+                    <span className="dynasty-rank">{team.valueRank}</span>
+                    <span className="dynasty-team-name">{team.teamName}</span>
+                    <span className={`dynasty-outlook ${team.outlook}`}>{OUTLOOK_LABELS[team.outlook]}</span>
+                    <span className="dynasty-bar">
+                      <span className="dynasty-bar-players" style={{ width: `${(team.playerValue / maxValue) * 100}%` }} />
+                      <span className="dynasty-bar-picks" style={{ width: `${(team.pickValue / maxValue) * 100}%` }} />
+                    </span>
+                    <span className="dynasty-total">{formatValue(team.totalValue)}</span>
+                  </button>
+
+                  {isExpanded && (
+                    <div className="dynasty-team-details">
+                      <div className="dynasty-stats">
+                        <span>Players: <strong>{formatValue(team.playerValue)}</strong></span>
+                        <span>Picks: <strong>{formatValue(team.pickValue)}</strong></span>
+                        <span>Lineup today: <strong>#{team.lineupRank}</strong></span>
+                        <span>
+                          Avg starter age: <strong>{team.averageStarterAge ? team.averageStarterAge.toFixed(1) : '-'}</strong>
+                        </span>
+                      </div>
+
+                      <table className="dynasty-table">
+                        <thead>
+                          <tr>
+                            <th>Player</th>
+                            <th>Pos</th>
+                            <th>Age</th>
+                            <th>Exp</th>
+                            <th>Pts/G</th>
+                            <th>Value</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {team.players.map(entry => (
+                            <tr key={entry.player.player_id}>
+                              <td className="dynasty-player-name">{getPlayerName(entry.player)}</td>
+                              <td>{entry.player.position}</td>
+                              <td>{entry.age ? Math.floor(entry.age) : '-'}</td>
+                              <td>{entry.player.years_exp ?? '-'}</td>
+                              <td>
+                                {entry.pointsPerGame.toFixed(1)}
+                                {entry.prospectPointsPerGame !== null && (
+                                  <span className="dynasty-prospect" title="Expected from next season">
+                                    {' '}→ {entry.prospectPointsPerGame.toFixed(1)}
+                                  </span>
+                                )}
+                              </td>
+                              <td>{formatValue(entry.value)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+
+                      {team.picks.length > 0 && (
+                        <div className="dynasty-picks">
+                          {team.picks.map(pick => (
+                            <span
+                              key={`${pick.season}-${pick.round}-${pick.originalRosterId}`}
+                              className={`dynasty-pick ${pick.originalRosterId !== team.rosterId ? 'acquired' : ''}`}
+                              title={`Value ${formatValue(pick.value)}`}
+                            >
+                              {pick.season} R{pick.round}
+                              {pick.originalRosterId !== team.rosterId && ` (${pick.originalTeamName})`}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Dynasty;
@@ -0,0 +1,164 @@
+import React, { useState, useMemo } from 'react';
+import './FaabPanel.css';
+import fantasyDataService from '../services/fantasyDataService';
+import faabService from '../services/faabService';
+import appConfig from '../config/appConfig';
+
+// How many recent winning bids to list
+const RECENT_BIDS = 10;
+
+// How many matching free agents the bid picker lists
+const SEARCH_RESULTS = 8;
+
+const getPlayerName = (player) => (
+  player.first_name ? `${player.first_name} ${player.last_name}` : player.player_id
+);
+
+const FaabPanel = ({ faab, rosterId, leagueId }) => {
+  const [freeAgents, setFreeAgents] = useState(null);
+  const [isLoadingFreeAgents, setIsLoadingFreeAgents] = useState(false);
+  const [search, setSearch] = useState('');
+  const [target, setTarget] = useState(null);
+
+  // The free agent pool is only loaded once the manager starts looking for a player
+  const loadFreeAgents = async () => {
+    if (freeAgents || isLoadingFreeAgents) return;
+    setIsLoadingFreeAgents(true);
+    try {
+      setFreeAgents(await fantasyDataService.getFreeAgents(leagueId, null, appConfig.waivers.bidSearchPool));
+    } catch (error) {
+      console.error(`Failed to load free agents for league ${leagueId}:`, error);
+      setFreeAgents([]);
+    } finally {
+      setIsLoadingFreeAgents(false);
+    }
+  };
+
+  const matches = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    if (!freeAgents || query.length < 2) return [];
+    return freeAgents
+      .filter(player => getPlayerName(player).toLowerCase().includes(query))
+      .slice(0, SEARCH_RESULTS);
+  }, [freeAgents, search]);
+
+  if (!faab?.isFaab) return null;
+
+  const targetBid = target ? faabService.suggestBid(faab, target, rosterId) : null;
+
+  const teamNames = {};
+  faab.budgets.forEach(team => {
+    teamNames[team.rosterId] = team.teamName;
+  });
+
+  const recentBids = faab.winningBids.slice(0, RECENT_BIDS);
+
+  return (
+    <div className="faab-panel">
+      <div className="faab-section">
+        <h4>💰 FAAB Budgets <span className="faab-total">${faab.totalBudget} per team</span></h4>
+        <table className="faab-table">
+          <thead>
+            <tr>
+              <th>Team</th>
+              <th>Spent</th>
+              <th>Remaining</th>
+            </tr>
+          </thead>
+          <tbody>
+            {faab.budgets.map(team => (
+              <tr key={team.rosterId} className={team.rosterId === rosterId ? 'my-team' : ''}>
+                <td>{team.teamName}</td>
+                <td>${team.used}</td>
+                <td className="faab-remaining">
+                  ${team.remaining}
+                  <span
+                    className="faab-bar"
+                    style={{ width: `${faab.totalBudget > 0 ? (team.remaining / faab.totalBudget) * 100 : 0}%` }}
+                  />
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="faab-section">
+        <h4>🏷️ Recent Winning Bids</h4>
+        {recentBids.length === 0 ? (
+          <p className="faab-empty">No FAAB claims have been processed yet this season.</p>
+        ) : (
+          <table className="faab-table">
+            <thead>
+              <tr>
+                <th>Wk</th>
+                <th>Player</th>
+                <th>Team</th>
+                <th>Bid</th>
+              </tr>
+            </thead>
+            <tbody>
+              {recentBids.map(bid => (
+                <tr key={`${bid.week}-${bid.playerId}-${bid.rosterId}`}>
+                  <td>{bid.week}</td>
+                  <td>
+                    {bid.playerName}
+                    {bid.position && <span className="faab-position">{bid.position}</span>}
+                  </td>
+                  <td>{teamNames[bid.rosterId] || `Team ${bid.rosterId}`}</td>
+                  <td className="faab-bid">${bid.bid}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <div className="faab-section faab-target">
+        <h4>🎯 Price a Free Agent</h4>
+        <input
+          type="text"
+          className="faab-search"
+          placeholder={isLoadingFreeAgents ? 'Loading free agents...' : 'Search free agents by name'}
+          value={search}
+          onFocus={loadFreeAgents}
+          onChange={(e) => {
+            setSearch(e.target.value);
+            setTarget(null);
+          }}
+        />
+        {!target && matches.length > 0 && (
+          <ul className="faab-search-results">
+            {matches.map(player => (
+              <li key={player.player_id}>
+                <button
+                  className="faab-search-result"
+                  onClick={() => {
+                    setTarget(player);
+                    setSearch(getPlayerName(player));
+                  }}
+                >
+                  {getPlayerName(player)}
+                  <span className="faab-position">{player.position}{player.team ? ` • ${player.team}` : ''}</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        {!target && freeAgents && search.trim().length >= 2 && matches.length === 0 && (
+          <p className="faab-empty">No free agents match "{search.trim()}".</p>
+        )}
+        {targetBid && (
+          <div className="faab-target-bid">
+            <span className="faab-bid">
+              {targetBid.low === targetBid.high ? `$${targetBid.low}` : `$${targetBid.low}–$${targetBid.high}`}
+            </span>
+            <span className="faab-target-reason">{targetBid.reason}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FaabPanel;
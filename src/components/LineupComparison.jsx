@@ -0,0 +1,98 @@
+import React from 'react';
+import './LineupComparison.css';
+
+const LineupComparison = ({ currentLineup, optimalLineup, startSit }) => {
+  if (!currentLineup || !optimalLineup || optimalLineup.slots.length === 0) {
+    return null;
+  }
+
+  const pointsGain = optimalLineup.totalPoints - currentLineup.totalPoints;
+  const isOptimal = pointsGain < 0.05;
+
+  const getPlayerName = (player) => {
+    if (!player) return 'Empty';
+    return player.first_name ? `${player.first_name} ${player.last_name}` : player.player_id;
+  };
+
+  const renderLineup = (title, lineup, compareTo) => (
+    <div className="comparison-column">
+      <div className="comparison-column-header">
+        <h4>{title}</h4>
+        <span className="comparison-total">{lineup.totalPoints.toFixed(1)} pts</span>
+      </div>
+      <div className="comparison-slots">
+        {lineup.slots.map((entry, index) => {
+          const otherEntry = compareTo.slots[index];
+          const isChanged = otherEntry && otherEntry.player?.player_id !== entry.player?.player_id;
+          return (
+            <div key={`${title}-${entry.slot}-${index}`} className={`comparison-slot ${isChanged ? 'changed' : ''}`}>
+              <span className="slot-label">{entry.slot.replace('_', ' ')}</span>
+              <span className={`slot-player ${entry.player ? '' : 'empty'}`}>
+                {getPlayerName(entry.player)}
+                {entry.player && <span className="slot-player-meta">{entry.player.position}{entry.player.team ? ` • ${entry.player.team}` : ''}</span>}
+              </span>
+              <span className="slot-points">{entry.points.toFixed(1)}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="lineup-comparison">
+      <div className="lineup-comparison-header">
+        <h3>Optimal Lineup</h3>
+        <span className={`comparison-summary ${isOptimal ? 'optimal' : 'improvable'}`}>
+          {isOptimal ? '✅ Your lineup is optimal' : `⬆️ +${pointsGain.toFixed(1)} projected points available`}
+        </span>
+      </div>
+
+      {startSit && (startSit.swaps.length > 0 || startSit.flags.length > 0) && (
+        <div className="start-sit">
+          {startSit.swaps.length > 0 && (
+            <ul className="start-sit-swaps">
+              {startSit.swaps.map(swap => (
+                <li key={swap.start.player_id} className="start-sit-swap">
+                  <span>
+                    Start <strong>{getPlayerName(swap.start)}</strong>
+                    {swap.sit ? <> over <strong>{getPlayerName(swap.sit)}</strong></> : ' in the empty slot'}
+                    {' '}in {swap.slot.replace('_', ' ')}
+                  </span>
+                  <span className="swap-gain">+{swap.gain.toFixed(1)} projected</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {startSit.flags.length > 0 && (
+            <ul className="start-sit-flags">
+              {startSit.flags.map((flag, index) => (
+                <li key={`${flag.slot}-${flag.player?.player_id || index}`} className="start-sit-flag">
+                  ⚠️ {flag.slot.replace('_', ' ')}: {flag.player ? getPlayerName(flag.player) : 'No player'} ({flag.issues.join(', ')})
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="comparison-columns">
+        {renderLineup('Current', currentLineup, optimalLineup)}
+        {renderLineup('Optimal', optimalLineup, currentLineup)}
+      </div>
+
+      {optimalLineup.excluded.length > 0 && (
+        <div className="comparison-excluded">
+          <span className="excluded-label">Not eligible this week:</span>
+          {optimalLineup.excluded.map(({ player, reason }) => (
+            <span key={player.player_id} className="excluded-player">
+              {getPlayerName(player)} ({reason})
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LineupComparison;
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import './Lineups.css';
 import fantasyDataService from '../services/fantasyDataService';
+import scoringEngine from '../services/scoringEngine';
+import LineupComparison from './LineupComparison';
 
 const Lineups = ({ 
   selectedTeam, 
@@ -76,6 +78,16 @@ const Lineups = ({
     setFreeAgents({});
   }, [selectedTeam]);
 
+  // Tooltip text listing how each stat contributed to a player's points
+  const formatBreakdown = (breakdown) => {
+    const entries = Object.entries(breakdown || {});
+    if (entries.length === 0) return undefined;
+    return entries
+      .sort(([, a], [, b]) => Math.abs(b.points) - Math.abs(a.points))
+      .map(([stat, item]) => `${stat}: ${item.value} × ${item.multiplier} = ${item.points}`)
+      .join('\n');
+  };
+
   if (!userData) {
     return (
       <div className="lineups-content">
@@ -174,8 +186,7 @@ const Lineups = ({
           <div className="metadata-item">
             <span className="metadata-label">Scoring Format:</span>
             <span className="metadata-value">
-              {lineupData.metadata.scoringSettings?.rec === 1 ? 'PPR' : 
-               lineupData.metadata.scoringSettings?.rec === 0.5 ? 'Half-PPR' : 'Standard'}
+              {scoringEngine.getScoringLabel(lineupData.metadata.scoringSettings)}
             </span>
           </div>
           <div className="metadata-item">
@@ -187,6 +198,14 @@ const Lineups = ({
         </div>
       )}
 
+      {/* Current vs Optimal Lineup */}
+      {lineupData?.optimalLineup && (
+        <LineupComparison
+          currentLineup={lineupData.currentLineup}
+          optimalLineup={lineupData.optimalLineup}
+          startSit={lineupData.startSit}
+        />
+      )}
 
       {/* Lineup Display */}
       <div className="lineup-tab">
@@ -330,7 +349,7 @@ const Lineups = ({
                                 <div className="player-metrics">
                                   <div className="metric">
                                     <div className="metric-label">Projected</div>
-                                    <div className="metric-value">
+                                    <div className="metric-value" title={formatBreakdown(player.projections?.breakdown)}>
                                       {player.projections?.projected_points !== undefined 
                                         ? player.projections.projected_points.toFixed(1)
                                         : 'N/A'}
@@ -338,7 +357,7 @@ const Lineups = ({
                                   </div>
                                   <div className="metric">
                                     <div className="metric-label">Last Week</div>
-                                    <div className="metric-value">
+                                    <div className="metric-value" title={formatBreakdown(player.stats?.previous_week?.breakdown)}>
                                       {player.stats?.previous_week?.points !== undefined 
                                         ? player.stats.previous_week.points.toFixed(1)
                                         : 'N/A'}
@@ -1,7 +1,77 @@
-import React from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import './Live.css';
+import liveScoringService from '../services/liveScoringService';
 
 const Live = ({ selectedTeam, userData }) => {
+  const [liveData, setLiveData] = useState(null);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [error, setError] = useState('');
+  const [windowStatus, setWindowStatus] = useState('idle');
+  const pollTimer = useRef(null);
+
+  const isSleeperTeam = selectedTeam?.platform === 'sleeper';
+
+  // Fetch the latest matchup scores
+  const loadLiveData = useCallback(async () => {
+    if (!selectedTeam || !userData || selectedTeam.platform !== 'sleeper') return null;
+
+    setIsRefreshing(true);
+    try {
+      const data = await liveScoringService.getLiveMatchup(selectedTeam.leagueId, userData.user_id);
+      setLiveData(data);
+      setError('');
+      return data;
+    } catch (error) {
+      console.error('Error loading live scoring:', error);
+      setError('Failed to load live scoring data');
+      return null;
+    } finally {
+      setIsRefreshing(false);
+    }
+  }, [selectedTeam, userData]);
+
+  // Poll while games are on; the interval is re-evaluated after every refresh. Polling stops when no games
+  // are on and picks up again when the tab is shown or focused.
+  useEffect(() => {
+    let isActive = true;
+    let isPolling = false;
+
+    const poll = async () => {
+      isPolling = true;
+      const data = await loadLiveData();
+      if (!isActive) return;
+
+      const status = await liveScoringService.getLiveStatus(new Date(), data?.week);
+      if (!isActive) return;
+
+      const interval = liveScoringService.getPollingInterval(status);
+      setWindowStatus(status);
+      if (interval) {
+        pollTimer.current = setTimeout(poll, interval);
+      } else {
+        isPolling = false;
+      }
+    };
+
+    const resume = () => {
+      if (!isPolling && document.visibilityState === 'visible') {
+        poll();
+      }
+    };
+
+    setLiveData(null);
+    poll();
+    document.addEventListener('visibilitychange', resume);
+    window.addEventListener('focus', resume);
+
+    return () => {
+      isActive = false;
+      clearTimeout(pollTimer.current);
+      document.removeEventListener('visibilitychange', resume);
+      window.removeEventListener('focus', resume);
+    };
+  }, [loadLiveData]);
+
   if (!userData) {
     return (
       <div className="live-content">
@@ -20,97 +90,116 @@ const Live = ({ selectedTeam, userData }) => {
     );
   }
 
+  if (!isSleeperTeam) {
+    return (
+      <div className="live-content">
+        <h2>📺 Live Updates</h2>
+        <p>Live scoring is currently available for Sleeper leagues only.</p>
+      </div>
+    );
+  }
+
+  const myTeam = liveData?.myTeam;
+  const opponent = liveData?.opponent;
+
+  const injuredStarters = (myTeam?.starters || []).filter(player => player.injury_status);
+
+  const renderStarters = (team) => (
+    <div className="scoring-updates">
+      {team.starters.map(player => (
+        <div key={`${team.rosterId}-${player.slot}`} className="scoring-item">
+          <div className="player-info">
+            <span className="player-name">{player.name}</span>
+            <span className="player-position">{player.position}{player.team ? ` • ${player.team}` : ''}</span>
+          </div>
+          <div className="scoring-details">
+            <span className="scoring-points">{player.points.toFixed(2)} pts</span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+
   return (
     <div className="live-content">
       <h2>📺 Live Updates</h2>
-      
+
       <div className="live-header">
-        <h3>Live Scoring - {selectedTeam.teamName}</h3>
+        <h3>Live Scoring - {selectedTeam.teamName}{liveData ? ` (Week ${liveData.week})` : ''}</h3>
         <div className="live-status">
-          <span className="status-indicator live">● LIVE</span>
-          <span className="last-update">Last updated: {new Date().toLocaleTimeString()}</span>
+          {windowStatus === 'live' ? (
+            <span className="status-indicator live">● LIVE</span>
+          ) : (
+            <span className="status-indicator idle">
+              {windowStatus === 'pregame' ? '○ Pregame' : '○ No games in progress'}
+            </span>
+          )}
+          <span className="last-update">
+            Last updated: {liveData ? new Date(liveData.lastUpdated).toLocaleTimeString() : '—'}
+          </span>
         </div>
       </div>
 
-      <div className="live-sections">
-        {/* Current Game Status */}
-        <div className="live-section">
-          <h4>🏈 Current Game Status</h4>
-          <div className="game-status">
-            <div className="game-info">
-              <span className="game-time">Q3 - 8:45</span>
-              <span className="game-score">KC 24 - SF 21</span>
-            </div>
-            <div className="game-progress">
-              <div className="progress-bar">
-                <div className="progress-fill" style={{ width: '65%' }}></div>
-              </div>
-            </div>
-          </div>
-        </div>
+      {error && <div className="error-message">{error}</div>}
 
-        {/* Live Scoring */}
-        <div className="live-section">
-          <h4>⚡ Live Scoring</h4>
-          <div className="scoring-updates">
-            <div className="scoring-item">
-              <div className="player-info">
-                <span className="player-name">Patrick Mahomes</span>
-                <span className="player-position">QB</span>
-              </div>
-              <div className="scoring-details">
-                <span className="scoring-play">25 yd TD Pass</span>
-                <span className="scoring-points">+6.0 pts</span>
+      {!liveData ? (
+        <p>{isRefreshing ? 'Loading live scores...' : 'No live scoring data loaded yet.'}</p>
+      ) : !myTeam ? (
+        <p>No matchup found for your team in Week {liveData.week}.</p>
+      ) : (
+        <div className="live-sections">
+          {/* Matchup Score */}
+          <div className="live-section">
+            <h4>🏈 Matchup Score</h4>
+            <div className="game-status">
+              <div className="game-info">
+                <span className="game-time">{myTeam.name}</span>
+                <span className="game-score">
+                  {myTeam.points.toFixed(2)} - {opponent ? opponent.points.toFixed(2) : '—'}
+                </span>
+                <span className="game-time">{opponent ? opponent.name : 'No opponent'}</span>
               </div>
-              <span className="scoring-time">2:15 ago</span>
-            </div>
-            
-            <div className="scoring-item">
-              <div className="player-info">
-                <span className="player-name">Christian McCaffrey</span>
-                <span className="player-position">RB</span>
-              </div>
-              <div className="scoring-details">
-                <span className="scoring-play">12 yd Rush</span>
-                <span className="scoring-points">+1.2 pts</span>
-              </div>
-              <span className="scoring-time">5:30 ago</span>
             </div>
           </div>
-        </div>
 
-        {/* Injury Updates */}
-        <div className="live-section">
-          <h4>🚑 Injury Updates</h4>
-          <div className="injury-updates">
-            <div className="injury-item">
-              <span className="injury-status critical">●</span>
-              <span className="player-name">Tyreek Hill</span>
-              <span className="injury-details">Questionable - Ankle</span>
-              <span className="injury-time">10 min ago</span>
+          {/* Starter Scoring */}
+          <div className="live-section">
+            <h4>⚡ Starter Scoring</h4>
+            <div className="live-matchup-columns">
+              <div className="live-matchup-column">
+                <h5>{myTeam.name}</h5>
+                {renderStarters(myTeam)}
+              </div>
+              {opponent && (
+                <div className="live-matchup-column">
+                  <h5>{opponent.name}</h5>
+                  {renderStarters(opponent)}
+                </div>
+              )}
             </div>
           </div>
-        </div>
 
-        {/* Weather Updates */}
-        <div className="live-section">
-          <h4>🌤️ Weather Updates</h4>
-          <div className="weather-info">
-            <div className="weather-item">
-              <span className="weather-icon">🌧️</span>
-              <span className="weather-location">Arrowhead Stadium</span>
-              <span className="weather-details">Light rain, 45°F, Wind: 8 mph</span>
+          {/* Injury Updates */}
+          {injuredStarters.length > 0 && (
+            <div className="live-section">
+              <h4>🚑 Injury Updates</h4>
+              <div className="injury-updates">
+                {injuredStarters.map(player => (
+                  <div key={player.player_id} className="injury-item">
+                    <span className={`injury-status ${player.injury_status === 'Questionable' ? 'moderate' : 'critical'}`}>●</span>
+                    <span className="player-name">{player.name}</span>
+                    <span className="injury-details">{player.injury_status}</span>
+                  </div>
+                ))}
+              </div>
             </div>
-          </div>
+          )}
         </div>
-      </div>
+      )}
 
       <div className="live-actions">
-        <button className="refresh-button">
-          🔄 Refresh Live Data
-        </button>
-        <button className="notifications-button">
-          🔔 Enable Notifications
+        <button className="refresh-button" onClick={loadLiveData} disabled={isRefreshing}>
+          {isRefreshing ? '🔄 Refreshing...' : '🔄 Refresh Live Data'}
         </button>
       </div>
     </div>
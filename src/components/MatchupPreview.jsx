@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import './MatchupPreview.css';
+import matchupPreviewService from '../services/matchupPreviewService';
+
+const MatchupPreview = ({
+  selectedTeam,
+  userData,
+  onTeamSelection,
+  allTeams
+}) => {
+  const [preview, setPreview] = useState(null);
+  const [isLoadingPreview, setIsLoadingPreview] = useState(false);
+  const [previewError, setPreviewError] = useState('');
+
+  const sleeperTeams = useMemo(
+    () => (allTeams || []).filter(team => team.platform === 'sleeper'),
+    [allTeams]
+  );
+
+  // Auto-select the first Sleeper league when the current selection has no preview
+  useEffect(() => {
+    if (sleeperTeams.length > 0 && (!selectedTeam || selectedTeam.platform !== 'sleeper')) {
+      onTeamSelection(sleeperTeams[0]);
+    }
+  }, [sleeperTeams, selectedTeam, onTeamSelection]);
+
+  const loadPreview = useCallback(async () => {
+    if (!selectedTeam || selectedTeam.platform !== 'sleeper' || !userData) return;
+
+    setIsLoadingPreview(true);
+    setPreviewError('');
+    try {
+      setPreview(await matchupPreviewService.getMatchupPreview(userData.user_id, selectedTeam.leagueId));
+    } catch (error) {
+      console.error('Error loading matchup preview:', error);
+      setPreview(null);
+      setPreviewError('Failed to load this week\'s matchup.');
+    } finally {
+      setIsLoadingPreview(false);
+    }
+  }, [selectedTeam, userData]);
+
+  useEffect(() => {
+    setPreview(null);
+    loadPreview();
+  }, [loadPreview]);
+
+  if (!userData) {
+    return (
+      <div className="matchup-preview-content">
+        <h2>⚔️ Matchup</h2>
+        <p>Please connect to your fantasy platform first to preview your matchup.</p>
+      </div>
+    );
+  }
+
+  if (sleeperTeams.length === 0) {
+    return (
+      <div className="matchup-preview-content">
+        <h2>⚔️ Matchup</h2>
+        <p>Matchup previews are currently available for Sleeper leagues only.</p>
+      </div>
+    );
+  }
+
+  const getPlayerName = (player) => (
+    player.first_name ? `${player.first_name} ${player.last_name}` : player.player_id
+  );
+
+  const formatProbability = (value) => `${Math.round(value * 100)}%`;
+
+  const renderPlayer = (entry, alignment) => (
+    <div className={`preview-player ${alignment} ${entry.status}`}>
+      {entry.player ? (
+        <>
+          <span className="preview-player-name">{getPlayerName(entry.player)}</span>
+          <span className="preview-player-meta">
+            {entry.player.position}{entry.player.team ? ` • ${entry.player.team}` : ''}
+            {entry.status === 'live' && <span className="preview-status live">LIVE</span>}
+            {entry.status === 'final' && <span className="preview-status final">FINAL</span>}
+            {entry.status === 'out' && <span className="preview-status out">{entry.player.injury_status || 'OUT'}</span>}
+          </span>
+        </>
+      ) : (
+        <span className="preview-player-name empty">Empty</span>
+      )}
+    </div>
+  );
+
+  const renderPoints = (entry) => (
+    <div className="preview-points">
+      <span className="preview-projected">{entry.projected.toFixed(1)}</span>
+      {entry.status !== 'upcoming' && entry.status !== 'empty' && (
+        <span className="preview-actual">{entry.actual.toFixed(1)}</span>
+      )}
+    </div>
+  );
+
+  const { mySide, opponentSide, winProbability, leverage } = preview || {};
+
+  return (
+    <div className="matchup-preview-content">
+      <div className="matchup-preview-header">
+        <div className="header-left">
+          <h2>⚔️ Matchup Preview</h2>
+          <div className="league-selector">
+            <select
+              value={selectedTeam?.platform === 'sleeper' ? selectedTeam.teamId : ''}
+              onChange={(e) => {
+                const team = sleeperTeams.find(t => t.teamId === e.target.value);
+                if (team && onTeamSelection) {
+                  onTeamSelection(team);
+                }
+              }}
+              className="league-dropdown"
+            >
+              <option value="">Select a league...</option>
+              {sleeperTeams.map(team => (
+                <option key={team.teamId} value={team.teamId}>
+                  {team.leagueName}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="header-actions">
+          <button className="matchup-refresh-button" onClick={loadPreview} disabled={isLoadingPreview}>
+            {isLoadingPreview ? '🔄 Loading...' : '🔄 Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {previewError && (
+        <div className="error-message">{previewError}</div>
+      )}
+
+      {isLoadingPreview && !preview && (
+        <p>Loading this week's matchup...</p>
+      )}
+
+      {preview && !opponentSide && (
+        <p>No head-to-head opponent in week {preview.week}.</p>
+      )}
+
+      {preview && opponentSide && (
+        <>
+          {/* Scoreboard */}
+          <div className="preview-scoreboard">
+            <div className="preview-team mine">
+              <span className="preview-team-name">{mySide.teamName}</span>
+              <span className="preview-team-score">{mySide.projectedFinal.toFixed(1)}</span>
+              <span className="preview-team-actual">{mySide.actual.toFixed(1)} so far</span>
+            </div>
+            <div className="preview-probability">
+              <span className="preview-week">Week {preview.week}</span>
+              <div className="preview-probability-bar">
+                <span className="preview-probability-fill" style={{ width: formatProbability(winProbability) }} />
+              </div>
+              <span className="preview-probability-label">
+                {formatProbability(winProbability)} win probability
+              </span>
+            </div>
+            <div className="preview-team opponent">
+              <span className="preview-team-name">{opponentSide.teamName}</span>
+              <span className="preview-team-score">{opponentSide.projectedFinal.toFixed(1)}</span>
+              <span className="preview-team-actual">{opponentSide.actual.toFixed(1)} so far</span>
+            </div>
+          </div>
+
+          {/* Slot by slot */}
+          <div className="preview-lineups">
+            {mySide.slots.map((entry, index) => {
+              const opponentEntry = opponentSide.slots[index];
+              return (
+                <div key={`${entry.slot}-${index}`} className="preview-slot-row">
+                  {renderPlayer(entry, 'left')}
+                  {renderPoints(entry)}
+                  <span className="preview-slot">{entry.slot.replace('_', ' ')}</span>
+                  {opponentEntry && renderPoints(opponentEntry)}
+                  {opponentEntry && renderPlayer(opponentEntry, 'right')}
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Leverage */}
+          {leverage.length > 0 && (
+            <div className="preview-leverage">
+              <h3>🎯 Highest Leverage Players</h3>
+              <p className="preview-leverage-note">
+                How much your win probability moves between a bad and a good game from each player still to play.
+              </p>
+              <div className="preview-leverage-list">
+                {leverage.map(item => (
+                  <div key={item.player.player_id} className={`preview-leverage-item ${item.isMine ? 'mine' : 'opponent'}`}>
+                    <span className="preview-leverage-name">{getPlayerName(item.player)}</span>
+                    <span className="preview-leverage-meta">
+                      {item.isMine ? 'Yours' : 'Opponent'} • {item.slot.replace('_', ' ')} • {item.projected.toFixed(1)} pts to come
+                    </span>
+                    <span className="preview-leverage-swing">±{formatProbability(item.swing / 2)}</span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default MatchupPreview;
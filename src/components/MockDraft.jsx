@@ -0,0 +1,248 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './MockDraft.css';
+import mockDraftService from '../services/mockDraftService';
+import mockDraftSimulator from '../services/mockDraftSimulator';
+
+const POSITION_FILTERS = ['ALL', 'QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+
+const MockDraft = ({ leagueId, userId }) => {
+  const [kit, setKit] = useState(null);
+  const [isLoadingKit, setIsLoadingKit] = useState(false);
+  const [kitError, setKitError] = useState('');
+  const [userSlot, setUserSlot] = useState(1);
+  const [draftState, setDraftState] = useState(null);
+  const [positionFilter, setPositionFilter] = useState('ALL');
+
+  const loadKit = useCallback(async (refresh = false) => {
+    if (!leagueId || !userId) return;
+
+    setIsLoadingKit(true);
+    setKitError('');
+    try {
+      const result = await mockDraftService.getMockDraftKit(userId, leagueId, { refresh });
+      setKit(result);
+      setUserSlot(result.mySlot || 1);
+    } catch (error) {
+      console.error('Error loading mock draft kit:', error);
+      setKitError('Failed to load draft settings and rankings for this league.');
+    } finally {
+      setIsLoadingKit(false);
+    }
+  }, [leagueId, userId]);
+
+  useEffect(() => {
+    setKit(null);
+    setDraftState(null);
+    loadKit();
+  }, [loadKit]);
+
+  if (kitError && !kit) {
+    return <div className="error-message">{kitError}</div>;
+  }
+
+  if (!kit) {
+    return <p>Loading draft settings and ranking every player with your league's scoring...</p>;
+  }
+
+  const startDraft = () => {
+    setPositionFilter('ALL');
+    setDraftState(mockDraftSimulator.runBots(mockDraftSimulator.createDraft(kit, userSlot)));
+  };
+
+  const draftPlayer = (playerId) => {
+    setDraftState(mockDraftSimulator.runBots(mockDraftSimulator.makePick(draftState, playerId)));
+  };
+
+  const getPlayerName = (player) => `${player.first_name} ${player.last_name}`;
+
+  const formatPick = (pickNo) => {
+    const round = Math.ceil(pickNo / kit.teams);
+    return `${round}.${String(pickNo - (round - 1) * kit.teams).padStart(2, '0')}`;
+  };
+
+  const getTeamLabel = (slot) => (slot === userSlot ? 'You' : `Bot ${slot}`);
+
+  const renderSetup = () => (
+    <div className="mock-setup">
+      <p className="mock-settings">
+        {kit.teams} teams • {kit.rounds} rounds • {kit.type}
+        {kit.reversalRound ? ` with round ${kit.reversalRound} reversal` : ''} • {kit.season} projections
+      </p>
+      <p className="mock-saved">
+        Draft data saved {new Date(kit.savedAt).toLocaleString()}
+        {kit.isStale ? ' — Sleeper is unreachable, so this saved copy is being used.' : '. Mock drafts run without the network.'}
+      </p>
+      <div className="mock-controls">
+        <label className="mock-slot-label">
+          Your draft slot
+          <select value={userSlot} onChange={(e) => setUserSlot(parseInt(e.target.value))} className="mock-select">
+            {Array.from({ length: kit.teams }, (_, index) => (
+              <option key={index + 1} value={index + 1}>
+                {index + 1}{kit.mySlot === index + 1 ? ' (your real slot)' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="mock-button primary" onClick={startDraft}>
+          {draftState ? '🔁 Restart Mock' : '▶️ Start Mock Draft'}
+        </button>
+        <button className="mock-button" onClick={() => loadKit(true)} disabled={isLoadingKit}>
+          {isLoadingKit ? '🔄 Updating...' : '🔄 Update Draft Data'}
+        </button>
+      </div>
+    </div>
+  );
+
+  if (!draftState) {
+    return <div className="mock-draft">{renderSetup()}</div>;
+  }
+
+  const isComplete = mockDraftSimulator.isComplete(draftState);
+  const isUserTurn = mockDraftSimulator.isUserTurn(draftState);
+  const myLineup = mockDraftSimulator.getResults(draftState).find(team => team.isUser);
+
+  // Our rankings, with each player's ADP to show who the bots are likely to take
+  const availablePlayers = [...draftState.available]
+    .filter(player => positionFilter === 'ALL' || player.position === positionFilter)
+    .sort((a, b) => b.draftProjection - a.draftProjection)
+    .slice(0, 50);
+
+  return (
+    <div className="mock-draft">
+      {renderSetup()}
+
+      {isComplete ? (
+        <div className="mock-results">
+          <h3>🏁 Mock Draft Results</h3>
+          <p className="mock-saved">Teams ranked by their best starting lineup's season projection.</p>
+          <table className="mock-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Team</th>
+                <th>Projected</th>
+                <th>Starters</th>
+              </tr>
+            </thead>
+            <tbody>
+              {mockDraftSimulator.getResults(draftState).map((team, index) => (
+                <tr key={team.slot} className={team.isUser ? 'mock-user-row' : ''}>
+                  <td>{index + 1}</td>
+                  <td>{getTeamLabel(team.slot)}</td>
+                  <td>{team.projectedPoints.toFixed(1)}</td>
+                  <td className="mock-starters">
+                    {team.starters.map(entry => (entry.player ? entry.player.last_name : 'Open')).join(', ')}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="mock-layout">
+          <div className="mock-available">
+            <div className={`mock-status ${isUserTurn ? 'on-clock' : ''}`}>
+              {isUserTurn
+                ? `You're on the clock at ${formatPick(draftState.picks.length + 1)}`
+                : `Pick ${formatPick(draftState.picks.length + 1)}`}
+            </div>
+            <div className="mock-position-filter">
+              {POSITION_FILTERS.map(position => (
+                <button
+                  key={position}
+                  className={`mock-filter-button ${positionFilter === position ? 'active' : ''}`}
+                  onClick={() => setPositionFilter(position)}
+                >
+                  {position}
+                </button>
+              ))}
+            </div>
+            <table className="mock-table">
+              <thead>
+                <tr>
+                  <th>Rank</th>
+                  <th>Player</th>
+                  <th>Pos</th>
+                  <th>ADP</th>
+                  <th>Proj</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {availablePlayers.map(player => (
+                  <tr key={player.player_id}>
+                    <td>{player.overallRank}</td>
+                    <td>
+                      <span className="mock-player-name">{getPlayerName(player)}</span>
+                      <span className="mock-player-team">{player.team}</span>
+                    </td>
+                    <td>{player.position}{player.positionRank} <span className="mock-tier">T{player.tier}</span></td>
+                    <td>{player.adp}</td>
+                    <td>{player.draftProjection.toFixed(1)}</td>
+                    <td>
+                      <button className="mock-draft-button" onClick={() => draftPlayer(player.player_id)} disabled={!isUserTurn}>
+                        Draft
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="mock-roster">
+            <h3>Your Starters</h3>
+            {myLineup.starters.map((entry, index) => (
+              <div key={`${entry.slot}-${index}`} className={`mock-slot ${entry.player ? '' : 'open'}`}>
+                <span className="mock-slot-name">{entry.slot.replace('_', ' ')}</span>
+                <span className="mock-slot-player">{entry.player ? getPlayerName(entry.player) : 'Open'}</span>
+              </div>
+            ))}
+            <p className="mock-saved">
+              {draftState.rosters[userSlot].length} drafted • {myLineup.projectedPoints.toFixed(1)} projected
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Board */}
+      <div className="draft-board-wrapper">
+        <table className="draft-board">
+          <thead>
+            <tr>
+              <th className="draft-round-header">Rd</th>
+              {Array.from({ length: kit.teams }, (_, index) => (
+                <th key={index + 1}>{getTeamLabel(index + 1)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {Array.from({ length: Math.ceil(draftState.picks.length / kit.teams) }, (_, roundIndex) => (
+              <tr key={roundIndex}>
+                <td className="draft-round-header">{roundIndex + 1}</td>
+                {Array.from({ length: kit.teams }, (_, index) => {
+                  const pick = draftState.picks.find(item => item.round === roundIndex + 1 && item.slot === index + 1);
+                  return (
+                    <td key={index + 1}>
+                      {pick ? (
+                        <div className={`draft-pick position-${pick.player.position}`}>
+                          <span className="draft-pick-label">{formatPick(pick.pickNo)}</span>
+                          <span className="draft-pick-name">{getPlayerName(pick.player)}</span>
+                          <span className="draft-pick-meta">{pick.player.position} • {pick.player.team}</span>
+                        </div>
+                      ) : (
+                        <div className="draft-pick empty" />
+                      )}
+                    </td>
+                  );
+                })}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default MockDraft;
@@ -92,18 +92,15 @@ const Overview = ({
                     {cacheStatus.playerCache.isValid ? 'Valid' : 'Expired'}
                   </span>
                 </div>
-                <div className="status-item">
-                  <span className="status-label">Sleeper API:</span>
-                  <span className="status-value">
-                    {cacheStatus.rateLimit.sleeper.currentCount}/{cacheStatus.rateLimit.sleeper.maxCount}
-                  </span>
-                </div>
-                <div className="status-item">
-                  <span className="status-label">ESPN API:</span>
-                  <span className="status-value">
-                    {cacheStatus.rateLimit.espn.rateLimit.currentCount}/{cacheStatus.rateLimit.espn.rateLimit.maxCount}
-                  </span>
-                </div>
+                {Object.entries(cacheStatus.requests.hosts).map(([host, status]) => (
+                  <div key={host} className="status-item">
+                    <span className="status-label">{host}:</span>
+                    <span className="status-value">
+                      {status.currentCount}/{status.maxCount}
+                      {status.retries > 0 && ` (${status.retries} retries)`}
+                    </span>
+                  </div>
+                ))}
               </div>
             </div>
           )}
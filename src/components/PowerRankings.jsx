@@ -0,0 +1,137 @@
+import React, { useState, useEffect } from 'react';
+import './PowerRankings.css';
+import powerRankingsService from '../services/powerRankingsService';
+
+const PowerRankings = ({ leagueId, userId }) => {
+  const [rankings, setRankings] = useState([]);
+  const [isLoadingRankings, setIsLoadingRankings] = useState(false);
+  const [rankingsError, setRankingsError] = useState('');
+
+  useEffect(() => {
+    if (!leagueId) return;
+
+    let isCurrent = true;
+    const loadRankings = async () => {
+      setIsLoadingRankings(true);
+      setRankingsError('');
+      try {
+        const result = await powerRankingsService.getPowerRankings(leagueId);
+        if (isCurrent) {
+          setRankings(result);
+        }
+      } catch (error) {
+        console.error('Error loading power rankings:', error);
+        if (isCurrent) {
+          setRankings([]);
+          setRankingsError('Failed to load power rankings for this league.');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsLoadingRankings(false);
+        }
+      }
+    };
+
+    loadRankings();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [leagueId]);
+
+  const formatLuck = (luck) => `${luck >= 0 ? '+' : ''}${luck.toFixed(1)}`;
+
+  const getLuckClass = (luck) => {
+    if (luck >= 1) return 'lucky';
+    if (luck <= -1) return 'unlucky';
+    return '';
+  };
+
+  const getMovement = (team) => team.standingsRank - team.powerRank;
+
+  if (isLoadingRankings && rankings.length === 0) {
+    return <p>🔄 Crunching weekly scores...</p>;
+  }
+
+  if (rankingsError) {
+    return <div className="error-message">{rankingsError}</div>;
+  }
+
+  if (rankings.length === 0 || rankings.every(team => team.allPlay.wins + team.allPlay.losses + team.allPlay.ties === 0)) {
+    return <p>Power rankings will appear once the first week is complete.</p>;
+  }
+
+  return (
+    <div className="power-rankings">
+      <div className="standings-table-container">
+        <table className="standings-table">
+          <thead>
+            <tr>
+              <th>Power</th>
+              <th>Team</th>
+              <th>Record</th>
+              <th>All-Play</th>
+              <th>PF Rank</th>
+              <th>Recent Form</th>
+              <th>Luck</th>
+              <th>Score</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rankings.map(team => (
+              <tr key={team.rosterId} className={`standings-row ${team.ownerId === userId ? 'selected-team' : ''}`}>
+                <td className="rank-cell">
+                  <span className="power-rank">{team.powerRank}</span>
+                  {getMovement(team) !== 0 && (
+                    <span
+                      className={`power-movement ${getMovement(team) > 0 ? 'up' : 'down'}`}
+                      title={`#${team.standingsRank} in the standings`}
+                    >
+                      {getMovement(team) > 0 ? '▲' : '▼'}{Math.abs(getMovement(team))}
+                    </span>
+                  )}
+                </td>
+                <td className="team-cell">
+                  <div className="team-info">
+                    <span className="team-name">{team.name}</span>
+                    {team.ownerId === userId && (
+                      <span className="your-team-badge">Your Team</span>
+                    )}
+                  </div>
+                </td>
+                <td>{team.record}</td>
+                <td>
+                  {team.allPlay.wins}-{team.allPlay.losses}{team.allPlay.ties > 0 ? `-${team.allPlay.ties}` : ''}
+                  <span className="power-subtext">{(team.allPlay.percentage * 100).toFixed(1)}%</span>
+                </td>
+                <td>
+                  #{team.pointsForRank}
+                  <span className="power-subtext">{team.pointsFor.toFixed(1)}</span>
+                </td>
+                <td>
+                  <span className="power-form">
+                    {team.recentOutcomes.map((outcome, index) => (
+                      <span key={index} className={`power-form-result ${outcome}`}>{outcome}</span>
+                    ))}
+                  </span>
+                  <span className="power-subtext">{team.recentAverage.toFixed(1)} ppg</span>
+                </td>
+                <td className={`power-luck ${getLuckClass(team.luck)}`} title={`${team.actualWins} actual vs ${team.expectedWins.toFixed(1)} expected wins`}>
+                  {formatLuck(team.luck)}
+                </td>
+                <td className="power-score">{team.powerScore.toFixed(1)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className="power-note">
+        All-play is each team's record had it played every other team every week. Luck is actual wins minus the
+        wins its weekly scores would earn on average. The power score blends all-play winning percentage,
+        points for and recent scoring.
+      </p>
+    </div>
+  );
+};
+
+export default PowerRankings;
@@ -1,5 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import './Standings.css';
+import fantasyDataService from '../services/fantasyDataService';
+import playoffOddsService from '../services/playoffOddsService';
+import PowerRankings from './PowerRankings';
+
+// Playoff spots assumed when a platform doesn't give us simulated odds
+const DEFAULT_PLAYOFF_TEAMS = 6;
+const DEFAULT_BYE_COUNT = 2;
+
+// Simulated playoff odds at or above these count as likely / on the bubble
+const LIKELY_PLAYOFF_ODDS = 0.75;
+const BUBBLE_PLAYOFF_ODDS = 0.25;
 
 const Standings = ({ 
   selectedTeam, 
@@ -8,171 +19,14 @@ const Standings = ({
   allTeams,
   isLoading 
 }) => {
-  const [standingsData] = useState([
-    {
-      rank: 1,
-      team: {
-        name: 'Championship Bound',
-        owner: 'John Doe',
-        wins: 12,
-        losses: 2,
-        ties: 0,
-        pointsFor: 1850.5,
-        pointsAgainst: 1650.2
-      },
-      record: '12-2-0',
-      winPercentage: 0.857,
-      gamesBack: 0,
-      streak: 'W4'
-    },
-    {
-      rank: 2,
-      team: {
-        name: 'Fantasy Legends',
-        owner: 'Jane Smith',
-        wins: 10,
-        losses: 4,
-        ties: 0,
-        pointsFor: 1780.3,
-        pointsAgainst: 1680.1
-      },
-      record: '10-4-0',
-      winPercentage: 0.714,
-      gamesBack: 2,
-      streak: 'W2'
-    },
-    {
-      rank: 3,
-      team: {
-        name: 'Gridiron Warriors',
-        owner: 'Mike Johnson',
-        wins: 9,
-        losses: 5,
-        ties: 0,
-        pointsFor: 1720.8,
-        pointsAgainst: 1690.5
-      },
-      record: '9-5-0',
-      winPercentage: 0.643,
-      gamesBack: 3,
-      streak: 'L1'
-    },
-    {
-      rank: 4,
-      team: {
-        name: 'Touchdown Titans',
-        owner: 'Sarah Wilson',
-        wins: 8,
-        losses: 6,
-        ties: 0,
-        pointsFor: 1680.2,
-        pointsAgainst: 1700.3
-      },
-      record: '8-6-0',
-      winPercentage: 0.571,
-      gamesBack: 4,
-      streak: 'W1'
-    },
-    {
-      rank: 5,
-      team: {
-        name: 'End Zone Elite',
-        owner: 'David Brown',
-        wins: 7,
-        losses: 7,
-        ties: 0,
-        pointsFor: 1650.7,
-        pointsAgainst: 1680.9
-      },
-      record: '7-7-0',
-      winPercentage: 0.500,
-      gamesBack: 5,
-      streak: 'L2'
-    },
-    {
-      rank: 6,
-      team: {
-        name: 'Red Zone Raiders',
-        owner: 'Lisa Davis',
-        wins: 6,
-        losses: 8,
-        ties: 0,
-        pointsFor: 1620.4,
-        pointsAgainst: 1690.6
-      },
-      record: '6-8-0',
-      winPercentage: 0.429,
-      gamesBack: 6,
-      streak: 'W1'
-    },
-    {
-      rank: 7,
-      team: {
-        name: 'Goal Line Gang',
-        owner: 'Tom Miller',
-        wins: 5,
-        losses: 9,
-        ties: 0,
-        pointsFor: 1580.1,
-        pointsAgainst: 1720.8
-      },
-      record: '5-9-0',
-      winPercentage: 0.357,
-      gamesBack: 7,
-      streak: 'L3'
-    },
-    {
-      rank: 8,
-      team: {
-        name: 'Field Goal Force',
-        owner: 'Amy Taylor',
-        wins: 4,
-        losses: 10,
-        ties: 0,
-        pointsFor: 1550.3,
-        pointsAgainst: 1750.2
-      },
-      record: '4-10-0',
-      winPercentage: 0.286,
-      gamesBack: 8,
-      streak: 'L1'
-    },
-    {
-      rank: 9,
-      team: {
-        name: 'Punt Return Pros',
-        owner: 'Chris Anderson',
-        wins: 3,
-        losses: 11,
-        ties: 0,
-        pointsFor: 1520.6,
-        pointsAgainst: 1780.5
-      },
-      record: '3-11-0',
-      winPercentage: 0.214,
-      gamesBack: 9,
-      streak: 'L4'
-    },
-    {
-      rank: 10,
-      team: {
-        name: 'Kickoff Kings',
-        owner: 'Rachel Garcia',
-        wins: 2,
-        losses: 12,
-        ties: 0,
-        pointsFor: 1480.9,
-        pointsAgainst: 1820.1
-      },
-      record: '2-12-0',
-      winPercentage: 0.143,
-      gamesBack: 10,
-      streak: 'L5'
-    }
-  ]);
-
+  const [standingsData, setStandingsData] = useState([]);
+  const [isLoadingStandings, setIsLoadingStandings] = useState(false);
+  const [standingsError, setStandingsError] = useState('');
   const [sortBy, setSortBy] = useState('rank');
   const [sortOrder, setSortOrder] = useState('asc');
+  const [playoffOdds, setPlayoffOdds] = useState(null);
+  const [isSimulating, setIsSimulating] = useState(false);
+  const [view, setView] = useState('standings');
 
   // Auto-load first team when component mounts
   useEffect(() => {
@@ -182,6 +36,85 @@ const Standings = ({
     }
   }, [allTeams, selectedTeam, onTeamSelection]);
 
+  // Load standings whenever the selected league changes
+  useEffect(() => {
+    if (!selectedTeam || !userData) return;
+
+    let isCurrent = true;
+    let refreshTimer = null;
+    const loadStandings = async (showLoading = true) => {
+      if (showLoading) {
+        setIsLoadingStandings(true);
+      }
+      setStandingsError('');
+      try {
+        const standings = await fantasyDataService.getStandings(selectedTeam.leagueId, selectedTeam.platform);
+        if (isCurrent) {
+          setStandingsData(standings);
+        }
+      } catch (error) {
+        console.error('Error loading standings:', error);
+        if (isCurrent) {
+          setStandingsData([]);
+          setStandingsError('Failed to load standings for this league.');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsLoadingStandings(false);
+        }
+      }
+    };
+
+    loadStandings();
+
+    // Re-render quietly when cached league data for this league is refreshed in the background.
+    // Several caches usually refresh together, so coalesce them into one reload.
+    const unsubscribe = fantasyDataService.subscribe(({ key }) => {
+      if (!key.includes(selectedTeam.leagueId)) return;
+      clearTimeout(refreshTimer);
+      refreshTimer = setTimeout(() => loadStandings(false), 500);
+    });
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(refreshTimer);
+      unsubscribe();
+    };
+  }, [selectedTeam, userData]);
+
+  // Odds belong to one league; drop them as soon as another is selected
+  useEffect(() => {
+    setPlayoffOdds(null);
+  }, [selectedTeam]);
+
+  // Simulate playoff odds for Sleeper leagues whenever the standings change
+  useEffect(() => {
+    if (!selectedTeam || selectedTeam.platform !== 'sleeper' || standingsData.length === 0) return;
+
+    let isCurrent = true;
+    const simulate = async () => {
+      setIsSimulating(true);
+      try {
+        const odds = await playoffOddsService.getPlayoffOdds(selectedTeam.leagueId);
+        if (isCurrent) {
+          setPlayoffOdds(odds);
+        }
+      } catch (error) {
+        console.error('Error simulating playoff odds:', error);
+      } finally {
+        if (isCurrent) {
+          setIsSimulating(false);
+        }
+      }
+    };
+
+    simulate();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [selectedTeam, standingsData]);
+
   if (!userData) {
     return (
       <div className="standings-content">
@@ -209,6 +142,8 @@ const Standings = ({
     }
   };
 
+  const getOdds = (standing) => playoffOdds?.odds[standing.teamId] || null;
+
   const sortedStandings = [...standingsData].sort((a, b) => {
     let aValue, bValue;
     
@@ -245,6 +180,12 @@ const Standings = ({
         aValue = a.winPercentage;
         bValue = b.winPercentage;
         break;
+      case 'playoffOdds':
+      case 'byeOdds':
+      case 'championshipOdds':
+        aValue = getOdds(a)?.[sortBy] ?? 0;
+        bValue = getOdds(b)?.[sortBy] ?? 0;
+        break;
       default:
         aValue = a.rank;
         bValue = b.rank;
@@ -262,12 +203,45 @@ const Standings = ({
     return sortOrder === 'asc' ? '↑' : '↓';
   };
 
-  const getRankClass = (rank) => {
-    if (rank <= 4) return 'playoff';
-    if (rank <= 6) return 'bubble';
+  const playoffTeams = playoffOdds?.playoffTeams ?? DEFAULT_PLAYOFF_TEAMS;
+  const byeCount = playoffOdds?.byeCount ?? DEFAULT_BYE_COUNT;
+
+  // Playoff status from the simulated odds, or from current seeding when there are none
+  const getRankClass = (standing) => {
+    const odds = getOdds(standing);
+    if (odds) {
+      if (odds.playoffOdds >= LIKELY_PLAYOFF_ODDS) return 'playoff';
+      if (odds.playoffOdds >= BUBBLE_PLAYOFF_ODDS) return 'bubble';
+      return 'out';
+    }
+    if (standing.rank <= playoffTeams) return 'playoff';
+    if (standing.rank <= playoffTeams + 2) return 'bubble';
     return 'out';
   };
 
+  const formatOdds = (value) => {
+    if (value >= 0.995 && value < 1) return '>99%';
+    if (value > 0 && value < 0.005) return '<1%';
+    return `${Math.round(value * 100)}%`;
+  };
+
+  const getStreakClass = (streak) => {
+    if (streak.startsWith('W')) return 'winning';
+    if (streak.startsWith('L')) return 'losing';
+    return '';
+  };
+
+  const isUserTeam = (standing) => {
+    if (selectedTeam.platform === 'espn') {
+      return String(standing.teamId) === String(selectedTeam.teamId);
+    }
+    return standing.ownerId === userData.user_id;
+  };
+
+  const gamesPlayed = standingsData.length > 0
+    ? standingsData[0].team.wins + standingsData[0].team.losses + standingsData[0].team.ties
+    : 0;
+
   return (
     <div className="standings-content">
       <div className="standings-header">
@@ -297,157 +271,217 @@ const Standings = ({
           )}
         </div>
         <div className="header-actions">
-          {isLoading && (
+          {selectedTeam.platform === 'sleeper' && (
+            <div className="standings-view-toggle">
+              <button
+                className={`view-toggle-button ${view === 'standings' ? 'active' : ''}`}
+                onClick={() => setView('standings')}
+              >
+                Standings
+              </button>
+              <button
+                className={`view-toggle-button ${view === 'power' ? 'active' : ''}`}
+                onClick={() => setView('power')}
+              >
+                Power Rankings
+              </button>
+            </div>
+          )}
+          {(isLoading || isLoadingStandings) ? (
             <div className="loading-indicator">
               <span>🔄 Loading standings...</span>
             </div>
+          ) : isSimulating && (
+            <div className="loading-indicator">
+              <span>🎲 Simulating playoff odds...</span>
+            </div>
           )}
         </div>
       </div>
 
-      {/* Standings Table */}
-      <div className="standings-table-container">
-        <table className="standings-table">
-          <thead>
-            <tr>
-              <th onClick={() => handleSort('rank')} className="sortable">
-                Rank {getSortIcon('rank')}
-              </th>
-              <th onClick={() => handleSort('team')} className="sortable">
-                Team {getSortIcon('team')}
-              </th>
-              <th onClick={() => handleSort('owner')} className="sortable">
-                Owner {getSortIcon('owner')}
-              </th>
-              <th onClick={() => handleSort('wins')} className="sortable">
-                W {getSortIcon('wins')}
-              </th>
-              <th onClick={() => handleSort('losses')} className="sortable">
-                L {getSortIcon('losses')}
-              </th>
-              <th onClick={() => handleSort('winPercentage')} className="sortable">
-                PCT {getSortIcon('winPercentage')}
-              </th>
-              <th onClick={() => handleSort('pointsFor')} className="sortable">
-                PF {getSortIcon('pointsFor')}
-              </th>
-              <th onClick={() => handleSort('pointsAgainst')} className="sortable">
-                PA {getSortIcon('pointsAgainst')}
-              </th>
-              <th>GB</th>
-              <th>Streak</th>
-            </tr>
-          </thead>
-          <tbody>
-            {sortedStandings.map((team, index) => (
-              <tr 
-                key={team.rank} 
-                className={`standings-row ${getRankClass(team.rank)} ${
-                  team.team.name === selectedTeam.teamName ? 'selected-team' : ''
-                }`}
-              >
-                <td className="rank-cell">
-                  <span className={`rank-number ${getRankClass(team.rank)}`}>
-                    {team.rank}
-                  </span>
-                </td>
-                <td className="team-cell">
-                  <div className="team-info">
-                    <span className="team-name">{team.team.name}</span>
-                    {team.team.name === selectedTeam.teamName && (
-                      <span className="your-team-badge">Your Team</span>
+      {standingsError && (
+        <div className="error-message">{standingsError}</div>
+      )}
+
+      {view === 'power' && selectedTeam.platform === 'sleeper' ? (
+        <PowerRankings leagueId={selectedTeam.leagueId} userId={userData.user_id} />
+      ) : standingsData.length === 0 ? (
+        !isLoadingStandings && !standingsError && (
+          <p>No standings available for this league yet.</p>
+        )
+      ) : (
+        <>
+        {/* Standings Table */}
+        <div className="standings-table-container">
+          <table className="standings-table">
+            <thead>
+              <tr>
+                <th onClick={() => handleSort('rank')} className="sortable">
+                  Rank {getSortIcon('rank')}
+                </th>
+                <th onClick={() => handleSort('team')} className="sortable">
+                  Team {getSortIcon('team')}
+                </th>
+                <th onClick={() => handleSort('owner')} className="sortable">
+                  Owner {getSortIcon('owner')}
+                </th>
+                <th onClick={() => handleSort('wins')} className="sortable">
+                  W {getSortIcon('wins')}
+                </th>
+                <th onClick={() => handleSort('losses')} className="sortable">
+                  L {getSortIcon('losses')}
+                </th>
+                <th onClick={() => handleSort('winPercentage')} className="sortable">
+                  PCT {getSortIcon('winPercentage')}
+                </th>
+                <th onClick={() => handleSort('pointsFor')} className="sortable">
+                  PF {getSortIcon('pointsFor')}
+                </th>
+                <th onClick={() => handleSort('pointsAgainst')} className="sortable">
+                  PA {getSortIcon('pointsAgainst')}
+                </th>
+                <th>GB</th>
+                <th>Streak</th>
+                {playoffOdds && (
+                  <>
+                    <th onClick={() => handleSort('playoffOdds')} className="sortable">
+                      Playoffs {getSortIcon('playoffOdds')}
+                    </th>
+                    {byeCount > 0 && (
+                      <th onClick={() => handleSort('byeOdds')} className="sortable">
+                        Bye {getSortIcon('byeOdds')}
+                      </th>
                     )}
-                  </div>
-                </td>
-                <td className="owner-cell">{team.team.owner}</td>
-                <td className="wins-cell">{team.team.wins}</td>
-                <td className="losses-cell">{team.team.losses}</td>
-                <td className="pct-cell">{(team.winPercentage * 100).toFixed(1)}%</td>
-                <td className="pf-cell">{team.team.pointsFor.toFixed(1)}</td>
-                <td className="pa-cell">{team.team.pointsAgainst.toFixed(1)}</td>
-                <td className="gb-cell">{team.gamesBack}</td>
-                <td className="streak-cell">
-                  <span className={`streak ${team.streak.startsWith('W') ? 'winning' : 'losing'}`}>
-                    {team.streak}
-                  </span>
-                </td>
+                    <th onClick={() => handleSort('championshipOdds')} className="sortable">
+                      Title {getSortIcon('championshipOdds')}
+                    </th>
+                  </>
+                )}
               </tr>
-            ))}
-          </tbody>
-        </table>
-      </div>
-
-      {/* Playoff Picture */}
-      <div className="playoff-picture">
-        <h3>🏆 Playoff Picture</h3>
-        <div className="playoff-teams">
-          <div className="playoff-section">
-            <h4>Bye Week (Top 2)</h4>
-            <div className="playoff-team-list">
-              {sortedStandings.slice(0, 2).map(team => (
-                <div key={team.rank} className="playoff-team bye">
-                  <span className="playoff-rank">#{team.rank}</span>
-                  <span className="playoff-team-name">{team.team.name}</span>
-                  <span className="playoff-record">{team.record}</span>
-                </div>
+            </thead>
+            <tbody>
+              {sortedStandings.map((team, index) => (
+                <tr 
+                  key={team.teamId} 
+                  className={`standings-row ${getRankClass(team)} ${
+                    isUserTeam(team) ? 'selected-team' : ''
+                  }`}
+                >
+                  <td className="rank-cell">
+                    <span className={`rank-number ${getRankClass(team)}`}>
+                      {team.rank}
+                    </span>
+                  </td>
+                  <td className="team-cell">
+                    <div className="team-info">
+                      <span className="team-name">{team.team.name}</span>
+                      {isUserTeam(team) && (
+                        <span className="your-team-badge">Your Team</span>
+                      )}
+                    </div>
+                  </td>
+                  <td className="owner-cell">{team.team.owner}</td>
+                  <td className="wins-cell">{team.team.wins}</td>
+                  <td className="losses-cell">{team.team.losses}</td>
+                  <td className="pct-cell">{(team.winPercentage * 100).toFixed(1)}%</td>
+                  <td className="pf-cell">{team.team.pointsFor.toFixed(1)}</td>
+                  <td className="pa-cell">{team.team.pointsAgainst.toFixed(1)}</td>
+                  <td className="gb-cell">{team.gamesBack}</td>
+                  <td className="streak-cell">
+                    <span className={`streak ${getStreakClass(team.streak)}`}>
+                      {team.streak}
+                    </span>
+                  </td>
+                  {playoffOdds && (
+                    <>
+                      <td className="odds-cell">{getOdds(team) ? formatOdds(getOdds(team).playoffOdds) : '-'}</td>
+                      {byeCount > 0 && (
+                        <td className="odds-cell">{getOdds(team) ? formatOdds(getOdds(team).byeOdds) : '-'}</td>
+                      )}
+                      <td className="odds-cell">{getOdds(team) ? formatOdds(getOdds(team).championshipOdds) : '-'}</td>
+                    </>
+                  )}
+                </tr>
               ))}
-            </div>
-          </div>
-          
-          <div className="playoff-section">
-            <h4>Wild Card (3-6)</h4>
-            <div className="playoff-team-list">
-              {sortedStandings.slice(2, 6).map(team => (
-                <div key={team.rank} className="playoff-team wildcard">
-                  <span className="playoff-rank">#{team.rank}</span>
-                  <span className="playoff-team-name">{team.team.name}</span>
-                  <span className="playoff-record">{team.record}</span>
-                </div>
-              ))}
-            </div>
-          </div>
-          
-          <div className="playoff-section">
-            <h4>Out of Playoffs (7-10)</h4>
-            <div className="playoff-team-list">
-              {sortedStandings.slice(6).map(team => (
-                <div key={team.rank} className="playoff-team out">
-                  <span className="playoff-rank">#{team.rank}</span>
-                  <span className="playoff-team-name">{team.team.name}</span>
-                  <span className="playoff-record">{team.record}</span>
+            </tbody>
+          </table>
+        </div>
+
+        {/* Playoff Picture */}
+        <div className="playoff-picture">
+          <h3>🏆 Playoff Picture</h3>
+          <div className="playoff-teams">
+            {[
+              { title: `Bye Week (Top ${byeCount})`, className: 'bye', teams: standingsData.slice(0, byeCount) },
+              {
+                title: `${byeCount > 0 ? 'Wild Card' : 'Playoffs'} (${byeCount + 1}-${playoffTeams})`,
+                className: 'wildcard',
+                teams: standingsData.slice(byeCount, playoffTeams)
+              },
+              {
+                title: `Out of Playoffs (${playoffTeams + 1}-${standingsData.length})`,
+                className: 'out',
+                teams: standingsData.slice(playoffTeams)
+              }
+            ]
+              .filter(section => section.teams.length > 0)
+              .map(section => (
+                <div key={section.className} className="playoff-section">
+                  <h4>{section.title}</h4>
+                  <div className="playoff-team-list">
+                    {section.teams.map(team => (
+                      <div key={team.teamId} className={`playoff-team ${section.className}`}>
+                        <span className="playoff-rank">#{team.rank}</span>
+                        <span className="playoff-team-name">{team.team.name}</span>
+                        <span className="playoff-record">{team.record}</span>
+                        {getOdds(team) && (
+                          <span className="playoff-odds" title="Simulated playoff odds">
+                            {formatOdds(getOdds(team).playoffOdds)}
+                          </span>
+                        )}
+                      </div>
+                    ))}
+                  </div>
                 </div>
               ))}
-            </div>
           </div>
+          {playoffOdds && (
+            <p className="playoff-odds-note">
+              Odds from {playoffOdds.simulations.toLocaleString()} simulations of the remaining{' '}
+              {playoffOdds.remainingWeeks} regular season week{playoffOdds.remainingWeeks === 1 ? '' : 's'} and
+              the playoff bracket, using projected lineups with each team's weekly scoring variance.
+            </p>
+          )}
         </div>
-      </div>
 
-      {/* League Stats */}
-      <div className="league-stats">
-        <h3>📊 League Statistics</h3>
-        <div className="stats-grid">
-          <div className="stat-card">
-            <span className="stat-label">Total Teams</span>
-            <span className="stat-value">{standingsData.length}</span>
-          </div>
-          <div className="stat-card">
-            <span className="stat-label">Games Played</span>
-            <span className="stat-value">{standingsData[0].team.wins + standingsData[0].team.losses}</span>
-          </div>
-          <div className="stat-card">
-            <span className="stat-label">Highest Score</span>
-            <span className="stat-value">
-              {Math.max(...standingsData.map(t => t.team.pointsFor)).toFixed(1)}
-            </span>
-          </div>
-          <div className="stat-card">
-            <span className="stat-label">Lowest Score</span>
-            <span className="stat-value">
-              {Math.min(...standingsData.map(t => t.team.pointsFor)).toFixed(1)}
-            </span>
+        {/* League Stats */}
+        <div className="league-stats">
+          <h3>📊 League Statistics</h3>
+          <div className="stats-grid">
+            <div className="stat-card">
+              <span className="stat-label">Total Teams</span>
+              <span className="stat-value">{standingsData.length}</span>
+            </div>
+            <div className="stat-card">
+              <span className="stat-label">Games Played</span>
+              <span className="stat-value">{gamesPlayed}</span>
+            </div>
+            <div className="stat-card">
+              <span className="stat-label">Highest Score</span>
+              <span className="stat-value">
+                {Math.max(...standingsData.map(t => t.team.pointsFor)).toFixed(1)}
+              </span>
+            </div>
+            <div className="stat-card">
+              <span className="stat-label">Lowest Score</span>
+              <span className="stat-value">
+                {Math.min(...standingsData.map(t => t.team.pointsFor)).toFixed(1)}
+              </span>
+            </div>
           </div>
         </div>
-      </div>
+        </>
+      )}
     </div>
   );
 };
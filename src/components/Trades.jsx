@@ -0,0 +1,363 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import './Trades.css';
+import tradeAnalyzerService from '../services/tradeAnalyzerService';
+
+const Trades = ({
+  selectedTeam,
+  userData,
+  onTeamSelection,
+  allTeams
+}) => {
+  const [tradeContext, setTradeContext] = useState(null);
+  const [isLoadingTrades, setIsLoadingTrades] = useState(false);
+  const [tradeError, setTradeError] = useState('');
+  const [partnerRosterId, setPartnerRosterId] = useState(null);
+  const [givePlayerIds, setGivePlayerIds] = useState([]);
+  const [receivePlayerIds, setReceivePlayerIds] = useState([]);
+  const [proposals, setProposals] = useState(null);
+
+  const sleeperTeams = useMemo(
+    () => (allTeams || []).filter(team => team.platform === 'sleeper'),
+    [allTeams]
+  );
+
+  // Auto-select the first Sleeper league when the current selection can't be traded in here
+  useEffect(() => {
+    if (sleeperTeams.length > 0 && (!selectedTeam || selectedTeam.platform !== 'sleeper')) {
+      onTeamSelection(sleeperTeams[0]);
+    }
+  }, [sleeperTeams, selectedTeam, onTeamSelection]);
+
+  // Load every roster in the selected league
+  useEffect(() => {
+    if (!selectedTeam || selectedTeam.platform !== 'sleeper' || !userData) return;
+
+    let isCurrent = true;
+    const loadTradeContext = async () => {
+      setIsLoadingTrades(true);
+      setTradeError('');
+      setTradeContext(null);
+      setPartnerRosterId(null);
+      setGivePlayerIds([]);
+      setReceivePlayerIds([]);
+      setProposals(null);
+      try {
+        const context = await tradeAnalyzerService.getLeagueTradeContext(userData.user_id, selectedTeam.leagueId);
+        if (isCurrent) {
+          setTradeContext(context);
+        }
+      } catch (error) {
+        console.error('Error loading trade data:', error);
+        if (isCurrent) {
+          setTradeError('Failed to load rosters for this league.');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsLoadingTrades(false);
+        }
+      }
+    };
+
+    loadTradeContext();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [selectedTeam, userData]);
+
+  const analysis = useMemo(() => {
+    if (!tradeContext || !partnerRosterId || (givePlayerIds.length === 0 && receivePlayerIds.length === 0)) {
+      return null;
+    }
+    return tradeAnalyzerService.analyzeTrade(tradeContext, partnerRosterId, givePlayerIds, receivePlayerIds);
+  }, [tradeContext, partnerRosterId, givePlayerIds, receivePlayerIds]);
+
+  if (!userData) {
+    return (
+      <div className="trades-content">
+        <h2>🤝 Trades</h2>
+        <p>Please connect to your fantasy platform first to analyze trades.</p>
+      </div>
+    );
+  }
+
+  if (sleeperTeams.length === 0) {
+    return (
+      <div className="trades-content">
+        <h2>🤝 Trades</h2>
+        <p>The trade analyzer is currently available for Sleeper leagues only.</p>
+      </div>
+    );
+  }
+
+  const myTeam = tradeContext?.teams.find(team => team.rosterId === tradeContext.myRosterId);
+  const partnerTeam = tradeContext?.teams.find(team => team.rosterId === partnerRosterId);
+
+  const togglePlayer = (playerId, selectedIds, setSelectedIds) => {
+    setSelectedIds(selectedIds.includes(playerId)
+      ? selectedIds.filter(id => id !== playerId)
+      : [...selectedIds, playerId]);
+  };
+
+  // Scan every roster for trades that help both sides
+  const findTrades = () => {
+    setProposals(tradeAnalyzerService.findTrades(tradeContext));
+  };
+
+  // Load a proposal into the analyzer
+  const selectProposal = (proposal) => {
+    setPartnerRosterId(proposal.partnerRosterId);
+    setGivePlayerIds(proposal.givePlayerIds);
+    setReceivePlayerIds(proposal.receivePlayerIds);
+  };
+
+  const getPlayerName = (player) => (
+    player.first_name ? `${player.first_name} ${player.last_name}` : player.player_id
+  );
+
+  const formatChange = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+  const getChangeClass = (value) => {
+    if (value > 0.05) return 'positive';
+    if (value < -0.05) return 'negative';
+    return '';
+  };
+
+  const getFairnessClass = (fairness) => {
+    if (fairness.label === 'Fair') return 'fair';
+    return fairness.margin > 0 ? 'favorable' : 'unfavorable';
+  };
+
+  const renderRoster = (team, selectedIds, setSelectedIds) => (
+    <div className="trade-roster">
+      <h4>{team.teamName}</h4>
+      <div className="trade-player-list">
+        {[...team.players]
+          .sort((a, b) => (b.projections?.rest_of_year || 0) - (a.projections?.rest_of_year || 0))
+          .map(player => (
+            <label
+              key={player.player_id}
+              className={`trade-player ${selectedIds.includes(player.player_id) ? 'selected' : ''}`}
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(player.player_id)}
+                onChange={() => togglePlayer(player.player_id, selectedIds, setSelectedIds)}
+              />
+              <span className="trade-player-name">{getPlayerName(player)}</span>
+              <span className="trade-player-meta">{player.position}{player.team ? ` • ${player.team}` : ''}</span>
+              <span className="trade-player-points" title="This week / rest of season">
+                {(player.projections?.projected_points || 0).toFixed(1)} / {(player.projections?.rest_of_year || 0).toFixed(0)}
+              </span>
+            </label>
+          ))}
+      </div>
+    </div>
+  );
+
+  const renderSide = (side, title) => (
+    <div className="trade-side">
+      <h4>{title}</h4>
+      <div className="trade-side-players">
+        <span className="trade-side-label">Gets:</span>
+        {side.incoming.length > 0 ? side.incoming.map(getPlayerName).join(', ') : 'Nothing'}
+      </div>
+      <div className="trade-side-players">
+        <span className="trade-side-label">Gives:</span>
+        {side.outgoing.length > 0 ? side.outgoing.map(getPlayerName).join(', ') : 'Nothing'}
+      </div>
+      <table className="trade-impact-table">
+        <thead>
+          <tr>
+            <th>Optimal Lineup</th>
+            <th>Before</th>
+            <th>After</th>
+            <th>Change</th>
+          </tr>
+        </thead>
+        <tbody>
+          <tr>
+            <td>Week {tradeContext.week}</td>
+            <td>{side.weekBefore.toFixed(1)}</td>
+            <td>{side.weekAfter.toFixed(1)}</td>
+            <td className={getChangeClass(side.weekChange)}>{formatChange(side.weekChange)}</td>
+          </tr>
+          <tr>
+            <td>Rest of Season</td>
+            <td>{side.restOfSeasonBefore.toFixed(1)}</td>
+            <td>{side.restOfSeasonAfter.toFixed(1)}</td>
+            <td className={getChangeClass(side.restOfSeasonChange)}>{formatChange(side.restOfSeasonChange)}</td>
+          </tr>
+        </tbody>
+      </table>
+      <div className="trade-depth">
+        {analysis.positions.map(position => {
+          const before = side.depthBefore[position];
+          const after = side.depthAfter[position];
+          return (
+            <div key={position} className={`trade-depth-item ${getChangeClass(after - before)}`}>
+              <span className="trade-depth-position">{position}</span>
+              <span className="trade-depth-count">{before === after ? before : `${before} → ${after}`}</span>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="trades-content">
+      <div className="trades-header">
+        <div className="header-left">
+          <h2>🤝 Trade Analyzer</h2>
+          <div className="league-selector">
+            <select
+              value={selectedTeam?.platform === 'sleeper' ? selectedTeam.teamId : ''}
+              onChange={(e) => {
+                const team = sleeperTeams.find(t => t.teamId === e.target.value);
+                if (team && onTeamSelection) {
+                  onTeamSelection(team);
+                }
+              }}
+              className="league-dropdown"
+            >
+              <option value="">Select a league...</option>
+              {sleeperTeams.map(team => (
+                <option key={team.teamId} value={team.teamId}>
+                  {team.leagueName}
+                </option>
+              ))}
+            </select>
+          </div>
+          {tradeContext && (
+            <div className="league-selector">
+              <select
+                value={partnerRosterId || ''}
+                onChange={(e) => {
+                  setPartnerRosterId(e.target.value ? parseInt(e.target.value) : null);
+                  setReceivePlayerIds([]);
+                }}
+                className="league-dropdown"
+              >
+                <option value="">Trade with...</option>
+                {tradeContext.teams
+                  .filter(team => team.rosterId !== tradeContext.myRosterId)
+                  .map(team => (
+                    <option key={team.rosterId} value={team.rosterId}>
+                      {team.teamName}
+                    </option>
+                  ))}
+              </select>
+            </div>
+          )}
+        </div>
+        <div className="header-actions">
+          {isLoadingTrades && (
+            <div className="loading-indicator">
+              <span>🔄 Loading rosters...</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {tradeError && (
+        <div className="error-message">{tradeError}</div>
+      )}
+
+      {tradeContext && (
+        <>
+          <p className="trades-description">
+            Pick players on both sides. Each team's optimal lineup is re-solved with the trade applied,
+            using this league's scoring settings.
+          </p>
+
+          <div className="trade-finder">
+            <div className="trade-finder-header">
+              <h3>🔍 Trade Finder</h3>
+              <button className="trade-finder-button" onClick={findTrades}>
+                {proposals ? 'Search Again' : 'Find Trades'}
+              </button>
+            </div>
+            {proposals && (
+              proposals.length === 0 ? (
+                <p className="trade-finder-empty">
+                  No trades found that improve both starting lineups. Your bench may not match other teams' needs.
+                </p>
+              ) : (
+                <>
+                  <p className="trade-finder-note">
+                    Your bench surplus for other teams' surplus at your weakest spots, ranked by the smaller of the
+                    two rest-of-season lineup gains. Select a trade to see the full breakdown.
+                  </p>
+                  <table className="trade-finder-table">
+                    <thead>
+                      <tr>
+                        <th>Partner</th>
+                        <th>You Give</th>
+                        <th>You Get</th>
+                        <th>Your Lineup (ROS)</th>
+                        <th>Their Lineup (ROS)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {proposals.map(proposal => (
+                        <tr
+                          key={`${proposal.partnerRosterId}-${proposal.givePlayerIds.join('.')}-${proposal.receivePlayerIds.join('.')}`}
+                          className="trade-proposal"
+                          onClick={() => selectProposal(proposal)}
+                        >
+                          <td>{proposal.theirSide.teamName}</td>
+                          <td>{proposal.mySide.outgoing.map(getPlayerName).join(', ')}</td>
+                          <td>{proposal.mySide.incoming.map(getPlayerName).join(', ')}</td>
+                          <td>
+                            {proposal.mySide.restOfSeasonBefore.toFixed(1)} → {proposal.mySide.restOfSeasonAfter.toFixed(1)}
+                            <span className="positive"> ({formatChange(proposal.mySide.restOfSeasonChange)})</span>
+                          </td>
+                          <td>
+                            {proposal.theirSide.restOfSeasonBefore.toFixed(1)} → {proposal.theirSide.restOfSeasonAfter.toFixed(1)}
+                            <span className="positive"> ({formatChange(proposal.theirSide.restOfSeasonChange)})</span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )
+            )}
+          </div>
+
+          {analysis && (
+            <div className="trade-analysis">
+              <div className={`trade-fairness ${getFairnessClass(analysis.fairness)}`}>
+                <span className="trade-fairness-label">{analysis.fairness.label}</span>
+                <div className="trade-fairness-meter">
+                  <span className="trade-fairness-marker" style={{ left: `${analysis.fairness.score}%` }} />
+                </div>
+                <span className="trade-fairness-detail">
+                  Rest-of-season lineup gain difference: {formatChange(analysis.fairness.difference)} pts
+                </span>
+              </div>
+              <div className="trade-sides">
+                {renderSide(analysis.mySide, 'Your Team')}
+                {renderSide(analysis.theirSide, analysis.theirSide.teamName)}
+              </div>
+            </div>
+          )}
+
+          <div className="trade-rosters">
+            {myTeam && renderRoster(myTeam, givePlayerIds, setGivePlayerIds)}
+            {partnerTeam ? (
+              renderRoster(partnerTeam, receivePlayerIds, setReceivePlayerIds)
+            ) : (
+              <div className="trade-roster empty">
+                <p>Choose a team to trade with.</p>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Trades;
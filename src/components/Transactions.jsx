@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import './Transactions.css';
+import fantasyDataService from '../services/fantasyDataService';
+
+const TYPE_LABELS = {
+  trade: '🤝 Trade',
+  waiver: '📋 Waiver',
+  free_agent: '🆓 Free Agent',
+  commissioner: '⚙️ Commissioner'
+};
+
+const Transactions = ({
+  selectedTeam,
+  userData,
+  onTeamSelection,
+  allTeams
+}) => {
+  const [transactions, setTransactions] = useState([]);
+  const [isLoadingTransactions, setIsLoadingTransactions] = useState(false);
+  const [transactionsError, setTransactionsError] = useState('');
+  const [typeFilter, setTypeFilter] = useState('all');
+  const [weekFilter, setWeekFilter] = useState('all');
+  const [managerFilter, setManagerFilter] = useState('all');
+  const [showFailed, setShowFailed] = useState(true);
+
+  const sleeperTeams = useMemo(
+    () => (allTeams || []).filter(team => team.platform === 'sleeper'),
+    [allTeams]
+  );
+
+  // Auto-select the first Sleeper league when the current selection has no transactions feed
+  useEffect(() => {
+    if (sleeperTeams.length > 0 && (!selectedTeam || selectedTeam.platform !== 'sleeper')) {
+      onTeamSelection(sleeperTeams[0]);
+    }
+  }, [sleeperTeams, selectedTeam, onTeamSelection]);
+
+  useEffect(() => {
+    if (!selectedTeam || selectedTeam.platform !== 'sleeper' || !userData) return;
+
+    let isCurrent = true;
+    const loadTransactions = async () => {
+      setIsLoadingTransactions(true);
+      setTransactionsError('');
+      setWeekFilter('all');
+      setManagerFilter('all');
+      try {
+        const result = await fantasyDataService.getLeagueTransactions(selectedTeam.leagueId);
+        if (isCurrent) {
+          setTransactions(result);
+        }
+      } catch (error) {
+        console.error('Error loading transactions:', error);
+        if (isCurrent) {
+          setTransactions([]);
+          setTransactionsError('Failed to load transactions for this league.');
+        }
+      } finally {
+        if (isCurrent) {
+          setIsLoadingTransactions(false);
+        }
+      }
+    };
+
+    loadTransactions();
+
+    return () => {
+      isCurrent = false;
+    };
+  }, [selectedTeam, userData]);
+
+  const weeks = useMemo(
+    () => Array.from(new Set(transactions.map(transaction => transaction.week))).sort((a, b) => b - a),
+    [transactions]
+  );
+
+  const managers = useMemo(() => {
+    const byRosterId = new Map();
+    transactions.forEach(transaction => {
+      transaction.managers.forEach(manager => byRosterId.set(manager.rosterId, manager.teamName));
+    });
+    return Array.from(byRosterId.entries())
+      .map(([rosterId, teamName]) => ({ rosterId, teamName }))
+      .sort((a, b) => a.teamName.localeCompare(b.teamName));
+  }, [transactions]);
+
+  const filteredTransactions = transactions.filter(transaction => {
+    if (typeFilter !== 'all' && transaction.type !== typeFilter) return false;
+    if (weekFilter !== 'all' && transaction.week !== parseInt(weekFilter)) return false;
+    if (managerFilter !== 'all' && !transaction.rosterIds.includes(parseInt(managerFilter))) return false;
+    if (!showFailed && transaction.status === 'failed') return false;
+    return true;
+  });
+
+  if (!userData) {
+    return (
+      <div className="transactions-content">
+        <h2>🔄 Transactions</h2>
+        <p>Please connect to your fantasy platform first to view league transactions.</p>
+      </div>
+    );
+  }
+
+  if (sleeperTeams.length === 0) {
+    return (
+      <div className="transactions-content">
+        <h2>🔄 Transactions</h2>
+        <p>The transactions feed is currently available for Sleeper leagues only.</p>
+      </div>
+    );
+  }
+
+  const formatTime = (timestamp) => (
+    timestamp ? new Date(timestamp).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) : ''
+  );
+
+  const renderMoves = (moves, kind) => moves.map(move => (
+    <div key={`${kind}-${move.playerId}`} className={`transaction-move ${kind}`}>
+      <span className="transaction-move-sign">{kind === 'add' ? '+' : '−'}</span>
+      <span className="transaction-move-player">{move.name}</span>
+      <span className="transaction-move-meta">{move.position}{move.team ? ` • ${move.team}` : ''}</span>
+    </div>
+  ));
+
+  // Trades list each side's haul under the receiving team
+  const renderTrade = (transaction) => (
+    <div className="transaction-trade">
+      {transaction.managers.map(manager => {
+        const received = transaction.adds.filter(move => move.rosterId === manager.rosterId);
+        const picks = transaction.draftPicks.filter(pick => pick.toRosterId === manager.rosterId);
+        const faab = transaction.faabTransfers.filter(transfer => transfer.toRosterId === manager.rosterId);
+        return (
+          <div key={manager.rosterId} className="transaction-trade-side">
+            <span className="transaction-trade-team">{manager.teamName} receives</span>
+            {renderMoves(received, 'add')}
+            {picks.map(pick => (
+              <div key={`${pick.season}-${pick.round}-${pick.originalTeamName}`} className="transaction-move add">
+                <span className="transaction-move-sign">+</span>
+                <span className="transaction-move-player">{pick.season} Round {pick.round} pick</span>
+                <span className="transaction-move-meta">via {pick.originalTeamName}</span>
+              </div>
+            ))}
+            {faab.map((transfer, index) => (
+              <div key={`faab-${index}`} className="transaction-move add">
+                <span className="transaction-move-sign">+</span>
+                <span className="transaction-move-player">${transfer.amount} FAAB</span>
+              </div>
+            ))}
+            {received.length === 0 && picks.length === 0 && faab.length === 0 && (
+              <span className="transaction-move-meta">Nothing</span>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+
+  return (
+    <div className="transactions-content">
+      <div className="transactions-header">
+        <div className="header-left">
+          <h2>🔄 Transactions</h2>
+          <div className="league-selector">
+            <select
+              value={selectedTeam?.platform === 'sleeper' ? selectedTeam.teamId : ''}
+              onChange={(e) => {
+                const team = sleeperTeams.find(t => t.teamId === e.target.value);
+                if (team && onTeamSelection) {
+                  onTeamSelection(team);
+                }
+              }}
+              className="league-dropdown"
+            >
+              <option value="">Select a league...</option>
+              {sleeperTeams.map(team => (
+                <option key={team.teamId} value={team.teamId}>
+                  {team.leagueName}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+        <div className="header-actions">
+          {isLoadingTransactions && (
+            <div className="loading-indicator">
+              <span>🔄 Loading transactions...</span>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="transactions-filters">
+        <div className="transactions-type-filter">
+          {['all', 'trade', 'waiver', 'free_agent'].map(type => (
+            <button
+              key={type}
+              className={`transactions-filter-button ${typeFilter === type ? 'active' : ''}`}
+              onClick={() => setTypeFilter(type)}
+            >
+              {type === 'all' ? 'All' : TYPE_LABELS[type]}
+            </button>
+          ))}
+        </div>
+        <select value={weekFilter} onChange={(e) => setWeekFilter(e.target.value)} className="transactions-select">
+          <option value="all">All weeks</option>
+          {weeks.map(week => (
+            <option key={week} value={week}>Week {week}</option>
+          ))}
+        </select>
+        <select value={managerFilter} onChange={(e) => setManagerFilter(e.target.value)} className="transactions-select">
+          <option value="all">All managers</option>
+          {managers.map(manager => (
+            <option key={manager.rosterId} value={manager.rosterId}>{manager.teamName}</option>
+          ))}
+        </select>
+        <label className="transactions-failed-toggle">
+          <input type="checkbox" checked={showFailed} onChange={(e) => setShowFailed(e.target.checked)} />
+          Show failed claims
+        </label>
+      </div>
+
+      {transactionsError && (
+        <div className="error-message">{transactionsError}</div>
+      )}
+
+      {!isLoadingTransactions && !transactionsError && filteredTransactions.length === 0 && (
+        <p className="transactions-empty">No transactions match these filters.</p>
+      )}
+
+      <div className="transactions-list">
+        {filteredTransactions.map(transaction => (
+          <div key={transaction.id} className={`transaction-item ${transaction.type} ${transaction.status}`}>
+            <div className="transaction-item-header">
+              <span className="transaction-type">{TYPE_LABELS[transaction.type] || transaction.type}</span>
+              {transaction.type !== 'trade' && (
+                <span className="transaction-team">{transaction.managers.map(manager => manager.teamName).join(', ')}</span>
+              )}
+              {transaction.faabBid !== null && (
+                <span className="transaction-bid">${transaction.faabBid}</span>
+              )}
+              {transaction.status === 'failed' && (
+                <span className="transaction-failed">Failed</span>
+              )}
+              <span className="transaction-time">Week {transaction.week} • {formatTime(transaction.created)}</span>
+            </div>
+            {transaction.type === 'trade' ? (
+              renderTrade(transaction)
+            ) : (
+              <div className="transaction-moves">
+                {renderMoves(transaction.adds, 'add')}
+                {renderMoves(transaction.drops, 'drop')}
+              </div>
+            )}
+            {transaction.status === 'failed' && transaction.notes && (
+              <div className="transaction-notes">{transaction.notes}</div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default Transactions;
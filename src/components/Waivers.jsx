@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './Waivers.css';
+import waiverAdvisorService from '../services/waiverAdvisorService';
+import FaabPanel from './FaabPanel';
+
+const Waivers = ({ userData, allTeams }) => {
+  const [leagueResults, setLeagueResults] = useState([]);
+  const [isLoadingWaivers, setIsLoadingWaivers] = useState(false);
+  const [lastUpdated, setLastUpdated] = useState(null);
+
+  const sleeperTeams = (allTeams || []).filter(team => team.platform === 'sleeper');
+
+  // Build recommendations for every Sleeper league
+  const loadRecommendations = useCallback(async () => {
+    if (!userData || !allTeams || allTeams.length === 0) return;
+
+    setIsLoadingWaivers(true);
+    try {
+      const results = await waiverAdvisorService.getRecommendationsForLeagues(userData.user_id, allTeams);
+      setLeagueResults(results);
+      setLastUpdated(new Date());
+    } finally {
+      setIsLoadingWaivers(false);
+    }
+  }, [userData, allTeams]);
+
+  useEffect(() => {
+    loadRecommendations();
+  }, [loadRecommendations]);
+
+  const getPlayerName = (player) => (
+    player.first_name ? `${player.first_name} ${player.last_name}` : player.player_id
+  );
+
+  const formatGain = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)}`;
+
+  const formatBid = (suggestedBid) => (
+    suggestedBid.low === suggestedBid.high ? `$${suggestedBid.low}` : `$${suggestedBid.low}–$${suggestedBid.high}`
+  );
+
+  if (!userData) {
+    return (
+      <div className="waivers-content">
+        <h2>📋 Waiver Wire</h2>
+        <p>Please connect to your fantasy platform first to view waiver recommendations.</p>
+      </div>
+    );
+  }
+
+  if (sleeperTeams.length === 0) {
+    return (
+      <div className="waivers-content">
+        <h2>📋 Waiver Wire</h2>
+        <p>Waiver recommendations are currently available for Sleeper leagues only.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="waivers-content">
+      <div className="waivers-header">
+        <div className="header-left">
+          <h2>📋 Waiver Wire</h2>
+          {lastUpdated && (
+            <span className="waivers-updated">Updated {lastUpdated.toLocaleTimeString()}</span>
+          )}
+        </div>
+        <div className="header-actions">
+          <button className="waivers-refresh-button" onClick={loadRecommendations} disabled={isLoadingWaivers}>
+            {isLoadingWaivers ? '🔄 Analyzing...' : '🔄 Refresh'}
+          </button>
+        </div>
+      </div>
+
+      <p className="waivers-description">
+        Free agents ranked by value added over the weakest player you'd drop at their position,
+        blending this week's projection with the rest-of-season weekly average.
+      </p>
+
+      {isLoadingWaivers && leagueResults.length === 0 && (
+        <p>Analyzing free agents across your leagues...</p>
+      )}
+
+      {leagueResults.map(result => (
+        <div key={result.leagueId} className="waivers-league">
+          <div className="waivers-league-header">
+            <h3>{result.team.leagueName}</h3>
+            {result.week && <span className="waivers-week">Week {result.week}</span>}
+          </div>
+
+          {result.error ? (
+            <div className="error-message">{result.error}</div>
+          ) : result.recommendations.length === 0 ? (
+            <p className="waivers-empty">No free agents would improve this roster right now.</p>
+          ) : (
+            <table className="waivers-table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>Add</th>
+                  <th>Drop</th>
+                  <th>This Week</th>
+                  <th>Rest of Season</th>
+                  <th>Net Gain</th>
+                  {result.faab?.isFaab && <th>Suggested Bid</th>}
+                </tr>
+              </thead>
+              <tbody>
+                {result.recommendations.map((rec, index) => (
+                  <tr key={rec.add.player_id}>
+                    <td className="waivers-rank">{index + 1}</td>
+                    <td>
+                      <span className="waivers-player add">{getPlayerName(rec.add)}</span>
+                      <span className="waivers-player-meta">{rec.position}{rec.add.team ? ` • ${rec.add.team}` : ''}</span>
+                    </td>
+                    <td>
+                      <span className="waivers-player drop">{getPlayerName(rec.drop)}</span>
+                      <span className="waivers-player-meta">{rec.drop.position}{rec.drop.team ? ` • ${rec.drop.team}` : ''}</span>
+                    </td>
+                    <td className={rec.weekGain >= 0 ? 'positive' : 'negative'}>{formatGain(rec.weekGain)}</td>
+                    <td className={rec.restOfSeasonGain >= 0 ? 'positive' : 'negative'}>{formatGain(rec.restOfSeasonGain)}</td>
+                    <td className="waivers-net-gain">{formatGain(rec.netGain)}/wk</td>
+                    {result.faab?.isFaab && (
+                      <td className="waivers-bid" title={rec.suggestedBid?.reason}>
+                        {rec.suggestedBid ? formatBid(rec.suggestedBid) : '—'}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {!result.error && <FaabPanel faab={result.faab} rosterId={result.rosterId} leagueId={result.leagueId} />}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default Waivers;
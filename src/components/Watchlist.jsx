@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import './Watchlist.css';
 import fantasyDataService from '../services/fantasyDataService';
+import nflMatchupsService from '../services/nflMatchupsService';
 
 const Watchlist = ({ 
   userData, 
@@ -12,6 +13,8 @@ const Watchlist = ({
   const [loading, setLoading] = useState(false);
   const [gamePlayers, setGamePlayers] = useState({});
   const [selectedTimes, setSelectedTimes] = useState(new Set());
+  const [bettingLines, setBettingLines] = useState({});
+  const [sortBy, setSortBy] = useState('time');
 
   // No need for team selection in watchlist - it aggregates across all teams
 
@@ -22,13 +25,27 @@ const Watchlist = ({
       try {
         console.log('Watchlist loading data with allTeams:', allTeams);
         
-        const [gamesData, playersData] = await Promise.all([
+        const [gamesData, playersData, oddsData] = await Promise.all([
           fantasyDataService.getCurrentNFLGames(),
-          fantasyDataService.getPlayersWithCache()
+          fantasyDataService.getPlayersWithCache(),
+          nflMatchupsService.getNflMatchups().catch(error => {
+            console.error('Error loading betting lines:', error);
+            return [];
+          })
         ]);
         
         setGames(gamesData);
         setAllPlayers(playersData);
+
+        // Match betting lines to games by team abbreviation and kickoff date
+        const linesByGame = {};
+        gamesData.forEach(game => {
+          const lines = nflMatchupsService.findBettingLines(oddsData, game.awayTeam, game.homeTeam, game.gameTime);
+          if (lines) {
+            linesByGame[game.id] = lines;
+          }
+        });
+        setBettingLines(linesByGame);
         
         // Initialize all unique times as selected by default
         const uniqueTimes = getUniqueStartTimes(gamesData);
@@ -154,6 +171,22 @@ const Watchlist = ({
       .map(item => item.timeString);
   };
 
+  // Format a spread with the favored team, e.g. "KC -3.5"
+  const formatSpread = (game, lines) => {
+    const teams = [game.awayTeam, game.homeTeam];
+    if (teams.every(team => lines.teams[team]?.spread === null || lines.teams[team]?.spread === undefined)) {
+      return 'N/A';
+    }
+    const favorite = teams.find(team => lines.teams[team]?.spread < 0);
+    return favorite ? `${favorite} ${lines.teams[favorite].spread}` : 'PK';
+  };
+
+  // Format a team's implied points
+  const formatImplied = (lines, team) => {
+    const implied = lines.teams[team]?.implied;
+    return implied !== null && implied !== undefined ? implied.toFixed(1) : 'N/A';
+  };
+
   // Toggle time selection
   const toggleTime = (time) => {
     const newSelectedTimes = new Set(selectedTimes);
@@ -166,11 +199,22 @@ const Watchlist = ({
   };
 
 
+  // Sort games by kickoff (already in schedule order) or by implied game total, highest first
+  const sortGames = (gamesToSort) => {
+    if (sortBy !== 'impliedTotal') return gamesToSort;
+
+    return [...gamesToSort].sort((a, b) => {
+      const aTotal = bettingLines[a.id]?.total ?? -1;
+      const bTotal = bettingLines[b.id]?.total ?? -1;
+      return bTotal - aTotal;
+    });
+  };
+
   // Filter games based on selected times
   const getFilteredGames = () => {
-    if (selectedTimes.size === 0) return games; // Show all if none selected
+    if (selectedTimes.size === 0) return sortGames(games); // Show all if none selected
     
-    return games.filter(game => {
+    return sortGames(games.filter(game => {
       if (!game.gameTime) return false;
       const date = new Date(game.gameTime);
       const timeString = date.toLocaleString('en-US', {
@@ -180,7 +224,7 @@ const Watchlist = ({
         hour12: true
       });
       return selectedTimes.has(timeString);
-    });
+    }));
   };
 
   return (
@@ -190,6 +234,14 @@ const Watchlist = ({
           <h2>👀 NFL Matchups</h2>
         </div>
         <div className="header-actions">
+          <select
+            value={sortBy}
+            onChange={(e) => setSortBy(e.target.value)}
+            className="sort-dropdown"
+          >
+            <option value="time">Sort by kickoff</option>
+            <option value="impliedTotal">Sort by implied total</option>
+          </select>
           {loading && (
             <div className="loading-indicator">
               <span>🔄 Loading matchups...</span>
@@ -236,9 +288,21 @@ const Watchlist = ({
                     <div className="game-time">
                       {formatGameTime(game.gameTime)}
                     </div>
-                    <div className="game-spread">
-                      Spread: TBD
-                    </div>
+                    {bettingLines[game.id] ? (
+                      <div className="game-lines">
+                        <span className="game-spread">Spread: {formatSpread(game, bettingLines[game.id])}</span>
+                        <span className="game-spread">
+                          O/U: {bettingLines[game.id].total !== null ? bettingLines[game.id].total : 'N/A'}
+                        </span>
+                        <span className="game-spread implied-totals">
+                          Implied: {game.awayTeam} {formatImplied(bettingLines[game.id], game.awayTeam)} • {game.homeTeam} {formatImplied(bettingLines[game.id], game.homeTeam)}
+                        </span>
+                      </div>
+                    ) : (
+                      <div className="game-spread">
+                        Spread: N/A
+                      </div>
+                    )}
                   </div>
                   <div 
                     className="game-status"
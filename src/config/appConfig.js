@@ -11,6 +11,21 @@ class AppConfig {
     this.sleeper = {
       baseUrl: process.env.SLEEPER_BASE_URL || 'https://api.sleeper.app/v1',
       rateLimit: parseInt(process.env.SLEEPER_RATE_LIMIT) || 1000,
+      // Full-season NFL schedule; served from api.sleeper.com, outside the documented v1 API
+      scheduleUrl: process.env.SLEEPER_SCHEDULE_URL || 'https://api.sleeper.com/schedule/nfl',
+    };
+
+    // HTTP Client Configuration (rate limits are requests per minute)
+    this.http = {
+      timeout: parseInt(process.env.HTTP_TIMEOUT) || 15 * 1000, // 15 seconds
+      maxRetries: parseInt(process.env.HTTP_MAX_RETRIES) || 3,
+      baseRetryDelay: 1000, // 1 second, doubled on each retry
+      defaultRateLimit: 600,
+      hostRateLimits: {
+        'api.sleeper.app': this.sleeper.rateLimit,
+        'api.sleeper.com': this.sleeper.rateLimit,
+        'fantasy.espn.com': parseInt(process.env.ESPN_RATE_LIMIT) || 100,
+      },
     };
 
     // App Configuration
@@ -32,6 +47,54 @@ class AppConfig {
     this.cache = {
       playerDuration: parseInt(process.env.PLAYER_CACHE_DURATION) || 24 * 60 * 60 * 1000, // 24 hours
       leagueDuration: parseInt(process.env.LEAGUE_CACHE_DURATION) || 5 * 60 * 1000, // 5 minutes
+      // Stale-while-revalidate windows per category: entries younger than freshFor are served as-is,
+      // entries up to maxAge are served immediately and refreshed in the background
+      categories: {
+        league: {
+          freshFor: parseInt(process.env.LEAGUE_INFO_CACHE_FRESH_FOR) || 60 * 60 * 1000, // 1 hour
+          maxAge: 24 * 60 * 60 * 1000,
+        },
+        rosters: {
+          freshFor: parseInt(process.env.ROSTERS_CACHE_FRESH_FOR) || 5 * 60 * 1000, // 5 minutes
+          maxAge: 60 * 60 * 1000,
+        },
+        users: {
+          freshFor: parseInt(process.env.USERS_CACHE_FRESH_FOR) || 30 * 60 * 1000, // 30 minutes
+          maxAge: 24 * 60 * 60 * 1000,
+        },
+        settings: {
+          freshFor: parseInt(process.env.SETTINGS_CACHE_FRESH_FOR) || 60 * 60 * 1000, // 1 hour
+          maxAge: 24 * 60 * 60 * 1000,
+        },
+        matchups: {
+          freshFor: parseInt(process.env.MATCHUPS_CACHE_FRESH_FOR) || 2 * 60 * 1000, // 2 minutes
+          maxAge: 60 * 60 * 1000,
+        },
+        transactions: {
+          freshFor: parseInt(process.env.TRANSACTIONS_CACHE_FRESH_FOR) || 5 * 60 * 1000, // 5 minutes
+          maxAge: 60 * 60 * 1000,
+        },
+        drafts: {
+          freshFor: parseInt(process.env.DRAFTS_CACHE_FRESH_FOR) || 10 * 60 * 1000, // 10 minutes
+          maxAge: 24 * 60 * 60 * 1000,
+        },
+        projections: {
+          freshFor: parseInt(process.env.PROJECTIONS_CACHE_FRESH_FOR) || 30 * 60 * 1000, // 30 minutes
+          maxAge: 6 * 60 * 60 * 1000,
+        },
+        stats: {
+          freshFor: parseInt(process.env.STATS_CACHE_FRESH_FOR) || 30 * 60 * 1000, // 30 minutes
+          maxAge: 6 * 60 * 60 * 1000,
+        },
+        nflState: {
+          freshFor: parseInt(process.env.NFL_STATE_CACHE_FRESH_FOR) || 30 * 60 * 1000, // 30 minutes
+          maxAge: 24 * 60 * 60 * 1000,
+        },
+        schedule: {
+          freshFor: parseInt(process.env.SCHEDULE_CACHE_FRESH_FOR) || 5 * 60 * 1000, // 5 minutes, game statuses change on game days
+          maxAge: 60 * 60 * 1000,
+        },
+      },
     };
 
     // UI Configuration
@@ -41,6 +104,93 @@ class AppConfig {
       maxPlayersDisplay: parseInt(process.env.MAX_PLAYERS_DISPLAY) || 50,
     };
 
+    // Waiver Advisor Configuration
+    this.waivers = {
+      weekWeight: parseFloat(process.env.WAIVER_WEEK_WEIGHT) || 0.4, // Share of a player's value from this week's projection
+      freeAgentsPerPosition: parseInt(process.env.WAIVER_FREE_AGENTS_PER_POSITION) || 25,
+      maxRecommendations: parseInt(process.env.WAIVER_MAX_RECOMMENDATIONS) || 10,
+      bidSearchPool: parseInt(process.env.WAIVER_BID_SEARCH_POOL) || 1000, // Free agents, by search rank, the bid picker searches
+    };
+
+    // Trade Analyzer Configuration
+    this.trades = {
+      fairMargin: parseFloat(process.env.TRADE_FAIR_MARGIN) || 0.02, // Rest-of-season gap (share of lineup points) still called fair
+      lopsidedMargin: parseFloat(process.env.TRADE_LOPSIDED_MARGIN) || 0.06,
+      surplusShare: parseFloat(process.env.TRADE_SURPLUS_SHARE) || 0.8, // Bench players this close to the league's typical starter are tradeable surplus
+      candidatesPerTeam: parseInt(process.env.TRADE_CANDIDATES_PER_TEAM) || 4,
+      maxProposals: parseInt(process.env.TRADE_MAX_PROPOSALS) || 10,
+    };
+
+    // Playoff Odds Configuration
+    this.playoffOdds = {
+      simulations: parseInt(process.env.PLAYOFF_ODDS_SIMULATIONS) || 10000,
+      scoreDeviationShare: parseFloat(process.env.PLAYOFF_ODDS_DEVIATION_SHARE) || 0.2, // Weekly score spread as a share of the mean, before a team has history
+      minWeeksForDeviation: parseInt(process.env.PLAYOFF_ODDS_MIN_WEEKS) || 3,
+    };
+
+    // Power Rankings Configuration
+    this.powerRankings = {
+      recentWeeks: parseInt(process.env.POWER_RANKINGS_RECENT_WEEKS) || 3,
+      weights: { // Share of the power score from each component
+        allPlay: 0.5,
+        pointsFor: 0.3,
+        recentForm: 0.2,
+      },
+    };
+
+    // Matchup Preview Configuration
+    this.matchupPreview = {
+      playerDeviationShare: parseFloat(process.env.MATCHUP_PLAYER_DEVIATION_SHARE) || 0.45, // A player's weekly spread as a share of their projection
+      liveRemainingShare: parseFloat(process.env.MATCHUP_LIVE_REMAINING_SHARE) || 0.5,
+      leveragePlayers: parseInt(process.env.MATCHUP_LEVERAGE_PLAYERS) || 6,
+    };
+
+    // Draft Assistant Configuration
+    this.draftAssistant = {
+      pollInterval: parseInt(process.env.DRAFT_POLL_INTERVAL) || 5 * 1000, // 5 seconds while a draft is running
+      preDraftPollInterval: parseInt(process.env.DRAFT_PRE_DRAFT_POLL_INTERVAL) || 30 * 1000, // Watch for the draft to start
+      poolSize: parseInt(process.env.DRAFT_POOL_SIZE) || 300, // Players ranked for the draft
+      tierGapDeviations: parseFloat(process.env.DRAFT_TIER_GAP_DEVIATIONS) || 1, // A projection drop this many SDs above the average gap starts a new tier
+    };
+
+    // Mock Draft Configuration
+    this.mockDraft = {
+      adpRandomness: parseFloat(process.env.MOCK_DRAFT_ADP_RANDOMNESS) || 3, // Spread of a bot's pick around ADP, in draft spots
+      needBonus: parseFloat(process.env.MOCK_DRAFT_NEED_BONUS) || 6, // Draft spots a bot will reach to fill an open starter
+      botCandidates: parseInt(process.env.MOCK_DRAFT_BOT_CANDIDATES) || 12, // Best-ADP players a bot considers each pick
+      positionCaps: { QB: 3, RB: 8, WR: 8, TE: 3, K: 1, DEF: 1 }, // Most a bot rosters at each position
+      kitMaxAge: parseInt(process.env.MOCK_DRAFT_KIT_MAX_AGE) || 24 * 60 * 60 * 1000, // Rebuild the saved draft kit after a day
+    };
+
+    // Dynasty Value Configuration
+    this.dynasty = {
+      horizonYears: { dynasty: 3, keeper: 2, redraft: 1 }, // Seasons of production a player is valued on, by league type
+      yearDiscount: parseFloat(process.env.DYNASTY_YEAR_DISCOUNT) || 0.85, // Each later season counts this much less
+      productionWeight: parseFloat(process.env.DYNASTY_PRODUCTION_WEIGHT) || 0.4, // Share from points per game so far; the rest from projections
+      gamesPerSeason: 17,
+      rookieAge: 22, // Age assumed for a rookie when Sleeper has no birth date or age; one more per years_exp
+      prospectMaxExperience: 1, // Players up to this years_exp without production are valued on the next class up
+      prospectMinSample: 3, // Producing players needed in a class to use its median as a prospect's expectation
+      ageCurves: { // Ages at their peak, improvement per year before it and decline per year after it
+        QB: { peakStart: 25, peakEnd: 32, growth: 0.05, decline: 0.08 },
+        RB: { peakStart: 22, peakEnd: 26, growth: 0.08, decline: 0.18 },
+        WR: { peakStart: 23, peakEnd: 29, growth: 0.08, decline: 0.12 },
+        TE: { peakStart: 24, peakEnd: 30, growth: 0.1, decline: 0.12 },
+        K: { peakStart: 25, peakEnd: 36, growth: 0, decline: 0.03 },
+      },
+      futurePickSeasons: 3,
+      pickValueShares: { 1: 0.6, 2: 0.25, 3: 0.1 }, // A rookie pick's value as a share of an average starter's, by round
+      laterRoundPickShare: 0.05,
+      contendPercentile: 0.67, // Lineup strength percentile at or above which a team should contend
+      rebuildPercentile: 0.33,
+    };
+
+    // Live Scoring Configuration
+    this.live = {
+      activePollInterval: parseInt(process.env.LIVE_ACTIVE_POLL_INTERVAL) || 30 * 1000, // 30 seconds while games are on
+      pregamePollInterval: parseInt(process.env.LIVE_PREGAME_POLL_INTERVAL) || 5 * 60 * 1000, // 5 minutes earlier on game days
+    };
+
     // Environment Detection
     this.environment = {
       isDevelopment: process.env.NODE_ENV === 'development',
@@ -120,6 +270,11 @@ class AppConfig {
     return this.cache.leagueDuration;
   }
 
+  // Stale-while-revalidate window ({ freshFor, maxAge }) for a cache category
+  getCacheWindow(category) {
+    return this.cache.categories[category];
+  }
+
   get defaultTheme() {
     return this.ui.defaultTheme;
   }
@@ -132,6 +287,14 @@ class AppConfig {
     return this.ui.maxPlayersDisplay;
   }
 
+  get liveActivePollInterval() {
+    return this.live.activePollInterval;
+  }
+
+  get livePregamePollInterval() {
+    return this.live.pregamePollInterval;
+  }
+
   get isDevelopment() {
     return this.environment.isDevelopment;
   }
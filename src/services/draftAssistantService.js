@@ -0,0 +1,280 @@
+// Draft Assistant Service
+// Follows an in-progress Sleeper draft: who is still available, ranked by our projections with
+// positional tiers, the user's unfilled starting slots and how many picks remain until their turn
+
+import sleeperApi from './sleeperApi';
+import fantasyDataService from './fantasyDataService';
+import projectionsService from './projectionsService';
+import lineupOptimizer from './lineupOptimizer';
+import appConfig from '../config/appConfig';
+
+class DraftAssistantService {
+  constructor() {
+    // Ranked player pools per league and season; building one scores every week of projections
+    this.poolPromises = new Map();
+  }
+
+  // Draft slot (1-based) that makes an overall pick, for snake and linear orders.
+  // Sleeper's third round reversal flips the snake direction from reversal_round onward.
+  getPickSlot(pickNo, teams, type, reversalRound = 0) {
+    const round = Math.ceil(pickNo / teams);
+    const index = (pickNo - 1) % teams;
+    if (type !== 'snake') {
+      return index + 1;
+    }
+    let reversed = round % 2 === 0;
+    if (reversalRound && round >= reversalRound) {
+      reversed = !reversed;
+    }
+    return reversed ? teams - index : index + 1;
+  }
+
+  /**
+   * Where the draft stands relative to the user's next pick
+   * @returns {Object|null} { currentPick, totalPicks, myNextPick, myFollowingPick, picksUntilMyTurn, isMyTurn };
+   *   null for auctions, which have no turn order
+   */
+  getTurn(draft, pickCount, mySlot) {
+    if (draft.type === 'auction' || !mySlot) return null;
+
+    const teams = draft.settings?.teams || 0;
+    const totalPicks = teams * (draft.settings?.rounds || 0);
+    const currentPick = pickCount + 1;
+    const reversalRound = draft.settings?.reversal_round || 0;
+
+    const myPicks = [];
+    for (let pickNo = currentPick; pickNo <= totalPicks && myPicks.length < 2; pickNo++) {
+      if (this.getPickSlot(pickNo, teams, draft.type, reversalRound) === mySlot) {
+        myPicks.push(pickNo);
+      }
+    }
+
+    return {
+      currentPick,
+      totalPicks,
+      myNextPick: myPicks[0] || null,
+      myFollowingPick: myPicks[1] || null,
+      picksUntilMyTurn: myPicks[0] ? myPicks[0] - currentPick : null,
+      isMyTurn: myPicks[0] === currentPick
+    };
+  }
+
+  // Break each position into tiers wherever the projection drop to the next player is unusually large
+  assignTiers(pool) {
+    const byPosition = {};
+    pool.forEach(player => {
+      (byPosition[player.position] = byPosition[player.position] || []).push(player);
+    });
+
+    Object.values(byPosition).forEach(players => {
+      const gaps = players.slice(1).map((player, index) => players[index].draftProjection - player.draftProjection);
+      const mean = gaps.length > 0 ? gaps.reduce((total, gap) => total + gap, 0) / gaps.length : 0;
+      const deviation = gaps.length > 0
+        ? Math.sqrt(gaps.reduce((total, gap) => total + (gap - mean) ** 2, 0) / gaps.length)
+        : 0;
+      const threshold = mean + appConfig.draftAssistant.tierGapDeviations * deviation;
+
+      let tier = 1;
+      players.forEach((player, index) => {
+        if (index > 0 && gaps[index - 1] > threshold) {
+          tier++;
+        }
+        player.tier = tier;
+        player.positionRank = index + 1;
+      });
+    });
+
+    return pool;
+  }
+
+  /**
+   * Every draftable player ranked by season projection with the league's scoring
+   * @returns {Array} Enhanced players with draftProjection, overallRank, positionRank and tier
+   */
+  async getDraftPool(leagueId, season) {
+    const key = `${leagueId}_${season}`;
+    if (!this.poolPromises.has(key)) {
+      const promise = this.buildDraftPool(leagueId, season).catch(error => {
+        this.poolPromises.delete(key);
+        throw error;
+      });
+      this.poolPromises.set(key, promise);
+    }
+    return this.poolPromises.get(key);
+  }
+
+  async buildDraftPool(leagueId, season) {
+    const [league, players, scoringSettings, currentSeason, currentWeek] = await Promise.all([
+      fantasyDataService.getLeagueWithCache(leagueId),
+      fantasyDataService.getPlayersWithCache(),
+      fantasyDataService.getLeagueScoringSettings(leagueId),
+      projectionsService.getCurrentNFLSeason(),
+      projectionsService.getCurrentNFLWeek()
+    ]);
+
+    // A draft for next season scores the whole of it; one mid-season scores what is left
+    const week = String(season) === String(currentSeason) ? currentWeek : 1;
+    const context = await fantasyDataService.getEnhancementContext(season, week);
+
+    const positions = lineupOptimizer.getStartablePositions(league?.roster_positions);
+    const candidates = Object.values(players).filter(player => (
+      player.team && positions.includes(player.position) && player.active !== false
+    ));
+
+    const pool = fantasyDataService.enhancePlayerData(candidates, context, scoringSettings)
+      .map(player => ({
+        ...player,
+        draftProjection: (player.projections?.projected_points || 0) + (player.projections?.rest_of_year || 0)
+      }))
+      .filter(player => player.draftProjection > 0)
+      .sort((a, b) => b.draftProjection - a.draftProjection)
+      .slice(0, appConfig.draftAssistant.poolSize)
+      .map((player, index) => ({ ...player, overallRank: index + 1 }));
+
+    return this.assignTiers(pool);
+  }
+
+  // The draft to follow: one in progress, else one about to start, else the league's main draft
+  selectDraft(drafts, league) {
+    return drafts.find(draft => draft.status === 'drafting')
+      || drafts.find(draft => draft.status === 'pre_draft')
+      || drafts.find(draft => draft.draft_id === league?.draft_id)
+      || drafts[0]
+      || null;
+  }
+
+  /**
+   * Tier run-out alerts: positions whose best remaining tier could be gone before the user picks again
+   * @returns {Array} { position, tier, remaining, picksUntilMyTurn, isNeed }, needs first
+   */
+  getTierAlerts(available, turn, neededPositions) {
+    if (!turn || !turn.picksUntilMyTurn) return [];
+
+    const alerts = [];
+    const seen = new Set();
+    available.forEach(player => {
+      if (seen.has(player.position)) return;
+      seen.add(player.position);
+
+      const remaining = available.filter(other => other.position === player.position && other.tier === player.tier).length;
+      if (remaining <= turn.picksUntilMyTurn) {
+        alerts.push({
+          position: player.position,
+          tier: player.tier,
+          remaining,
+          picksUntilMyTurn: turn.picksUntilMyTurn,
+          isNeed: neededPositions.includes(player.position)
+        });
+      }
+    });
+
+    return alerts.sort((a, b) => (b.isNeed - a.isNeed) || (a.remaining - b.remaining));
+  }
+
+  /**
+   * Current state of a league's draft for the user, fetched fresh for polling
+   * @param {string} userId - Sleeper user id
+   * @param {string} leagueId - Sleeper league id
+   * @param {string} draftId - Draft to follow; defaults to the league's active draft
+   * @returns {Object} { draft, turn, available, myPicks, lineup, neededPositions, alerts, picksMade, lastUpdated }
+   */
+  async getDraftState(userId, leagueId, draftId = null) {
+    const [league, drafts, rosters, players] = await Promise.all([
+      fantasyDataService.getLeagueWithCache(leagueId),
+      fantasyDataService.getLeagueDraftsWithCache(leagueId),
+      fantasyDataService.getLeagueRostersWithCache(leagueId),
+      fantasyDataService.getPlayersWithCache()
+    ]);
+
+    const selectedDraftId = draftId || this.selectDraft(drafts, league)?.draft_id;
+    if (!selectedDraftId) {
+      throw new Error('This league has no drafts');
+    }
+
+    // The draft and its picks are fetched directly so every poll sees the latest selections
+    const [draft, picks] = await Promise.all([
+      sleeperApi.getDraft(selectedDraftId),
+      sleeperApi.getDraftPicks(selectedDraftId)
+    ]);
+    const pool = await this.getDraftPool(leagueId, draft.season);
+
+    const draftedIds = new Set((picks || []).map(pick => pick.player_id));
+    const available = pool.filter(player => !draftedIds.has(player.player_id));
+
+    const myRosterId = rosters.find(roster => roster.owner_id === userId)?.roster_id;
+    const slotFromRoster = Object.entries(draft.slot_to_roster_id || {})
+      .find(([, rosterId]) => rosterId === myRosterId)?.[0];
+    const mySlot = draft.draft_order?.[userId] || (slotFromRoster ? parseInt(slotFromRoster) : null);
+
+    const poolById = {};
+    pool.forEach(player => {
+      poolById[player.player_id] = player;
+    });
+    const myPicks = (picks || [])
+      .filter(pick => pick.picked_by === userId || (myRosterId && pick.roster_id === myRosterId))
+      .map(pick => ({
+        pickNo: pick.pick_no,
+        round: pick.round,
+        player: poolById[pick.player_id] || { ...players[pick.player_id], player_id: pick.player_id, draftProjection: 0 }
+      }));
+
+    // Fill the league's starting slots with the user's picks to see which are still open.
+    // This week's injuries and free agency don't matter for season-long roster needs.
+    const rosterPositions = league?.roster_positions || [];
+    const lineup = lineupOptimizer.optimize(
+      myPicks.map(pick => ({ ...pick.player, injury_status: null, team: pick.player.team || 'FA' })),
+      rosterPositions,
+      { getPoints: player => player.draftProjection || 0 }
+    );
+    const openSlots = lineup.slots.filter(entry => !entry.player).map(entry => entry.slot);
+    const neededPositions = lineupOptimizer.getStartablePositions(rosterPositions)
+      .filter(position => openSlots.some(slot => lineupOptimizer.isEligible({ position }, slot)));
+
+    const turn = this.getTurn(draft, (picks || []).length, mySlot);
+
+    return {
+      draft: {
+        draftId: draft.draft_id,
+        season: draft.season,
+        type: draft.type,
+        status: draft.status,
+        teams: draft.settings?.teams || 0,
+        rounds: draft.settings?.rounds || 0
+      },
+      mySlot,
+      turn,
+      available,
+      myPicks,
+      lineup: lineup.slots,
+      benchCount: Math.max(0, myPicks.length - lineup.slots.filter(entry => entry.player).length),
+      neededPositions,
+      alerts: this.getTierAlerts(available, turn, neededPositions),
+      picksMade: (picks || []).length,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  // Polling interval in ms for a draft status, or null when polling should stop
+  getPollingInterval(status) {
+    switch (status) {
+      case 'drafting':
+        return appConfig.draftAssistant.pollInterval;
+      case 'pre_draft':
+        return appConfig.draftAssistant.preDraftPollInterval;
+      default:
+        return null;
+    }
+  }
+
+  // Interval after consecutive failed polls: the last known status's interval doubled per failure, capped
+  // at the pre-draft interval. A draft whose status was never loaded is retried too.
+  getRetryInterval(lastStatus, failures) {
+    const base = this.getPollingInterval(lastStatus || 'drafting');
+    if (!base) return null;
+    return Math.min(base * Math.pow(2, failures - 1), Math.max(base, appConfig.draftAssistant.preDraftPollInterval));
+  }
+}
+
+// Create and export a singleton instance
+const draftAssistantService = new DraftAssistantService();
+export default draftAssistantService;
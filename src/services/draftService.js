@@ -0,0 +1,242 @@
+// Draft Service
+// A league's Sleeper draft laid out as a board, with every pick graded in hindsight
+// against the points the player has scored since
+
+import fantasyDataService from './fantasyDataService';
+import projectionsService from './projectionsService';
+
+const REGULAR_SEASON_WEEKS = 18;
+
+// Letter grades by how far a manager's drafted points sit from the league average (in standard deviations)
+const GRADE_SCALE = [
+  { grade: 'A', minZ: 1 },
+  { grade: 'B', minZ: 0.33 },
+  { grade: 'C', minZ: -0.33 },
+  { grade: 'D', minZ: -1 },
+  { grade: 'F', minZ: -Infinity }
+];
+
+class DraftService {
+  // Completed regular season weeks of a season, for points-to-date
+  async getCompletedWeeks(season) {
+    const [currentSeason, currentWeek] = await Promise.all([
+      projectionsService.getCurrentNFLSeason(),
+      projectionsService.getCurrentNFLWeek()
+    ]);
+    const lastWeek = String(season) === String(currentSeason)
+      ? Math.min(currentWeek - 1, REGULAR_SEASON_WEEKS)
+      : REGULAR_SEASON_WEEKS;
+    return Array.from({ length: Math.max(0, lastWeek) }, (_, index) => index + 1);
+  }
+
+  /**
+   * Season points-to-date for every player with stats, scored with the league's settings
+   * @returns {Object} playerId -> { points, gamesPlayed, positionRank }
+   */
+  async getSeasonPoints(season, players, scoringSettings) {
+    const seasonStats = await projectionsService.getSeasonStats(season, 'regular').catch(error => {
+      console.error(`Error fetching ${season} season stats:`, error);
+      return {};
+    });
+
+    const totals = {};
+    Object.entries(seasonStats).forEach(([playerId, line]) => {
+      if (!line || !line.gp) return;
+      const position = players[playerId]?.position;
+      totals[playerId] = {
+        points: fantasyDataService.scoreStatLine(line, scoringSettings, position),
+        gamesPlayed: line.gp,
+        position
+      };
+    });
+
+    // Rank within each position by points scored
+    const byPosition = {};
+    Object.entries(totals).forEach(([playerId, total]) => {
+      if (!total.position) return;
+      (byPosition[total.position] = byPosition[total.position] || []).push(playerId);
+    });
+    Object.values(byPosition).forEach(playerIds => {
+      playerIds
+        .sort((a, b) => totals[b].points - totals[a].points)
+        .forEach((playerId, index) => {
+          totals[playerId].positionRank = index + 1;
+        });
+    });
+
+    return totals;
+  }
+
+  getGrade(zScore) {
+    return GRADE_SCALE.find(step => zScore >= step.minZ).grade;
+  }
+
+  // Grade each manager on the points their picks have produced, and each pick on where it
+  // went (by pick number, or by price in an auction) compared with where its points would have put it
+  gradePicks(picks, teams, isAuction) {
+    if (isAuction) {
+      [...picks]
+        .sort((a, b) => (b.amount || 0) - (a.amount || 0))
+        .forEach((pick, index) => {
+          pick.costRank = index + 1;
+        });
+    } else {
+      picks.forEach(pick => {
+        pick.costRank = pick.pickNo;
+      });
+    }
+
+    [...picks]
+      .sort((a, b) => b.points - a.points)
+      .forEach((pick, index) => {
+        pick.pointsRank = index + 1;
+        pick.value = pick.costRank - pick.pointsRank;
+      });
+
+    const totals = teams.map(team => {
+      const teamPicks = picks.filter(pick => pick.rosterId === team.rosterId);
+      const points = teamPicks.reduce((total, pick) => total + pick.points, 0);
+      const spent = teamPicks.reduce((total, pick) => total + (pick.amount || 0), 0);
+      const bestPick = teamPicks.reduce((best, pick) => (!best || pick.value > best.value ? pick : best), null);
+      const worstPick = teamPicks.reduce((worst, pick) => (!worst || pick.value < worst.value ? pick : worst), null);
+      return {
+        ...team,
+        picks: teamPicks.length,
+        points,
+        spent,
+        pointsPerDollar: spent > 0 ? points / spent : null,
+        averageValue: teamPicks.length > 0
+          ? teamPicks.reduce((total, pick) => total + pick.value, 0) / teamPicks.length
+          : 0,
+        bestPick,
+        worstPick
+      };
+    });
+
+    const mean = totals.reduce((total, team) => total + team.points, 0) / (totals.length || 1);
+    const deviation = Math.sqrt(
+      totals.reduce((total, team) => total + (team.points - mean) ** 2, 0) / (totals.length || 1)
+    );
+
+    return totals
+      .map(team => ({ ...team, grade: this.getGrade(deviation > 0 ? (team.points - mean) / deviation : 0) }))
+      .sort((a, b) => b.points - a.points);
+  }
+
+  /**
+   * Draft board and hindsight grades for a Sleeper league
+   * @param {string} leagueId - Sleeper league id
+   * @param {string} draftId - Draft to show; defaults to the league's main draft
+   * @returns {Object} { drafts, draft, isAuction, columns, board (rounds x columns of picks or null), picks,
+   *   grades, weeksScored }
+   */
+  async getDraftRecap(leagueId, draftId = null) {
+    const [league, drafts, rosters, users, players, scoringSettings] = await Promise.all([
+      fantasyDataService.getLeagueWithCache(leagueId),
+      fantasyDataService.getLeagueDraftsWithCache(leagueId),
+      fantasyDataService.getLeagueRostersWithCache(leagueId),
+      fantasyDataService.getLeagueUsersWithCache(leagueId),
+      fantasyDataService.getPlayersWithCache(),
+      fantasyDataService.getLeagueScoringSettings(leagueId)
+    ]);
+
+    const selectedDraftId = draftId || league?.draft_id || drafts[0]?.draft_id;
+    if (!selectedDraftId) {
+      throw new Error('This league has no drafts');
+    }
+
+    const [draft, draftPicks] = await Promise.all([
+      fantasyDataService.getDraftWithCache(selectedDraftId),
+      fantasyDataService.getDraftPicksWithCache(selectedDraftId)
+    ]);
+
+    const [seasonPoints, weeksScored] = await Promise.all([
+      this.getSeasonPoints(draft.season, players, scoringSettings),
+      this.getCompletedWeeks(draft.season)
+    ]);
+
+    const teamNames = {};
+    rosters.forEach(roster => {
+      const user = users.find(u => u.user_id === roster.owner_id);
+      teamNames[roster.roster_id] = user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`;
+    });
+
+    const isAuction = draft.type === 'auction';
+    const picks = draftPicks.map(pick => {
+      const player = players[pick.player_id];
+      const metadata = pick.metadata || {};
+      const total = seasonPoints[pick.player_id];
+      const position = player?.position || metadata.position || null;
+      return {
+        pickNo: pick.pick_no,
+        round: pick.round,
+        draftSlot: pick.draft_slot,
+        rosterId: pick.roster_id,
+        teamName: teamNames[pick.roster_id] || `Team ${pick.roster_id}`,
+        playerId: pick.player_id,
+        name: player?.first_name
+          ? `${player.first_name} ${player.last_name}`
+          : `${metadata.first_name || ''} ${metadata.last_name || ''}`.trim() || pick.player_id,
+        position,
+        team: player?.team || metadata.team || null,
+        isKeeper: Boolean(pick.is_keeper),
+        amount: isAuction && metadata.amount ? parseInt(metadata.amount) : null,
+        points: total?.points || 0,
+        gamesPlayed: total?.gamesPlayed || 0,
+        positionRank: total?.positionRank ? `${position}${total.positionRank}` : null
+      };
+    });
+
+    // Snake and linear drafts fill a round-by-slot grid; auctions have no slots, so each
+    // team's column lists its purchases from most to least expensive
+    const slotCount = draft.settings?.teams || rosters.length;
+    const slotToRosterId = draft.slot_to_roster_id || {};
+    const columns = isAuction
+      ? rosters.map(roster => ({ key: roster.roster_id, rosterId: roster.roster_id, teamName: teamNames[roster.roster_id] }))
+      : Array.from({ length: slotCount }, (_, index) => {
+        const rosterId = slotToRosterId[index + 1] ?? null;
+        return { key: index + 1, rosterId, teamName: teamNames[rosterId] || `Slot ${index + 1}` };
+      });
+
+    const rounds = isAuction
+      ? Math.max(0, ...columns.map(column => picks.filter(pick => pick.rosterId === column.rosterId).length))
+      : draft.settings?.rounds || Math.max(0, ...picks.map(pick => pick.round));
+
+    const board = Array.from({ length: rounds }, (_, roundIndex) => columns.map(column => {
+      if (isAuction) {
+        const purchases = picks
+          .filter(pick => pick.rosterId === column.rosterId)
+          .sort((a, b) => (b.amount || 0) - (a.amount || 0));
+        return purchases[roundIndex] || null;
+      }
+      return picks.find(pick => pick.round === roundIndex + 1 && pick.draftSlot === column.key) || null;
+    }));
+
+    const grades = this.gradePicks(
+      picks,
+      rosters.map(roster => ({ rosterId: roster.roster_id, ownerId: roster.owner_id, teamName: teamNames[roster.roster_id] })),
+      isAuction
+    );
+
+    return {
+      drafts: drafts.map(item => ({ draftId: item.draft_id, season: item.season, type: item.type, status: item.status })),
+      draft: {
+        draftId: draft.draft_id,
+        season: draft.season,
+        type: draft.type,
+        status: draft.status,
+        rounds
+      },
+      isAuction,
+      columns,
+      board,
+      picks,
+      grades,
+      weeksScored: weeksScored.length
+    };
+  }
+}
+
+// Create and export a singleton instance
+const draftService = new DraftService();
+export default draftService;
@@ -0,0 +1,274 @@
+// Dynasty Value Service
+// Long-horizon player and draft pick values for dynasty and keeper leagues: production and
+// projections above replacement, carried forward along positional age curves
+
+import fantasyDataService from './fantasyDataService';
+import lineupOptimizer from './lineupOptimizer';
+import appConfig from '../config/appConfig';
+
+// Sleeper's league.settings.type
+const LEAGUE_TYPES = { 0: 'redraft', 1: 'keeper', 2: 'dynasty' };
+
+const MS_PER_YEAR = 365.25 * 24 * 60 * 60 * 1000;
+
+class DynastyValueService {
+  getLeagueType(league) {
+    return LEAGUE_TYPES[league?.settings?.type] || 'redraft';
+  }
+
+  // Age from the birth date when Sleeper has one, since the stored age can lag a birthday,
+  // otherwise estimated from years in the league
+  getAge(player) {
+    if (player.birth_date) {
+      const age = (Date.now() - new Date(player.birth_date).getTime()) / MS_PER_YEAR;
+      if (!Number.isNaN(age)) return age;
+    }
+    if (player.age) return player.age;
+    if (Number.isInteger(player.years_exp)) return appConfig.dynasty.rookieAge + player.years_exp;
+    return null;
+  }
+
+  // Relative production at an age: 1 through the position's peak, lower before and after it
+  getAgeFactor(position, age) {
+    const curve = appConfig.dynasty.ageCurves[position];
+    if (!curve || !age) return 1;
+    if (age < curve.peakStart) {
+      return Math.max(0.5, 1 - curve.growth * (curve.peakStart - age));
+    }
+    if (age > curve.peakEnd) {
+      return Math.max(0, 1 - curve.decline * (age - curve.peakEnd));
+    }
+    return 1;
+  }
+
+  // Points per game blended from actual production and the rest-of-season projection
+  getPointsPerGame(player, restOfYearWeeks) {
+    const { productionWeight } = appConfig.dynasty;
+    const production = player.stats?.season_avg || 0;
+    const projection = restOfYearWeeks > 0 ? (player.projections?.rest_of_year || 0) / restOfYearWeeks : 0;
+
+    if (!production) return projection;
+    if (!projection) return production;
+    return productionWeight * production + (1 - productionWeight) * projection;
+  }
+
+  // League-wide starters at each position, with flex slots shared among the positions they accept
+  getStarterCounts(rosterPositions, teamCount) {
+    const positions = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+    const counts = {};
+    lineupOptimizer.getStartingSlots(rosterPositions).forEach(slot => {
+      const eligible = positions.filter(position => lineupOptimizer.isEligible({ position }, slot));
+      eligible.forEach(position => {
+        counts[position] = (counts[position] || 0) + teamCount / eligible.length;
+      });
+    });
+    return counts;
+  }
+
+  // Points per game of the last rostered starter at each position; value is measured above it
+  getReplacementLevels(entries, starterCounts) {
+    const levels = {};
+    Object.entries(starterCounts).forEach(([position, count]) => {
+      const atPosition = entries
+        .filter(entry => entry.player.position === position)
+        .map(entry => entry.pointsPerGame)
+        .sort((a, b) => b - a);
+      levels[position] = atPosition[Math.max(0, Math.round(count) - 1)] || 0;
+    });
+    return levels;
+  }
+
+  // Median points per game of producing players by position and years_exp, the expectation for a
+  // prospect reaching that class
+  getExperienceBaselines(entries) {
+    const groups = {};
+    entries.forEach(({ player, pointsPerGame }) => {
+      if (!pointsPerGame || !Number.isInteger(player.years_exp)) return;
+      const key = `${player.position}_${player.years_exp}`;
+      (groups[key] = groups[key] || []).push(pointsPerGame);
+    });
+
+    const baselines = {};
+    Object.entries(groups).forEach(([key, values]) => {
+      if (values.length < appConfig.dynasty.prospectMinSample) return;
+      const sorted = values.sort((a, b) => a - b);
+      const middle = Math.floor(sorted.length / 2);
+      baselines[key] = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    });
+    return baselines;
+  }
+
+  // Points per game expected from next season on for a rookie or second-year player with nothing to go
+  // on yet: what the class one year ahead of them produces at their position
+  getProspectPointsPerGame(entry, baselines) {
+    const { player, pointsPerGame } = entry;
+    if (pointsPerGame || !Number.isInteger(player.years_exp)) return null;
+    if (player.years_exp > appConfig.dynasty.prospectMaxExperience) return null;
+    return baselines[`${player.position}_${player.years_exp + 1}`] ?? null;
+  }
+
+  // A player's value: each season in the horizon of points above replacement, scaled by the
+  // age curve relative to this season and discounted the further out it is. Prospects are
+  // valued from next season on their class expectation, scaled from the age they reach it.
+  getPlayerValue(entry, replacement, horizonYears) {
+    const { gamesPerSeason, yearDiscount } = appConfig.dynasty;
+    const { player, age, pointsPerGame, prospectPointsPerGame } = entry;
+    const getSeasonValue = (ppg) => Math.max(0, ppg - (replacement || 0)) * gamesPerSeason;
+    const currentFactor = this.getAgeFactor(player.position, age) || 1;
+    const prospectFactor = this.getAgeFactor(player.position, age ? age + 1 : null) || 1;
+
+    const yearValues = Array.from({ length: horizonYears }, (_, year) => {
+      const isProspectYear = prospectPointsPerGame !== null && year > 0;
+      const seasonValue = getSeasonValue(isProspectYear ? prospectPointsPerGame : pointsPerGame);
+      const baseFactor = isProspectYear ? prospectFactor : currentFactor;
+      const ageFactor = age ? this.getAgeFactor(player.position, age + year) / baseFactor : 1;
+      return seasonValue * ageFactor * Math.pow(yearDiscount, year);
+    });
+
+    return {
+      yearValues,
+      value: yearValues.reduce((total, value) => total + value, 0)
+    };
+  }
+
+  // Who owns each future pick: every roster keeps its own unless traded_picks says otherwise
+  getPickOwnership(league, rosters, tradedPicks) {
+    const { futurePickSeasons } = appConfig.dynasty;
+    const rounds = league?.settings?.draft_rounds || 4;
+    // Until this season's draft is done its picks are still to come
+    const startSeason = parseInt(league.season) + (['pre_draft', 'drafting'].includes(league.status) ? 0 : 1);
+
+    const picks = [];
+    for (let season = startSeason; season < startSeason + futurePickSeasons; season++) {
+      for (let round = 1; round <= rounds; round++) {
+        rosters.forEach(roster => {
+          const trade = tradedPicks.find(pick => (
+            String(pick.season) === String(season) && pick.round === round && pick.roster_id === roster.roster_id
+          ));
+          picks.push({
+            season,
+            round,
+            originalRosterId: roster.roster_id,
+            ownerRosterId: trade ? trade.owner_id : roster.roster_id,
+            yearsOut: season - startSeason
+          });
+        });
+      }
+    }
+    return picks;
+  }
+
+  getPickValue(pick, averageStarterValue) {
+    const { pickValueShares, laterRoundPickShare, yearDiscount } = appConfig.dynasty;
+    const share = pickValueShares[pick.round] ?? laterRoundPickShare;
+    return averageStarterValue * share * Math.pow(yearDiscount, pick.yearsOut);
+  }
+
+  /**
+   * Dynasty values for every roster in a Sleeper league
+   * @returns {Object} { leagueType, horizonYears, teams } with teams sorted by total value, each with
+   *   playerValue, pickValue, totalValue, lineupPercentile, outlook ('contend', 'rebuild' or 'middle'),
+   *   averageStarterAge, players and picks
+   */
+  async getDynastyValues(leagueId) {
+    const [leagueRosters, rosters, tradedPicks] = await Promise.all([
+      fantasyDataService.getEnhancedLeagueRosters(leagueId),
+      fantasyDataService.getLeagueRostersWithCache(leagueId),
+      fantasyDataService.getTradedPicksWithCache(leagueId)
+    ]);
+    const { league, teams, rosterPositions, restOfYearWeeks } = leagueRosters;
+
+    const leagueType = this.getLeagueType(league);
+    const horizonYears = appConfig.dynasty.horizonYears[leagueType];
+
+    // Every rostered player with age and blended production
+    const entries = teams.flatMap(team => team.players.map(player => ({
+      rosterId: team.rosterId,
+      player,
+      age: this.getAge(player),
+      pointsPerGame: this.getPointsPerGame(player, restOfYearWeeks)
+    })));
+
+    const replacement = this.getReplacementLevels(entries, this.getStarterCounts(rosterPositions, teams.length));
+    const baselines = this.getExperienceBaselines(entries);
+    entries.forEach(entry => {
+      entry.prospectPointsPerGame = this.getProspectPointsPerGame(entry, baselines);
+    });
+    entries.forEach(entry => {
+      Object.assign(entry, this.getPlayerValue(entry, replacement[entry.player.position], horizonYears));
+    });
+
+    // Picks are priced against the average starter's value, so they scale with the league
+    const starterCount = lineupOptimizer.getStartingSlots(rosterPositions).length * teams.length;
+    const topValues = entries.map(entry => entry.value).sort((a, b) => b - a).slice(0, starterCount);
+    const averageStarterValue = topValues.length > 0
+      ? topValues.reduce((total, value) => total + value, 0) / topValues.length
+      : 0;
+
+    const teamNames = {};
+    teams.forEach(team => {
+      teamNames[team.rosterId] = team.teamName;
+    });
+    const picks = leagueType === 'redraft' ? [] : this.getPickOwnership(league, rosters, tradedPicks)
+      .map(pick => ({
+        ...pick,
+        originalTeamName: teamNames[pick.originalRosterId] || `Team ${pick.originalRosterId}`,
+        value: this.getPickValue(pick, averageStarterValue)
+      }));
+
+    const valuedTeams = teams.map(team => {
+      const players = entries
+        .filter(entry => entry.rosterId === team.rosterId)
+        .sort((a, b) => b.value - a.value);
+      const teamPicks = picks.filter(pick => pick.ownerRosterId === team.rosterId);
+      const playerValue = players.reduce((total, entry) => total + entry.value, 0);
+      const pickValue = teamPicks.reduce((total, pick) => total + pick.value, 0);
+
+      // Strength now: the best lineup by blended points per game
+      const lineup = lineupOptimizer.optimize(team.players, rosterPositions, {
+        getPoints: player => this.getPointsPerGame(player, restOfYearWeeks)
+      });
+      const starterAges = lineup.slots
+        .map(entry => (entry.player ? this.getAge(entry.player) : null))
+        .filter(Boolean);
+
+      return {
+        rosterId: team.rosterId,
+        ownerId: team.ownerId,
+        teamName: team.teamName,
+        players,
+        picks: teamPicks,
+        playerValue,
+        pickValue,
+        totalValue: playerValue + pickValue,
+        lineupPoints: lineup.totalPoints,
+        averageStarterAge: starterAges.length > 0
+          ? starterAges.reduce((total, age) => total + age, 0) / starterAges.length
+          : null
+      };
+    });
+
+    // Contend or rebuild from where the lineup ranks today
+    const { contendPercentile, rebuildPercentile } = appConfig.dynasty;
+    const byLineup = [...valuedTeams].sort((a, b) => b.lineupPoints - a.lineupPoints);
+    byLineup.forEach((team, index) => {
+      team.lineupRank = index + 1;
+      team.lineupPercentile = valuedTeams.length > 1 ? 1 - index / (valuedTeams.length - 1) : 1;
+      if (team.lineupPercentile >= contendPercentile) team.outlook = 'contend';
+      else if (team.lineupPercentile <= rebuildPercentile) team.outlook = 'rebuild';
+      else team.outlook = 'middle';
+    });
+
+    return {
+      leagueType,
+      horizonYears,
+      teams: valuedTeams
+        .sort((a, b) => b.totalValue - a.totalValue)
+        .map((team, index) => ({ ...team, valueRank: index + 1 }))
+    };
+  }
+}
+
+// Create and export a singleton instance
+const dynastyValueService = new DynastyValueService();
+export default dynastyValueService;
@@ -0,0 +1,41 @@
+import dynastyValueService from './dynastyValueService';
+
+const makeEntry = (id, position, pointsPerGame, extra = {}) => {
+  const player = { player_id: id, position, ...extra };
+  return { player, age: dynastyValueService.getAge(player), pointsPerGame };
+};
+
+describe('dynastyValueService', () => {
+  it('estimates age from years_exp when Sleeper has no birth date or age', () => {
+    expect(dynastyValueService.getAge({ years_exp: 0 })).toBe(22);
+    expect(dynastyValueService.getAge({ years_exp: 3 })).toBe(25);
+    expect(dynastyValueService.getAge({ age: 30, years_exp: 3 })).toBe(30);
+    expect(dynastyValueService.getAge({})).toBeNull();
+  });
+
+  it('values a rookie without production on the class a year ahead of them', () => {
+    const entries = [
+      makeEntry('w1', 'WR', 9, { years_exp: 1 }),
+      makeEntry('w2', 'WR', 11, { years_exp: 1 }),
+      makeEntry('w3', 'WR', 14, { years_exp: 1 }),
+      makeEntry('rookie', 'WR', 0, { years_exp: 0 }),
+      makeEntry('veteran', 'WR', 0, { years_exp: 6 })
+    ];
+    const baselines = dynastyValueService.getExperienceBaselines(entries);
+    const [rookie, veteran] = entries.slice(3);
+
+    expect(dynastyValueService.getProspectPointsPerGame(rookie, baselines)).toBe(11);
+    expect(dynastyValueService.getProspectPointsPerGame(veteran, baselines)).toBeNull();
+
+    rookie.prospectPointsPerGame = 11;
+    const { yearValues, value } = dynastyValueService.getPlayerValue(rookie, 8, 3);
+    expect(yearValues[0]).toBe(0);
+    expect(yearValues[1]).toBeGreaterThan(0);
+    expect(value).toBeGreaterThan(0);
+  });
+
+  it('does not value a player with no production and no class to go on', () => {
+    const rookie = { ...makeEntry('rookie', 'TE', 0, { years_exp: 0 }), prospectPointsPerGame: null };
+    expect(dynastyValueService.getPlayerValue(rookie, 6, 3).value).toBe(0);
+  });
+});
@@ -3,34 +3,16 @@
 // Uses cookies (SWID and ESPNS2) for authentication
 
 import appConfig from '../config/appConfig';
+import httpClient from './httpClient';
 
 class EspnApi {
   constructor() {
     this.baseUrl = 'https://fantasy.espn.com/apis/v3/games/ffl';
-    this.rateLimit = 100; // ESPN has stricter rate limits
-    this.requestCount = 0;
-    this.lastReset = Date.now();
-  }
-
-  // Rate limiting helper
-  checkRateLimit() {
-    const now = Date.now();
-    if (now - this.lastReset >= 60000) { // Reset every minute
-      this.requestCount = 0;
-      this.lastReset = now;
-    }
-    
-    if (this.requestCount >= this.rateLimit) {
-      throw new Error('ESPN API rate limit exceeded. Please wait before making more requests.');
-    }
-    
-    this.requestCount++;
+    this.host = new URL(this.baseUrl).host;
   }
 
   // Generic fetch method with ESPN-specific headers
   async fetch(endpoint, options = {}) {
-    this.checkRateLimit();
-    
     const url = `${this.baseUrl}${endpoint}`;
     
     // For development, we'll need to handle CORS differently
@@ -53,13 +35,8 @@ class EspnApi {
         return this.getMockData(endpoint);
       }
       
-      const response = await fetch(url, defaultOptions);
-      
-      if (!response.ok) {
-        throw new Error(`ESPN API error: ${response.status} ${response.statusText}`);
-      }
-      
-      return await response.json();
+      // Shared client applies ESPN's stricter per-host rate limit, retries and timeouts
+      return await httpClient.getJson(url, defaultOptions);
     } catch (error) {
       console.error('ESPN API fetch error:', error);
       
@@ -115,6 +92,47 @@ class EspnApi {
       ];
     }
     
+    if (endpoint.includes('mStandings')) {
+      return {
+        teams: [
+          {
+            id: 1,
+            location: 'Gridiron',
+            nickname: 'Warriors',
+            primaryOwner: '{MOCK-OWNER-1}',
+            divisionId: 0,
+            playoffSeed: 1,
+            points: 1250.4,
+            record: {
+              overall: { wins: 7, losses: 2, ties: 0, pointsFor: 1250.4, pointsAgainst: 1102.7, gamesBack: 0, streakLength: 3, streakType: 'WIN' }
+            }
+          },
+          {
+            id: 2,
+            location: 'Touchdown',
+            nickname: 'Titans',
+            primaryOwner: '{MOCK-OWNER-2}',
+            divisionId: 0,
+            playoffSeed: 2,
+            points: 1198.1,
+            record: {
+              overall: { wins: 5, losses: 4, ties: 0, pointsFor: 1198.1, pointsAgainst: 1175.3, gamesBack: 2, streakLength: 1, streakType: 'LOSS' }
+            }
+          }
+        ]
+      };
+    }
+
+    if (endpoint.includes('mTeam')) {
+      return {
+        teams: [],
+        members: [
+          { id: '{MOCK-OWNER-1}', displayName: 'mockowner1', firstName: 'Mock', lastName: 'Owner' },
+          { id: '{MOCK-OWNER-2}', displayName: 'mockowner2', firstName: 'Test', lastName: 'Owner' }
+        ]
+      };
+    }
+
     if (endpoint.includes('kona_player_info')) {
       return {
         players: [
@@ -194,6 +212,20 @@ class EspnApi {
     }
   }
 
+  // Get league members (owner display names keyed by SWID)
+  async getLeagueMembers(leagueId, season = null) {
+    const seasonParam = season || appConfig.defaultSeason;
+    const endpoint = `/seasons/${seasonParam}/segments/0/leagues/${leagueId}?view=mTeam`;
+    
+    try {
+      const data = await this.fetch(endpoint);
+      return data.members || [];
+    } catch (error) {
+      console.error(`Error fetching ESPN members for league ${leagueId}:`, error);
+      throw error;
+    }
+  }
+
   // Get current week matchups
   async getMatchups(leagueId, season = null, week = null) {
     const seasonParam = season || appConfig.defaultSeason;
@@ -245,11 +277,7 @@ class EspnApi {
   // Get cache status (for monitoring)
   getCacheStatus() {
     return {
-      rateLimit: {
-        currentCount: this.requestCount,
-        maxCount: this.rateLimit,
-        resetTime: this.lastReset + 60000
-      }
+      rateLimit: httpClient.getHostStatus(this.host)
     };
   }
 }
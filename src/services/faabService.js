@@ -0,0 +1,163 @@
+// FAAB Service
+// Free agent budget tracking and bid suggestions from each league's waiver history
+
+import fantasyDataService from './fantasyDataService';
+import projectionsService from './projectionsService';
+
+// Sleeper league setting waiver_type for FAAB bidding
+const FAAB_WAIVER_TYPE = 2;
+
+// How many past winning bids to compare a target against
+const COMPARABLE_BIDS = 8;
+
+class FaabService {
+  // Value at a percentile (0-1) of a sorted list of numbers
+  getPercentile(sortedValues, percentile) {
+    if (sortedValues.length === 0) return 0;
+    const index = (sortedValues.length - 1) * percentile;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (index - lower);
+  }
+
+  // Remaining budget for every team in a league, most money first
+  getBudgets(league, rosters, users) {
+    const totalBudget = league?.settings?.waiver_budget || 0;
+
+    return rosters
+      .map(roster => {
+        const user = users.find(u => u.user_id === roster.owner_id);
+        const used = roster.settings?.waiver_budget_used || 0;
+        return {
+          rosterId: roster.roster_id,
+          ownerId: roster.owner_id,
+          teamName: user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`,
+          budget: totalBudget,
+          used,
+          remaining: Math.max(0, totalBudget - used)
+        };
+      })
+      .sort((a, b) => b.remaining - a.remaining);
+  }
+
+  // Successful FAAB claims with their winning bids, newest first
+  getWinningBids(transactionsByWeek, players) {
+    const bids = [];
+
+    transactionsByWeek.forEach(({ week, transactions }) => {
+      transactions.forEach(transaction => {
+        if (transaction.type !== 'waiver' || transaction.status !== 'complete') return;
+
+        const bid = transaction.settings?.waiver_bid;
+        if (bid === undefined || bid === null) return;
+
+        Object.entries(transaction.adds || {}).forEach(([playerId, rosterId]) => {
+          const player = players[playerId] || {};
+          bids.push({
+            week,
+            playerId,
+            rosterId,
+            bid,
+            playerName: player.first_name ? `${player.first_name} ${player.last_name}` : playerId,
+            position: player.position || null,
+            searchRank: player.search_rank || null,
+            created: transaction.created
+          });
+        });
+      });
+    });
+
+    return bids.sort((a, b) => (b.created || 0) - (a.created || 0));
+  }
+
+  // Load budgets and bidding history for a Sleeper league
+  async getLeagueFaab(leagueId) {
+    const [league, rosters, users, players, currentWeek] = await Promise.all([
+      fantasyDataService.getLeagueWithCache(leagueId),
+      fantasyDataService.getLeagueRostersWithCache(leagueId),
+      fantasyDataService.getLeagueUsersWithCache(leagueId),
+      fantasyDataService.getPlayersWithCache(),
+      projectionsService.getCurrentNFLWeek()
+    ]);
+
+    const isFaab = league?.settings?.waiver_type === FAAB_WAIVER_TYPE;
+    if (!isFaab) {
+      return { isFaab, totalBudget: 0, budgets: [], winningBids: [] };
+    }
+
+    const weeks = [];
+    for (let week = 1; week <= currentWeek; week++) {
+      weeks.push(week);
+    }
+
+    const transactionsByWeek = await Promise.all(
+      weeks.map(async week => ({
+        week,
+        transactions: await fantasyDataService.getLeagueTransactionsWithCache(leagueId, week).catch(error => {
+          console.warn(`Failed to load week ${week} transactions for league ${leagueId}:`, error);
+          return [];
+        })
+      }))
+    );
+
+    return {
+      isFaab,
+      totalBudget: league.settings.waiver_budget || 0,
+      budgets: this.getBudgets(league, rosters, users),
+      winningBids: this.getWinningBids(transactionsByWeek, players)
+    };
+  }
+
+  /**
+   * Suggest a FAAB bid range for a target free agent
+   * @param {Object} faab - Result of getLeagueFaab
+   * @param {Object} player - Target player (Sleeper player object)
+   * @param {number} rosterId - The bidding team's roster id
+   * @returns {Object|null} { low, high, comparables, reason }, or null when the league doesn't use FAAB
+   */
+  suggestBid(faab, player, rosterId) {
+    if (!faab?.isFaab) return null;
+
+    const myBudget = faab.budgets.find(team => team.rosterId === rosterId);
+    const myRemaining = myBudget ? myBudget.remaining : faab.totalBudget;
+    const otherRemaining = faab.budgets
+      .filter(team => team.rosterId !== rosterId)
+      .map(team => team.remaining);
+    // Nobody can outbid one dollar more than the richest rival
+    const ceiling = Math.min(myRemaining, (otherRemaining.length > 0 ? Math.max(...otherRemaining) : 0) + 1);
+
+    // Comparable claims: same position, closest in Sleeper's search rank
+    const samePosition = faab.winningBids.filter(bid => bid.position === player.position);
+    const comparables = samePosition
+      .map(bid => ({
+        ...bid,
+        distance: bid.searchRank && player.search_rank ? Math.abs(bid.searchRank - player.search_rank) : Infinity
+      }))
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, COMPARABLE_BIDS);
+
+    if (comparables.length === 0) {
+      return {
+        low: Math.min(1, ceiling),
+        high: Math.min(Math.round(faab.totalBudget * 0.05), ceiling),
+        comparables: [],
+        reason: `No ${player.position || ''} claims yet this season; suggested range is a small share of the budget`
+      };
+    }
+
+    const sortedBids = comparables.map(bid => bid.bid).sort((a, b) => a - b);
+    const low = Math.min(Math.round(this.getPercentile(sortedBids, 0.5)), ceiling);
+    const high = Math.min(Math.max(low, Math.round(this.getPercentile(sortedBids, 0.75))), ceiling);
+
+    return {
+      low,
+      high,
+      comparables,
+      reason: `Based on ${comparables.length} winning ${player.position} bid${comparables.length === 1 ? '' : 's'} for similarly ranked players`
+    };
+  }
+}
+
+// Create and export a singleton instance
+const faabService = new FaabService();
+export default faabService;
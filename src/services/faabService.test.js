@@ -0,0 +1,53 @@
+import faabService from './faabService';
+
+const makeFaab = (winningBids, budgets = [{ rosterId: 1, remaining: 80 }, { rosterId: 2, remaining: 40 }]) => ({
+  isFaab: true,
+  totalBudget: 100,
+  budgets,
+  winningBids
+});
+
+const makeBid = (bid, position, searchRank) => ({ bid, position, searchRank, week: 3, playerId: `${bid}`, rosterId: 2 });
+
+describe('faabService.suggestBid', () => {
+  it('returns nothing for leagues without FAAB', () => {
+    expect(faabService.suggestBid({ isFaab: false }, { position: 'RB' }, 1)).toBeNull();
+  });
+
+  it('prices a target from comparable winning bids at the position', () => {
+    const faab = makeFaab([
+      makeBid(4, 'RB', 100),
+      makeBid(10, 'RB', 110),
+      makeBid(20, 'RB', 120),
+      makeBid(30, 'RB', 130),
+      makeBid(90, 'WR', 105)
+    ]);
+    const suggestion = faabService.suggestBid(faab, { position: 'RB', search_rank: 115 }, 1);
+
+    expect(suggestion.comparables).toHaveLength(4);
+    expect(suggestion.low).toBe(15);
+    expect(suggestion.high).toBe(23);
+  });
+
+  it('never suggests more than a dollar over the richest rival', () => {
+    const faab = makeFaab([makeBid(60, 'WR', 50), makeBid(70, 'WR', 55)]);
+    const suggestion = faabService.suggestBid(faab, { position: 'WR', search_rank: 52 }, 1);
+
+    expect(suggestion.low).toBe(41);
+    expect(suggestion.high).toBe(41);
+  });
+
+  it('falls back to a small share of the budget without comparable claims', () => {
+    const suggestion = faabService.suggestBid(makeFaab([]), { position: 'TE', search_rank: 200 }, 1);
+
+    expect(suggestion).toMatchObject({ low: 1, high: 5, comparables: [] });
+  });
+});
+
+describe('faabService.getPercentile', () => {
+  it('interpolates between sorted values', () => {
+    expect(faabService.getPercentile([], 0.5)).toBe(0);
+    expect(faabService.getPercentile([2, 4, 6, 8], 0.5)).toBe(5);
+    expect(faabService.getPercentile([2, 4, 6, 8], 1)).toBe(8);
+  });
+});
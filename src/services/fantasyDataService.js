@@ -4,88 +4,164 @@
 import sleeperApi from './sleeperApi';
 import espnApi from './espnApi';
 import projectionsService from './projectionsService';
+import nflScheduleService from './nflScheduleService';
+import httpClient from './httpClient';
+import persistentStore from './persistentStore';
+import SwrCache from './swrCache';
+import scoringEngine from './scoringEngine';
+import lineupOptimizer from './lineupOptimizer';
 import appConfig from '../config/appConfig';
 
+const REGULAR_SEASON_WEEKS = 18;
+const REGULAR_SEASON_GAMES = 17;
+
 class FantasyDataService {
   constructor() {
     this.playerCache = null;
     this.lastPlayerUpdate = null;
+    this.playersPromise = null;
     this.CACHE_DURATION = appConfig.playerCacheDuration;
     
-    // League-specific caches
-    this.leagueCache = new Map();
-    this.rostersCache = new Map();
-    this.usersCache = new Map();
-    this.leagueSettingsCache = new Map();
-    this.LEAGUE_CACHE_DURATION = 5 * 60 * 1000; // 5 minutes for league data
+    // League-specific caches (stale-while-revalidate, windows from appConfig.cache)
+    this.leagueCache = new SwrCache('league', appConfig.getCacheWindow('league'));
+    this.rostersCache = new SwrCache('rosters', appConfig.getCacheWindow('rosters'));
+    this.usersCache = new SwrCache('users', appConfig.getCacheWindow('users'));
+    this.leagueSettingsCache = new SwrCache('settings', appConfig.getCacheWindow('settings'));
+    this.matchupsCache = new SwrCache('matchups', appConfig.getCacheWindow('matchups'));
+    this.transactionsCache = new SwrCache('transactions', appConfig.getCacheWindow('transactions'));
+    this.draftsCache = new SwrCache('drafts', appConfig.getCacheWindow('drafts'));
   }
 
-  // Cache management helpers for league data
-  getCachedLeagueData(cacheKey, cache) {
-    const cached = cache.get(cacheKey);
-    if (cached && (Date.now() - cached.timestamp) < this.LEAGUE_CACHE_DURATION) {
-      return cached.data;
-    }
-    return null;
+  // League-specific caches, in one list for subscriptions, clearing and status
+  get leagueCaches() {
+    return [
+      this.leagueCache,
+      this.rostersCache,
+      this.usersCache,
+      this.leagueSettingsCache,
+      this.matchupsCache,
+      this.transactionsCache,
+      this.draftsCache
+    ];
   }
 
-  setCachedLeagueData(cacheKey, data, cache) {
-    cache.set(cacheKey, {
-      data: data,
-      timestamp: Date.now()
-    });
+  // Subscribe to background refreshes of league, projections and stats data.
+  // The listener receives { cache, key, data }; returns an unsubscribe function.
+  subscribe(listener) {
+    const unsubscribers = this.leagueCaches.map(cache => cache.subscribe(listener));
+    unsubscribers.push(projectionsService.subscribe(listener));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }
 
   // Get league rosters with caching
   async getLeagueRostersWithCache(leagueId) {
-    const cacheKey = `rosters_${leagueId}`;
-    const cached = this.getCachedLeagueData(cacheKey, this.rostersCache);
-    
-    if (cached) {
-      return cached;
-    }
-
-    const rosters = await sleeperApi.getLeagueRosters(leagueId);
-    this.setCachedLeagueData(cacheKey, rosters, this.rostersCache);
-    return rosters;
+    return this.rostersCache.get(`rosters_${leagueId}`, () => sleeperApi.getLeagueRosters(leagueId));
   }
 
   // Get league users with caching
   async getLeagueUsersWithCache(leagueId) {
-    const cacheKey = `users_${leagueId}`;
-    const cached = this.getCachedLeagueData(cacheKey, this.usersCache);
-    
-    if (cached) {
-      return cached;
-    }
-
-    const users = await sleeperApi.getLeagueUsers(leagueId);
-    this.setCachedLeagueData(cacheKey, users, this.usersCache);
-    return users;
+    return this.usersCache.get(`users_${leagueId}`, () => sleeperApi.getLeagueUsers(leagueId));
   }
 
   // Get league settings with caching
   async getLeagueSettingsWithCache(leagueId) {
-    const cacheKey = `settings_${leagueId}`;
-    const cached = this.getCachedLeagueData(cacheKey, this.leagueSettingsCache);
-    
-    if (cached) {
-      return cached;
-    }
+    return this.leagueSettingsCache.get(`settings_${leagueId}`, async () => {
+      const league = await sleeperApi.getLeague(leagueId);
+      return league.scoring_settings || {};
+    });
+  }
+
+  // Get full league object with caching
+  async getLeagueWithCache(leagueId) {
+    return this.leagueCache.get(`league_${leagueId}`, () => sleeperApi.getLeague(leagueId));
+  }
+
+  // Get league matchups for a week with caching
+  async getLeagueMatchupsWithCache(leagueId, week) {
+    return this.matchupsCache.get(`matchups_${leagueId}_${week}`, async () => {
+      const matchups = await sleeperApi.getLeagueMatchups(leagueId, week);
+      return matchups || [];
+    });
+  }
+
+  // Get league transactions for a week with caching
+  async getLeagueTransactionsWithCache(leagueId, week) {
+    return this.transactionsCache.get(`transactions_${leagueId}_${week}`, async () => {
+      const transactions = await sleeperApi.getLeagueTransactions(leagueId, week);
+      return transactions || [];
+    });
+  }
+
+  // Get every draft in a league (startup, rookie, ...) with caching
+  async getLeagueDraftsWithCache(leagueId) {
+    return this.draftsCache.get(`drafts_${leagueId}`, async () => {
+      const drafts = await sleeperApi.getLeagueDrafts(leagueId);
+      return drafts || [];
+    });
+  }
+
+  // Get a draft's settings, order and status with caching
+  async getDraftWithCache(draftId) {
+    return this.draftsCache.get(`draft_${draftId}`, () => sleeperApi.getDraft(draftId));
+  }
+
+  // Get every pick made in a draft with caching
+  async getDraftPicksWithCache(draftId) {
+    return this.draftsCache.get(`draft_picks_${draftId}`, async () => {
+      const picks = await sleeperApi.getDraftPicks(draftId);
+      return picks || [];
+    });
+  }
 
-    const league = await sleeperApi.getLeague(leagueId);
-    const settings = league.scoring_settings || {};
-    this.setCachedLeagueData(cacheKey, settings, this.leagueSettingsCache);
-    return settings;
+  // Get a league's traded future draft picks with caching (they move with trades)
+  async getTradedPicksWithCache(leagueId) {
+    return this.transactionsCache.get(`traded_picks_${leagueId}`, async () => {
+      const picks = await sleeperApi.getTradedPicks(leagueId);
+      return picks || [];
+    });
+  }
+
+  // IndexedDB key for the persisted player database of a sport
+  getPlayersStoreKey(sport) {
+    return `players_${sport}`;
+  }
+
+  // Load the persisted player database into memory (no network call)
+  async loadPersistedPlayers(sport = null) {
+    const sportParam = sport || appConfig.defaultSport;
+    if (this.playerCache) return this.playerCache;
+
+    const entry = await persistentStore.get(this.getPlayersStoreKey(sportParam));
+    if (entry?.data && !this.playerCache) {
+      this.playerCache = entry.data;
+      this.lastPlayerUpdate = entry.timestamp;
+
+      if (appConfig.isDebugEnabled) {
+        console.log(`Loaded ${Object.keys(entry.data).length} players from IndexedDB (saved ${new Date(entry.timestamp).toLocaleString()})`);
+      }
+    }
+    return this.playerCache;
   }
 
   // Cache management for players (since Sleeper recommends only calling once per day)
   async getPlayersWithCache(sport = null) {
-    const now = Date.now();
+    // Concurrent callers share one load instead of downloading the database several times
+    if (!this.playersPromise) {
+      this.playersPromise = this.loadPlayers(sport).finally(() => {
+        this.playersPromise = null;
+      });
+    }
+    return this.playersPromise;
+  }
+
+  // Use memory, then IndexedDB, and only hit the network once the stored copy is older than a day
+  async loadPlayers(sport = null) {
     const sportParam = sport || appConfig.defaultSport;
-    
-    // Check if we have valid cached data
-    if (this.playerCache && this.lastPlayerUpdate && 
+
+    await this.loadPersistedPlayers(sportParam);
+
+    const now = Date.now();
+    if (this.playerCache && this.lastPlayerUpdate &&
         (now - this.lastPlayerUpdate) < this.CACHE_DURATION) {
       return this.playerCache;
     }
@@ -99,51 +175,18 @@ class FantasyDataService {
       this.playerCache = players;
       this.lastPlayerUpdate = now;
       
-      // Store in localStorage as backup if offline mode is enabled
-      if (appConfig.isOfflineModeEnabled) {
-        try {
-          // Only store essential player data to avoid quota issues
-          const essentialPlayers = {};
-          Object.values(players).slice(0, 100).forEach(player => {
-            if (player.player_id && player.first_name && player.last_name) {
-              essentialPlayers[player.player_id] = {
-                player_id: player.player_id,
-                first_name: player.first_name,
-                last_name: player.last_name,
-                position: player.position,
-                team: player.team,
-                status: player.status
-              };
-            }
-          });
-          
-          localStorage.setItem('sleeper_players', JSON.stringify(essentialPlayers));
-          localStorage.setItem('sleeper_players_timestamp', now.toString());
-        } catch (storageError) {
-          console.warn('Failed to store players in localStorage:', storageError);
-          // Continue without localStorage backup
-        }
-      }
+      // Persist the full payload so reloads skip the multi-megabyte download
+      await persistentStore.set(this.getPlayersStoreKey(sportParam), players, now);
       
       return players;
     } catch (error) {
-      console.error('Error fetching players, trying localStorage cache:', error);
-      
-      // Try to use localStorage cache as fallback if offline mode is enabled
-      if (appConfig.isOfflineModeEnabled) {
-        const cachedPlayers = localStorage.getItem('sleeper_players');
-        const cachedTimestamp = localStorage.getItem('sleeper_players_timestamp');
-        
-        if (cachedPlayers && cachedTimestamp) {
-          const age = now - parseInt(cachedTimestamp);
-          if (age < this.CACHE_DURATION) {
-            this.playerCache = JSON.parse(cachedPlayers);
-            this.lastPlayerUpdate = parseInt(cachedTimestamp);
-            return this.playerCache;
-          }
-        }
+      // Offline mode keeps using the stored copy even after it goes stale
+      if (appConfig.isOfflineModeEnabled && this.playerCache) {
+        console.warn('Error fetching players, using stored player data:', error);
+        return this.playerCache;
       }
       
+      console.error('Error fetching players:', error);
       throw new Error('Unable to fetch player data and no valid cache available');
     }
   }
@@ -370,90 +413,25 @@ class FantasyDataService {
   // Get top free agents by position with projections
   async getTopFreeAgentsByPosition(leagueId, platform = 'sleeper', season = null) {
     try {
-      const currentSeason = season || await projectionsService.getCurrentNFLSeason();
-      const currentWeek = await projectionsService.getCurrentNFLWeek();
-      
-      console.log(`Fetching top free agents by position for league ${leagueId}, week ${currentWeek}`);
-      
-      // Get league settings for scoring
-      const leagueSettings = await this.getLeagueSettingsWithCache(leagueId);
-      const scoringSettings = leagueSettings?.scoring_settings;
-      const scoringType = this.getScoringType(scoringSettings);
-      const pointsField = scoringType === 'ppr' ? 'pts_ppr' : 'pts_half_ppr';
-      
-      console.log(`Using scoring type: ${scoringType}, points field: ${pointsField}`);
-      
-      // Test: Get some free agents without position filter first
-      console.log('Testing free agents fetch without position filter...');
-      const testFreeAgents = await this.getFreeAgents(leagueId, null, 10, platform);
-      console.log(`Test found ${testFreeAgents.length} free agents without position filter`);
-      
-      // Get free agents for each position
       const positions = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF'];
+      // Get more than we show to ensure we have enough with projections
+      const freeAgentsByPosition = await this.getEnhancedFreeAgentsByPosition(leagueId, positions, 50, platform, season);
       const topFreeAgentsByPosition = {};
       
-      for (const position of positions) {
-        console.log(`Fetching free agents for position: ${position}`);
-        
-        // Get free agents for this position
-        const freeAgents = await this.getFreeAgents(leagueId, position, 50, platform); // Get more to ensure we have enough with projections
-        
-        console.log(`Found ${freeAgents.length} free agents for position ${position}:`, 
-          freeAgents.slice(0, 3).map(p => `${p.first_name} ${p.last_name} (${p.player_id})`));
-        
-        if (freeAgents.length === 0) {
-          console.log(`No free agents found for position: ${position}`);
-          topFreeAgentsByPosition[position] = [];
-          continue;
-        }
-        
-        // Get player IDs for projections and stats
-        const playerIds = freeAgents.map(player => player.player_id);
-        
-        // Get projections and stats for these players (same as roster players)
-        const projections = await projectionsService.getPlayerProjections(playerIds, currentSeason, currentWeek, 'regular', scoringType);
-        const stats = await projectionsService.getHistoricalStats(currentSeason, currentWeek - 1, 'regular');
-        
-        // Use the same enhancement logic as roster players
-        console.log(`Enhancing ${freeAgents.length} free agents for position ${position}...`);
-        let enhancedFreeAgents = [];
-        try {
-          enhancedFreeAgents = await this.enhancePlayerData(freeAgents, projections, stats, scoringSettings, currentWeek, currentSeason);
-          console.log(`Enhanced ${enhancedFreeAgents.length} free agents for position ${position}`);
-        } catch (error) {
-          console.error(`Error enhancing free agents for position ${position}:`, error);
-          // Fallback to simple enhancement if the full enhancement fails
-          enhancedFreeAgents = freeAgents.map(player => ({
-            ...player,
-            projections: {
-              projected_points: 0,
-              stats: {}
-            },
-            stats: {
-              previous_week: { points: 0, stats: {} },
-              season_avg: 0,
-              weekly_stats: {}
-            }
-          }));
-        }
-        
+      Object.entries(freeAgentsByPosition).forEach(([position, enhancedFreeAgents]) => {
         // Sort by projected points (descending) and take top 3
         let topFreeAgents = enhancedFreeAgents
-          .filter(player => player.projections && player.projections.projected_points > 0) // Only include players with projections
+          .filter(player => player.projections.projected_points > 0) // Only include players with projections
           .sort((a, b) => b.projections.projected_points - a.projections.projected_points)
           .slice(0, 3);
 
         // If no players have projections, show top 3 free agents anyway
-        if (topFreeAgents.length === 0 && enhancedFreeAgents.length > 0) {
-          console.log(`No projections found for ${position}, showing top 3 free agents anyway`);
+        if (topFreeAgents.length === 0) {
           topFreeAgents = enhancedFreeAgents.slice(0, 3);
         }
         
-        console.log(`Top ${topFreeAgents.length} free agents for ${position}:`, 
-          topFreeAgents.map(p => `${p.first_name} ${p.last_name} (${p.projections.projected_points.toFixed(1)} pts)`));
-        
         topFreeAgentsByPosition[position] = topFreeAgents;
-      }
+      });
       
       return topFreeAgentsByPosition;
     } catch (error) {
@@ -462,6 +440,28 @@ class FantasyDataService {
     }
   }
 
+  // Get free agents for each position, enhanced with projections and stats from one shared context
+  async getEnhancedFreeAgentsByPosition(leagueId, positions, limitPerPosition = 50, platform = 'sleeper', season = null) {
+    const currentSeason = season || await projectionsService.getCurrentNFLSeason();
+    const currentWeek = await projectionsService.getCurrentNFLWeek();
+    
+    console.log(`Fetching free agents by position for league ${leagueId}, week ${currentWeek}`);
+    
+    // Scoring settings and the bulk projections/stats are shared by every position
+    const [scoringSettings, context] = await Promise.all([
+      this.getLeagueScoringSettings(leagueId),
+      this.getEnhancementContext(currentSeason, currentWeek)
+    ]);
+    
+    const freeAgentsByPosition = {};
+    for (const position of positions) {
+      const freeAgents = await this.getFreeAgents(leagueId, position, limitPerPosition, platform);
+      freeAgentsByPosition[position] = this.enhancePlayerData(freeAgents, context, scoringSettings);
+    }
+    
+    return freeAgentsByPosition;
+  }
+
   // Get trending players (adds/drops)
   async getTrendingPlayers(type = 'add', lookbackHours = 24, limit = null) {
     try {
@@ -531,6 +531,265 @@ class FantasyDataService {
     }
   }
 
+  // Get league standings
+  async getStandings(leagueId, platform = 'sleeper') {
+    try {
+      if (platform === 'sleeper') {
+        const [league, rosters, users] = await Promise.all([
+          this.getLeagueWithCache(leagueId),
+          this.getLeagueRostersWithCache(leagueId),
+          this.getLeagueUsersWithCache(leagueId)
+        ]);
+
+        // Every roster has played the same number of regular season games,
+        // so the records tell us which weeks are complete
+        const gamesPlayed = Math.max(0, ...rosters.map(roster => {
+          const settings = roster.settings || {};
+          return (settings.wins || 0) + (settings.losses || 0) + (settings.ties || 0);
+        }));
+        const startWeek = league.settings?.start_week || 1;
+        const weeks = Array.from({ length: gamesPlayed }, (_, index) => startWeek + index);
+        const weeklyResults = await this.getWeeklyResults(leagueId, weeks);
+
+        const standings = rosters.map(roster => {
+          const settings = roster.settings || {};
+          const user = users.find(u => u.user_id === roster.owner_id);
+          const results = weeklyResults
+            .map(week => week.results.find(result => result.rosterId === roster.roster_id))
+            .filter(result => result && result.outcome);
+
+          return {
+            teamId: roster.roster_id,
+            ownerId: roster.owner_id,
+            team: {
+              name: user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`,
+              owner: user?.display_name || 'Unknown',
+              wins: settings.wins || 0,
+              losses: settings.losses || 0,
+              ties: settings.ties || 0,
+              pointsFor: (settings.fpts || 0) + (settings.fpts_decimal || 0) / 100,
+              pointsAgainst: (settings.fpts_against || 0) + (settings.fpts_against_decimal || 0) / 100
+            },
+            division: settings.division || null,
+            seed: null,
+            streak: this.getStreak(results.map(result => result.outcome))
+          };
+        });
+
+        return this.rankStandings(standings);
+      } else if (platform === 'espn') {
+        const [teams, members] = await Promise.all([
+          espnApi.getStandings(leagueId),
+          espnApi.getLeagueMembers(leagueId).catch(error => {
+            console.warn('ESPN members unavailable, owners will show as unknown:', error);
+            return [];
+          })
+        ]);
+
+        return this.rankStandings(this.normalizeEspnStandings(teams, members));
+      }
+
+      throw new Error(`Unsupported platform: ${platform}`);
+    } catch (error) {
+      console.error('Error fetching standings:', error);
+      throw error;
+    }
+  }
+
+  // Convert ESPN mStandings teams into the standings model used by the Sleeper path
+  normalizeEspnStandings(teams, members = []) {
+    const streakTypes = { WIN: 'W', LOSS: 'L', TIE: 'T' };
+
+    return (teams || []).map(team => {
+      const overall = team.record?.overall || {};
+      const ownerId = team.primaryOwner || team.owners?.[0] || null;
+      const member = members.find(m => m.id === ownerId);
+      const ownerName = member
+        ? member.displayName || `${member.firstName || ''} ${member.lastName || ''}`.trim()
+        : 'Unknown';
+      const streakType = streakTypes[overall.streakType];
+
+      return {
+        teamId: team.id,
+        ownerId,
+        team: {
+          name: team.name || `${team.location || ''} ${team.nickname || ''}`.trim() || team.abbrev || `Team ${team.id}`,
+          owner: ownerName,
+          wins: overall.wins || 0,
+          losses: overall.losses || 0,
+          ties: overall.ties || 0,
+          pointsFor: overall.pointsFor ?? team.points ?? 0,
+          pointsAgainst: overall.pointsAgainst || 0
+        },
+        division: team.divisionId ?? null,
+        seed: team.playoffSeed || null,
+        streak: streakType && overall.streakLength ? `${streakType}${overall.streakLength}` : '-'
+      };
+    });
+  }
+
+  // Get head-to-head results for each roster over a list of weeks
+  async getWeeklyResults(leagueId, weeks) {
+    const weeklyMatchups = await Promise.all(
+      weeks.map(week => this.getLeagueMatchupsWithCache(leagueId, week))
+    );
+
+    return weeks.map((week, index) => {
+      const matchups = weeklyMatchups[index];
+
+      const results = matchups.map(matchup => {
+        const opponent = matchup.matchup_id
+          ? matchups.find(m => m.matchup_id === matchup.matchup_id && m.roster_id !== matchup.roster_id)
+          : null;
+        const points = matchup.points || 0;
+        const opponentPoints = opponent ? opponent.points || 0 : null;
+
+        let outcome = null;
+        if (opponent) {
+          if (points > opponentPoints) outcome = 'W';
+          else if (points < opponentPoints) outcome = 'L';
+          else outcome = 'T';
+        }
+
+        return {
+          rosterId: matchup.roster_id,
+          opponentRosterId: opponent ? opponent.roster_id : null,
+          points,
+          opponentPoints,
+          outcome
+        };
+      });
+
+      return { week, results };
+    });
+  }
+
+  /**
+   * League transactions over a set of weeks with player and manager names resolved
+   * @param {string} leagueId - Sleeper league id
+   * @param {Array} weeks - Weeks to load; defaults to every week through the current one
+   * @returns {Array} Newest first: { id, type, status, week, created, rosterIds, managers, adds, drops,
+   *   faabBid, draftPicks, faabTransfers, notes }
+   */
+  async getLeagueTransactions(leagueId, weeks = null) {
+    if (!weeks) {
+      const currentWeek = await projectionsService.getCurrentNFLWeek();
+      weeks = Array.from({ length: currentWeek }, (_, index) => index + 1);
+    }
+
+    const [weeklyTransactions, rosters, users, players] = await Promise.all([
+      Promise.all(weeks.map(week => this.getLeagueTransactionsWithCache(leagueId, week))),
+      this.getLeagueRostersWithCache(leagueId),
+      this.getLeagueUsersWithCache(leagueId),
+      this.getPlayersWithCache()
+    ]);
+
+    const teamNames = {};
+    rosters.forEach(roster => {
+      const user = users.find(u => u.user_id === roster.owner_id);
+      teamNames[roster.roster_id] = user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`;
+    });
+    const getTeamName = rosterId => teamNames[rosterId] || `Team ${rosterId}`;
+
+    // Sleeper maps player id -> roster id for both adds and drops
+    const getPlayerMoves = moves => Object.entries(moves || {}).map(([playerId, rosterId]) => {
+      const player = players[playerId];
+      return {
+        playerId,
+        name: player?.first_name ? `${player.first_name} ${player.last_name}` : playerId,
+        position: player?.position || null,
+        team: player?.team || null,
+        rosterId,
+        teamName: getTeamName(rosterId)
+      };
+    });
+
+    const transactions = [];
+    weeks.forEach((week, index) => {
+      (weeklyTransactions[index] || []).forEach(transaction => {
+        const rosterIds = transaction.roster_ids || [];
+        transactions.push({
+          id: transaction.transaction_id,
+          type: transaction.type,
+          status: transaction.status,
+          week: transaction.leg || week,
+          created: transaction.status_updated || transaction.created,
+          rosterIds,
+          managers: rosterIds.map(rosterId => ({ rosterId, teamName: getTeamName(rosterId) })),
+          adds: getPlayerMoves(transaction.adds),
+          drops: getPlayerMoves(transaction.drops),
+          faabBid: transaction.settings?.waiver_bid ?? null,
+          draftPicks: (transaction.draft_picks || []).map(pick => ({
+            season: pick.season,
+            round: pick.round,
+            originalTeamName: getTeamName(pick.roster_id),
+            fromRosterId: pick.previous_owner_id,
+            toRosterId: pick.owner_id,
+            toTeamName: getTeamName(pick.owner_id)
+          })),
+          faabTransfers: (transaction.waiver_budget || []).map(transfer => ({
+            amount: transfer.amount,
+            fromRosterId: transfer.sender,
+            toRosterId: transfer.receiver,
+            toTeamName: getTeamName(transfer.receiver)
+          })),
+          // Sleeper explains failed waiver claims in metadata.notes
+          notes: transaction.metadata?.notes || null
+        });
+      });
+    });
+
+    return transactions.sort((a, b) => (b.created || 0) - (a.created || 0));
+  }
+
+  // Build a streak label (e.g. W3) from a chronological list of W/L/T outcomes
+  getStreak(outcomes) {
+    if (!outcomes.length) return '-';
+
+    const last = outcomes[outcomes.length - 1];
+    let length = 0;
+    for (let i = outcomes.length - 1; i >= 0 && outcomes[i] === last; i--) {
+      length++;
+    }
+    return `${last}${length}`;
+  }
+
+  // Sort standings by record (points for breaks ties) and fill in rank, record and games back.
+  // Platform-provided playoff seeds take precedence when every team has one.
+  rankStandings(standings) {
+    const useSeeds = standings.length > 0 && standings.every(standing => standing.seed);
+
+    const withPercentage = standings.map(standing => {
+      const { wins, losses, ties } = standing.team;
+      const games = wins + losses + ties;
+      return {
+        ...standing,
+        record: `${wins}-${losses}-${ties}`,
+        winPercentage: games > 0 ? (wins + ties * 0.5) / games : 0
+      };
+    });
+
+    withPercentage.sort((a, b) => {
+      if (useSeeds) return a.seed - b.seed;
+      if (b.winPercentage !== a.winPercentage) return b.winPercentage - a.winPercentage;
+      return b.team.pointsFor - a.team.pointsFor;
+    });
+
+    // Games back is measured against the best record, which may not hold the top seed
+    const leader = withPercentage.reduce((best, standing) => {
+      if (!best) return standing;
+      const margin = standing.team.wins - standing.team.losses;
+      return margin > best.team.wins - best.team.losses ? standing : best;
+    }, null);
+    return withPercentage.map((standing, index) => ({
+      ...standing,
+      rank: index + 1,
+      gamesBack: leader
+        ? ((leader.team.wins - standing.team.wins) + (standing.team.losses - leader.team.losses)) / 2
+        : 0
+    }));
+  }
+
   // Get user's leagues
   async getUserLeagues(userId, sport = null, season = null) {
     try {
@@ -606,42 +865,58 @@ class FantasyDataService {
         return lineup;
       }
 
-      console.log(`Fetching current week projections (Week ${currentWeek}) for ${priorityPlayerIds.length} priority players`);
+      // One bulk request per dataset covers every player on the roster
+      const [context, league, byeTeams] = await Promise.all([
+        this.getEnhancementContext(currentSeason, currentWeek),
+        this.getLeagueWithCache(leagueId),
+        nflScheduleService.getByeTeams(currentSeason, currentWeek)
+      ]);
 
-      // Clear projections cache to force fresh API call
-      projectionsService.clearProjectionsCache();
+      const starters = this.enhancePlayerData(lineup.starters, context, scoringSettings);
+      const bench = this.enhancePlayerData(lineup.bench, context, scoringSettings);
+      const ir = this.enhancePlayerData(lineup.ir, context, scoringSettings);
 
-      // Only fetch projections - this should contain all the data we need for current week
-      const projections = await projectionsService.getPlayerProjections(priorityPlayerIds, currentSeason, currentWeek, 'regular', 'ppr');
-      const projectionsData = projections || {};
-      
-      // Fetch previous week stats for historical data
-      const previousWeek = currentWeek > 1 ? currentWeek - 1 : 1;
-      console.log(`Fetching previous week stats (Week ${previousWeek}) for historical data`);
-      const previousWeekStats = await projectionsService.getHistoricalStats(currentSeason, previousWeek, 'regular');
-      console.log(`Retrieved stats for ${Object.keys(previousWeekStats).length} players from Week ${previousWeek}`);
-      
-      const statsData = previousWeekStats;
+      // Compare the current lineup with the best legal one for the league's slots
+      const rosterPositions = league?.roster_positions || [];
+      const playersById = {};
+      [...starters, ...bench, ...ir].forEach(player => {
+        playersById[player.player_id] = player;
+      });
+      // Players parked in IR or TAXI slots can't start until they're moved to the active roster
+      const inactiveReasons = {};
+      (lineup.roster.reserve || []).forEach(id => { inactiveReasons[id] = 'IR slot'; });
+      (lineup.roster.taxi || []).forEach(id => { inactiveReasons[id] = 'Taxi squad'; });
+      const currentLineup = lineupOptimizer.getCurrentLineup(lineup.roster.starters, playersById, rosterPositions, { byeTeams });
+      const optimalLineup = lineupOptimizer.optimize(Object.values(playersById), rosterPositions, { byeTeams, inactiveReasons });
 
       // Enhance lineup data with projections and stats
       const enhancedLineup = {
         ...lineup,
-        starters: await this.enhancePlayerData(lineup.starters, projectionsData, statsData, scoringSettings, currentWeek, currentSeason),
-        bench: await this.enhancePlayerData(lineup.bench, projectionsData, statsData, scoringSettings, currentWeek, currentSeason),
-        ir: await this.enhancePlayerData(lineup.ir, projectionsData, statsData, scoringSettings, currentWeek, currentSeason),
+        starters,
+        bench,
+        ir,
+        rosterPositions,
+        currentLineup,
+        optimalLineup,
+        startSit: {
+          swaps: lineupOptimizer.getSwaps(currentLineup, optimalLineup),
+          flags: lineupOptimizer.getStarterFlags(currentLineup, byeTeams)
+        },
         metadata: {
           week: currentWeek,
           season: currentSeason,
           scoringSettings: scoringSettings,
           lastUpdated: new Date().toISOString(),
-        dataQuality: {
-          projectionsLoaded: Object.keys(projectionsData).length > 0,
-          statsLoaded: Object.keys(statsData).length > 0,
-          totalPlayers: priorityPlayerIds.length,
-          projectionsCount: Object.keys(projectionsData).length,
-          statsCount: Object.keys(statsData).length,
-          previousWeek: previousWeek
-        }
+          dataQuality: {
+            projectionsLoaded: Object.keys(context.projections).length > 0,
+            statsLoaded: Object.keys(context.previousWeekStats).length > 0,
+            totalPlayers: priorityPlayerIds.length,
+            projectionsCount: Object.keys(context.projections).length,
+            statsCount: Object.keys(context.previousWeekStats).length,
+            completedWeeks: context.completedWeeks,
+            restOfYearWeeks: context.restOfYearWeeks,
+            previousWeek: context.previousWeek
+          }
         }
       };
 
@@ -653,176 +928,151 @@ class FantasyDataService {
     }
   }
 
-  // Determine scoring type based on league settings
-  getScoringType(scoringSettings) {
-    if (!scoringSettings) return 'half_ppr';
-    
-    console.log('Analyzing scoring settings:', scoringSettings);
-    
-    // Check reception scoring
-    const rec = scoringSettings.rec || 0;
-    const rec_half = scoringSettings.rec_half || 0;
-    
-    console.log('Reception scoring - rec:', rec, 'rec_half:', rec_half);
-    
-    if (rec === 1) {
-      console.log('League uses PPR scoring (rec = 1)');
-      return 'ppr';
-    } else if (rec === 0.5 || rec_half === 0.5) {
-      console.log('League uses Half-PPR scoring (rec = 0.5 or rec_half = 0.5)');
-      return 'half_ppr';
-    } else if (rec === 0 && rec_half === 0) {
-      console.log('League uses Standard scoring (no reception points)');
-      return 'half_ppr'; // Default to half_ppr for standard
-    } else {
-      console.log('League uses custom scoring, defaulting to half_ppr');
-      return 'half_ppr';
-    }
+  // Every roster in a Sleeper league with players enhanced for this week and the rest of the season.
+  // One bulk enhancement context serves all of them.
+  async getEnhancedLeagueRosters(leagueId) {
+    const [rosters, users, players, league, scoringSettings, week, season] = await Promise.all([
+      this.getLeagueRostersWithCache(leagueId),
+      this.getLeagueUsersWithCache(leagueId),
+      this.getPlayersWithCache(),
+      this.getLeagueWithCache(leagueId),
+      this.getLeagueScoringSettings(leagueId),
+      projectionsService.getCurrentNFLWeek(),
+      projectionsService.getCurrentNFLSeason()
+    ]);
+
+    const [context, byeTeams] = await Promise.all([
+      this.getEnhancementContext(season, week),
+      nflScheduleService.getByeTeams(season, week)
+    ]);
+
+    const teams = rosters.map(roster => {
+      const user = users.find(u => u.user_id === roster.owner_id);
+      return {
+        rosterId: roster.roster_id,
+        ownerId: roster.owner_id,
+        teamName: user?.metadata?.team_name || user?.display_name || `Team ${roster.roster_id}`,
+        players: this.enhancePlayerData(this.processPlayerList(roster.players || [], players), context, scoringSettings)
+      };
+    });
+
+    return {
+      leagueId,
+      league,
+      week,
+      season,
+      byeTeams,
+      rosterPositions: league?.roster_positions || [],
+      restOfYearWeeks: context.restOfYearWeeks,
+      teams
+    };
   }
 
-  // Enhance player data with projections and stats
-  async enhancePlayerData(players, projections, stats, scoringSettings, currentWeek, currentSeason) {
-    if (!Array.isArray(players)) return [];
+  // Load the bulk data needed to enhance any players for a week: this week's projections, last week's stats,
+  // season-to-date stats, full-season projections and bye weeks. Season-level endpoints keep this to a few
+  // requests whatever the week, and each covers all players, so one context serves rosters and free agents alike.
+  async getEnhancementContext(season, week) {
+    const previousWeek = week > 1 ? week - 1 : 1;
 
-    // Determine scoring type for this league
-    const scoringType = this.getScoringType(scoringSettings);
-    const pointsField = scoringType === 'ppr' ? 'pts_ppr' : 'pts_half_ppr';
-    
-    console.log('Enhancing player data:', {
-      playersCount: players.length,
-      projectionsKeys: Object.keys(projections),
-      statsKeys: Object.keys(stats),
-      scoringSettings,
-      currentWeek,
-      scoringType,
-      pointsField
-    });
+    // A dataset that failed to load is left empty rather than failing the whole enhancement
+    const emptyOnError = label => error => {
+      console.error(`Error fetching ${label}:`, error);
+      return {};
+    };
 
-    const enhancedPlayers = [];
-    
-    for (const player of players) {
-      const playerId = player.player_id;
-      const playerProjections = projections[playerId] || {};
-      const playerStats = stats[playerId] || {};
-
-      console.log(`Processing player ${playerId}:`, {
-        playerName: `${player.first_name} ${player.last_name}`,
-        playerProjections,
-        playerStats,
-        statsKeys: Object.keys(playerStats)
-      });
+    const [projections, previousWeekStats, seasonStats, seasonProjections, byeWeeks] = await Promise.all([
+      projectionsService.getWeeklyProjections(season, week).catch(emptyOnError(`week ${week} projections`)),
+      week > 1 ? projectionsService.getHistoricalStats(season, previousWeek, 'regular') : {},
+      projectionsService.getSeasonStats(season).catch(emptyOnError(`${season} season stats`)),
+      projectionsService.getSeasonProjections(season).catch(emptyOnError(`${season} season projections`)),
+      nflScheduleService.getByeWeeks(season)
+    ]);
 
-      // Get projected points directly from the API response
-      let projectedPoints = 0;
-      if (playerProjections.projected_points !== undefined) {
-        projectedPoints = playerProjections.projected_points;
-        console.log(`✅ Player ${playerId} projected points from bulk API: ${projectedPoints}`, playerProjections);
-      } else {
-        // Try to get player-specific projections as fallback
-        try {
-          const playerSpecificProjections = await projectionsService.getPlayerSpecificProjections(playerId, currentSeason, 'regular');
-          const currentWeekProjection = playerSpecificProjections[currentWeek];
-          if (currentWeekProjection && currentWeekProjection[pointsField] !== undefined) {
-            projectedPoints = currentWeekProjection[pointsField];
-            console.log(`✅ Player ${playerId} projected points from player-specific API: ${projectedPoints} (using ${pointsField})`);
-          } else {
-            console.log(`❌ No projection data found for player ${playerId} in any API`);
-          }
-        } catch (error) {
-          console.log(`❌ Error fetching player-specific projections for ${playerId}:`, error);
-        }
-      }
+    return {
+      season,
+      week,
+      previousWeek,
+      projections: projections || {},
+      previousWeekStats: previousWeekStats || {},
+      seasonStats: seasonStats || {},
+      seasonProjections: seasonProjections || {},
+      byeWeeks,
+      completedWeeks: week - 1,
+      restOfYearWeeks: Math.max(0, REGULAR_SEASON_WEEKS - week)
+    };
+  }
 
-      // Get previous week points from historical stats
-      let previousWeekPoints = 0;
-      let previousWeekStats = {};
-      if (playerStats && playerStats[pointsField] !== undefined) {
-        previousWeekPoints = playerStats[pointsField];
-        previousWeekStats = playerStats;
-        console.log(`📊 Player ${playerId} previous week points: ${previousWeekPoints} (using ${pointsField})`);
-      } else {
-        console.log(`📊 No previous week stats found for player ${playerId} (looking for ${pointsField})`);
-      }
+  // Rest of Year points: the share of a full-season projection left after this week, one game per
+  // remaining week except a bye still to come
+  getRestOfYearPoints(seasonProjection, team, context, scoringSettings, position) {
+    if (!seasonProjection) return 0;
 
-      // Calculate season average from player-specific stats
-      let seasonAvg = 0;
-      try {
-        console.log(`🔍 Starting season average calculation for player ${playerId}...`);
-        seasonAvg = await projectionsService.getPlayerSeasonAverage(playerId, currentSeason, 'regular', scoringType);
-        console.log(`📈 Player ${playerId} season average result: ${seasonAvg.toFixed(2)}`);
-      } catch (error) {
-        console.log(`📈 Error calculating season average for player ${playerId}:`, error);
-        seasonAvg = 0;
-      }
+    const byeWeek = context.byeWeeks[team];
+    const gamesLeft = Math.max(0, context.restOfYearWeeks - (byeWeek > context.week ? 1 : 0));
+    return this.scoreStatLine(seasonProjection, scoringSettings, position) * gamesLeft / REGULAR_SEASON_GAMES;
+  }
 
-      // Calculate Rest of Year projections (sum of all future weeks)
-      let restOfYearPoints = 0;
-      try {
-        console.log(`🔮 Calculating Rest of Year projections for player ${playerId}...`);
-        const playerSpecificProjections = await projectionsService.getPlayerSpecificProjections(playerId, currentSeason, 'regular');
-        console.log(`🔮 Player-specific projections data for ${playerId}:`, playerSpecificProjections);
-        
-        if (!playerSpecificProjections || typeof playerSpecificProjections !== 'object') {
-          console.log(`🔮 No projections data found for player ${playerId} - playerSpecificProjections:`, playerSpecificProjections);
-          restOfYearPoints = 0;
-        } else {
-          console.log(`🔮 Available weeks in player projections:`, Object.keys(playerSpecificProjections));
-          
-          // Sum projections for all weeks after current week
-          for (let week = currentWeek + 1; week <= 18; week++) { // Regular season goes to week 18
-            const weekProjection = playerSpecificProjections[week];
-            console.log(`🔮 Processing week ${week} for player ${playerId}:`, weekProjection);
-            
-            if (weekProjection && weekProjection.stats && weekProjection.stats[pointsField] !== undefined) {
-              restOfYearPoints += weekProjection.stats[pointsField];
-              console.log(`  Week ${week}: ${weekProjection.stats[pointsField]} points (using ${pointsField})`);
-            } else if (weekProjection && weekProjection[pointsField] !== undefined) {
-              // Fallback: check if points are directly on the week object
-              restOfYearPoints += weekProjection[pointsField];
-              console.log(`  Week ${week}: ${weekProjection[pointsField]} points (direct field, using ${pointsField})`);
-            } else {
-              console.log(`  Week ${week}: No valid projection data for ${pointsField} (weekProjection:`, weekProjection, ')');
-            }
-          }
-        }
-        console.log(`🔮 Player ${playerId} Rest of Year total: ${restOfYearPoints.toFixed(2)} points`);
-      } catch (error) {
-        console.log(`🔮 Error calculating Rest of Year for player ${playerId}:`, error);
-        restOfYearPoints = 0;
-      }
-      
-      console.log(`Player ${playerId} - Projected: ${projectedPoints}, Previous: ${previousWeekPoints}, Season Avg: ${seasonAvg}, Rest of Year: ${restOfYearPoints}`);
+  // Score a stat line with the league's scoring settings. Sleeper's precomputed points field is
+  // only used when the league's settings are unavailable or the line has no stats they score.
+  scoreStatLine(stats, scoringSettings, position) {
+    if (!stats) return 0;
+
+    const fallbackField = scoringEngine.getPrecomputedPointsField(scoringSettings);
+    if (!scoringSettings || Object.keys(scoringSettings).length === 0) {
+      return stats[fallbackField] || 0;
+    }
+
+    const { points, breakdown } = scoringEngine.calculatePoints(stats, scoringSettings, position);
+    if (Object.keys(breakdown).length === 0) {
+      return stats[fallbackField] || 0;
+    }
+    return points;
+  }
+
+  // Enhance player data with projections and stats from a context built by getEnhancementContext
+  enhancePlayerData(players, context, scoringSettings) {
+    if (!Array.isArray(players)) return [];
+
+    return players.map(player => {
+      const playerId = player.player_id;
+      const position = player.position;
+      const projection = context.projections[playerId] || {};
+      const previousWeekStats = context.previousWeekStats[playerId] || {};
+
+      // Projected points come from the projected stat line scored with the league's own settings
+      const projectedPoints = this.scoreStatLine(context.projections[playerId], scoringSettings, position);
+      const projectedBreakdown = scoringEngine.calculatePoints(projection, scoringSettings, position).breakdown;
+      const previousWeekPoints = this.scoreStatLine(context.previousWeekStats[playerId], scoringSettings, position);
+      const previousWeekBreakdown = scoringEngine.calculatePoints(previousWeekStats, scoringSettings, position).breakdown;
+
+      // Season average over the games the player actually played, from season-to-date totals
+      const seasonLine = context.seasonStats[playerId];
+      const gamesPlayed = seasonLine?.gp || 0;
+      const seasonAvg = gamesPlayed > 0 ? this.scoreStatLine(seasonLine, scoringSettings, position) / gamesPlayed : 0;
+
+      const restOfYearPoints = this.getRestOfYearPoints(
+        context.seasonProjections[playerId], player.team, context, scoringSettings, position
+      );
 
-      const enhancedPlayer = {
+      return {
         ...player,
         projections: {
           projected_points: projectedPoints,
           rest_of_year: restOfYearPoints,
-          stats: playerProjections.stats || {}
+          breakdown: projectedBreakdown,
+          stats: projection
         },
         stats: {
           previous_week: {
             points: previousWeekPoints,
+            breakdown: previousWeekBreakdown,
             stats: previousWeekStats
           },
           season_avg: seasonAvg,
-          weekly_stats: playerStats
+          weekly_stats: previousWeekStats
         }
       };
-
-      console.log(`🎯 Enhanced player ${playerId} result:`, {
-        playerName: `${player.first_name} ${player.last_name}`,
-        projected: enhancedPlayer.projections.projected_points,
-        restOfYear: enhancedPlayer.projections.rest_of_year,
-        previousWeek: enhancedPlayer.stats.previous_week.points,
-        seasonAvg: enhancedPlayer.stats.season_avg,
-        fullProjections: enhancedPlayer.projections
-      });
-
-      enhancedPlayers.push(enhancedPlayer);
-    }
-    
-    return enhancedPlayers;
+    });
   }
 
   // Get NFL games for current week from Sleeper
@@ -834,13 +1084,11 @@ class FantasyDataService {
       console.log(`Fetching NFL games for Week ${currentWeek} of ${currentSeason}`);
       console.log('Current NFL state:', { currentSeason, currentWeek });
       
-      // Since Sleeper doesn't have a direct NFL schedule endpoint, let's use a fallback approach
-      // We'll create mock data for now based on the known Week 2 schedule
-      const mockGames = this.getMockNFLGames(currentWeek);
+      const games = await nflScheduleService.getGames(currentSeason, currentWeek);
       
-      console.log(`Found ${mockGames.length} NFL games for Week ${currentWeek}`);
+      console.log(`Found ${games.length} NFL games for Week ${currentWeek}`);
       
-      return mockGames;
+      return games;
     } catch (error) {
       console.error('Error fetching NFL games:', error);
       return [];
@@ -1062,168 +1310,13 @@ class FantasyDataService {
     }
   }
 
-  // Mock NFL games data for testing (based on known Week 2 2025 schedule)
-  getMockNFLGames(week) {
-    if (week !== 2) {
-      return [];
-    }
-
-    return [
-      {
-        id: 'game_1',
-        awayTeam: 'WAS',
-        homeTeam: 'GB',
-        gameTime: '2025-09-11T20:15:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_2',
-        awayTeam: 'CLE',
-        homeTeam: 'BAL',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_3',
-        awayTeam: 'JAX',
-        homeTeam: 'CIN',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_4',
-        awayTeam: 'NYG',
-        homeTeam: 'DAL',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_5',
-        awayTeam: 'CHI',
-        homeTeam: 'DET',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_6',
-        awayTeam: 'NE',
-        homeTeam: 'MIA',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_7',
-        awayTeam: 'SF',
-        homeTeam: 'NO',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_8',
-        awayTeam: 'BUF',
-        homeTeam: 'NYJ',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_9',
-        awayTeam: 'SEA',
-        homeTeam: 'PIT',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_10',
-        awayTeam: 'LAR',
-        homeTeam: 'TEN',
-        gameTime: '2025-09-14T13:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_11',
-        awayTeam: 'CAR',
-        homeTeam: 'ARI',
-        gameTime: '2025-09-14T16:05:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_12',
-        awayTeam: 'DEN',
-        homeTeam: 'IND',
-        gameTime: '2025-09-14T16:05:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_13',
-        awayTeam: 'PHI',
-        homeTeam: 'KC',
-        gameTime: '2025-09-14T16:25:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_14',
-        awayTeam: 'ATL',
-        homeTeam: 'MIN',
-        gameTime: '2025-09-14T20:20:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_15',
-        awayTeam: 'TB',
-        homeTeam: 'HOU',
-        gameTime: '2025-09-15T19:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      },
-      {
-        id: 'game_16',
-        awayTeam: 'LAC',
-        homeTeam: 'LV',
-        gameTime: '2025-09-15T22:00:00-04:00',
-        status: 'upcoming',
-        week: 2,
-        season: 2025
-      }
-    ].sort((a, b) => new Date(a.gameTime) - new Date(b.gameTime));
-  }
-
   // Clear all caches (for testing or emergency reset)
   clearAllCaches() {
     this.playerCache = null;
     this.lastPlayerUpdate = null;
-    this.leagueCache.clear();
-    this.rostersCache.clear();
-    this.usersCache.clear();
-    this.leagueSettingsCache.clear();
+    persistentStore.remove(this.getPlayersStoreKey(appConfig.defaultSport));
+    this.leagueCaches.forEach(cache => cache.clear());
+    nflScheduleService.clearCache();
     
     // Also clear projections service cache
     if (projectionsService.clearAllCaches) {
@@ -1242,7 +1335,10 @@ class FantasyDataService {
       rosters: this.rostersCache.size,
       users: this.usersCache.size,
       settings: this.leagueSettingsCache.size,
-      total: this.rostersCache.size + this.usersCache.size + this.leagueSettingsCache.size
+      leagues: this.leagueCache.size,
+      matchups: this.matchupsCache.size,
+      transactions: this.transactionsCache.size,
+      total: this.leagueCaches.reduce((total, cache) => total + cache.size, 0)
     };
     
     return {
@@ -1255,13 +1351,10 @@ class FantasyDataService {
       },
       leagueCache: {
         ...leagueCacheStats,
-        duration: this.LEAGUE_CACHE_DURATION
+        windows: appConfig.cache.categories
       },
       projectionsCache: projectionsService.getCacheStatus(),
-      rateLimit: {
-        sleeper: sleeperApi.getRateLimitStatus(),
-        espn: espnApi.getCacheStatus()
-      }
+      requests: httpClient.getStats()
     };
   }
 }
@@ -0,0 +1,194 @@
+// HTTP Client
+// Shared request layer for every external API: per-host rate limiting,
+// in-flight request deduplication, retries with exponential backoff and timeouts
+
+import appConfig from '../config/appConfig';
+
+const RATE_LIMIT_WINDOW = 60 * 1000; // Limits are expressed per minute
+
+class HttpClient {
+  constructor() {
+    this.hosts = new Map();
+    this.pendingRequests = new Map();
+  }
+
+  // Get (or create) the rate limit and stats state for a host
+  getHostState(host) {
+    if (!this.hosts.has(host)) {
+      this.hosts.set(host, {
+        limit: appConfig.http.hostRateLimits[host] || appConfig.http.defaultRateLimit,
+        requestCount: 0,
+        windowStart: Date.now(),
+        totalRequests: 0,
+        retries: 0,
+        errors: 0,
+        timeouts: 0,
+        throttled: 0
+      });
+    }
+    return this.hosts.get(host);
+  }
+
+  async sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Wait until the host's rate limit window has room for another request
+  async acquireSlot(host) {
+    const state = this.getHostState(host);
+
+    for (;;) {
+      const now = Date.now();
+      if (now - state.windowStart >= RATE_LIMIT_WINDOW) {
+        state.requestCount = 0;
+        state.windowStart = now;
+      }
+
+      if (state.requestCount < state.limit) {
+        state.requestCount++;
+        state.totalRequests++;
+        return;
+      }
+
+      state.throttled++;
+      const wait = RATE_LIMIT_WINDOW - (now - state.windowStart);
+      if (appConfig.isDebugEnabled) {
+        console.log(`Rate limit reached for ${host}, queuing request for ${wait}ms`);
+      }
+      await this.sleep(wait);
+    }
+  }
+
+  // Delay before the next retry, honoring Retry-After when the server sends it
+  getRetryDelay(attempt, response = null) {
+    const retryAfter = response?.headers?.get('Retry-After');
+    if (retryAfter && !isNaN(parseInt(retryAfter))) {
+      return parseInt(retryAfter) * 1000;
+    }
+    return appConfig.http.baseRetryDelay * Math.pow(2, attempt);
+  }
+
+  // GET a JSON resource. Identical requests already in flight share one promise.
+  async getJson(url, options = {}) {
+    if (this.pendingRequests.has(url)) {
+      return this.pendingRequests.get(url);
+    }
+
+    const requestPromise = this.request(url, options);
+    this.pendingRequests.set(url, requestPromise);
+
+    try {
+      return await requestPromise;
+    } finally {
+      this.pendingRequests.delete(url);
+    }
+  }
+
+  // Perform a request with rate limiting, timeout and retries, returning parsed JSON
+  async request(url, options = {}) {
+    const { timeout = appConfig.http.timeout, ...fetchOptions } = options;
+    const host = new URL(url).host;
+    const state = this.getHostState(host);
+    const maxRetries = appConfig.http.maxRetries;
+    let lastError;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      await this.acquireSlot(host);
+
+      if (appConfig.isDebugEnabled) {
+        console.log(`HTTP request (attempt ${attempt + 1}): ${url}`);
+      }
+
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), timeout);
+      let response;
+
+      try {
+        response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+      } catch (error) {
+        clearTimeout(timer);
+        const isTimeout = error.name === 'AbortError';
+        if (isTimeout) state.timeouts++;
+
+        lastError = isTimeout ? new Error(`Request timed out after ${timeout}ms: ${url}`) : error;
+        if (attempt < maxRetries) {
+          state.retries++;
+          await this.sleep(this.getRetryDelay(attempt));
+          continue;
+        }
+        break;
+      }
+
+      try {
+        // Rate limited or server trouble: back off and try again
+        if ((response.status === 429 || response.status >= 500) && attempt < maxRetries) {
+          const delay = this.getRetryDelay(attempt, response);
+          if (appConfig.isDebugEnabled) {
+            console.log(`HTTP ${response.status} from ${host}, waiting ${delay}ms before retry ${attempt + 1}/${maxRetries}`);
+          }
+          state.retries++;
+          await this.sleep(delay);
+          continue;
+        }
+
+        if (!response.ok) {
+          lastError = new Error(`HTTP error! status: ${response.status}`);
+          lastError.status = response.status;
+          break;
+        }
+
+        return await response.json();
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    state.errors++;
+    console.error(`HTTP request failed: ${url}`, lastError);
+    throw lastError;
+  }
+
+  // Rate limit status for a single host
+  getHostStatus(host) {
+    const state = this.getHostState(host);
+    const timeSinceReset = Date.now() - state.windowStart;
+    const windowExpired = timeSinceReset >= RATE_LIMIT_WINDOW;
+    const currentCount = windowExpired ? 0 : state.requestCount;
+
+    return {
+      currentCount,
+      maxCount: state.limit,
+      remaining: state.limit - currentCount,
+      timeUntilReset: windowExpired ? 0 : RATE_LIMIT_WINDOW - timeSinceReset,
+      resetTime: new Date(state.windowStart + RATE_LIMIT_WINDOW),
+      totalRequests: state.totalRequests,
+      retries: state.retries,
+      errors: state.errors,
+      timeouts: state.timeouts,
+      throttled: state.throttled
+    };
+  }
+
+  // Request statistics for every host contacted so far
+  getStats() {
+    const hosts = {};
+    this.hosts.forEach((_, host) => {
+      hosts[host] = this.getHostStatus(host);
+    });
+
+    return {
+      hosts,
+      pendingRequests: this.pendingRequests.size
+    };
+  }
+
+  // Reset rate limit counters (for testing or emergency reset)
+  reset() {
+    this.hosts.clear();
+    this.pendingRequests.clear();
+  }
+}
+
+// Create and export a singleton instance
+const httpClient = new HttpClient();
+export default httpClient;
@@ -0,0 +1,302 @@
+// Lineup Optimizer
+// Finds the points-maximizing legal lineup for a league's roster_positions
+
+// Player positions each starting slot accepts
+const SLOT_ELIGIBILITY = {
+  QB: ['QB'],
+  RB: ['RB'],
+  WR: ['WR'],
+  TE: ['TE'],
+  K: ['K'],
+  DEF: ['DEF'],
+  FLEX: ['RB', 'WR', 'TE'],
+  SUPER_FLEX: ['QB', 'RB', 'WR', 'TE'],
+  REC_FLEX: ['WR', 'TE'],
+  WRRB_FLEX: ['WR', 'RB'],
+  DL: ['DL', 'DE', 'DT'],
+  LB: ['LB'],
+  DB: ['DB', 'CB', 'S'],
+  IDP_FLEX: ['DL', 'DE', 'DT', 'LB', 'DB', 'CB', 'S']
+};
+
+// Roster positions that are not starting slots
+const NON_STARTING_SLOTS = ['BN', 'IR', 'TAXI'];
+
+// Injury designations that rule a player out of the week
+const UNAVAILABLE_STATUSES = ['Out', 'IR', 'PUP', 'Sus'];
+
+// Injury designations worth flagging on a starter
+const FLAGGED_STATUSES = ['Out', 'Doubtful', 'IR', 'PUP', 'Sus'];
+
+// Cost used for slot/player pairs that can't be matched
+const FORBIDDEN = 1e9;
+
+class LineupOptimizer {
+  // Starting slots from a league's roster_positions, in order
+  getStartingSlots(rosterPositions) {
+    return (rosterPositions || []).filter(slot => !NON_STARTING_SLOTS.includes(slot));
+  }
+
+  // Positions a player can fill (Sleeper lists multi-position eligibility in fantasy_positions)
+  getPlayerPositions(player) {
+    if (Array.isArray(player.fantasy_positions) && player.fantasy_positions.length > 0) {
+      return player.fantasy_positions;
+    }
+    return player.position ? [player.position] : [];
+  }
+
+  // Check whether a player can legally fill a slot
+  isEligible(player, slot) {
+    const accepted = SLOT_ELIGIBILITY[slot] || [slot];
+    return this.getPlayerPositions(player).some(position => accepted.includes(position));
+  }
+
+  // Player positions that can fill at least one of the league's starting slots
+  getStartablePositions(rosterPositions) {
+    const slots = this.getStartingSlots(rosterPositions);
+    const positions = ['QB', 'RB', 'WR', 'TE', 'K', 'DEF', 'DL', 'LB', 'DB'];
+    return positions.filter(position => slots.some(slot => this.isEligible({ position }, slot)));
+  }
+
+  // Reason a player can't play this week, or null when available
+  getUnavailableReason(player, byeTeams = []) {
+    if (UNAVAILABLE_STATUSES.includes(player.injury_status)) return player.injury_status;
+    if (!player.team) return 'No NFL team';
+    if (byeTeams.includes(player.team)) return 'Bye';
+    return null;
+  }
+
+  // Projected points for a player (enhanced players carry projections.projected_points)
+  getPlayerPoints(player) {
+    return player.projections?.projected_points || 0;
+  }
+
+  /**
+   * Find the points-maximizing legal lineup
+   * @param {Array} players - Roster players (starters, bench and IR)
+   * @param {Array} rosterPositions - The league's roster_positions
+   * @param {Object} options - { byeTeams: NFL teams on bye, getPoints: player => projected points,
+   *   inactiveReasons: { [player_id]: reason } for players parked in IR or TAXI slots, who must be activated first }
+   * @returns {{slots: Array, totalPoints: number, excluded: Array}} One { slot, player, points } per
+   *   starting slot (player is null when no eligible player is available) and the players left out as unavailable
+   */
+  optimize(players, rosterPositions, options = {}) {
+    const { byeTeams = [], getPoints = player => this.getPlayerPoints(player), inactiveReasons = {} } = options;
+    const slots = this.getStartingSlots(rosterPositions);
+
+    const excluded = [];
+    const candidates = [];
+    (players || []).forEach(player => {
+      if (!player) return;
+      const reason = inactiveReasons[player.player_id] || this.getUnavailableReason(player, byeTeams);
+      if (reason) {
+        excluded.push({ player, reason });
+      } else {
+        candidates.push(player);
+      }
+    });
+
+    // Cost matrix for a min-cost assignment of slots (rows) to players (columns).
+    // Extra columns stand in for "leave the slot empty" so every slot can be assigned.
+    const columnCount = candidates.length + slots.length;
+    const costs = slots.map(slot => {
+      const row = candidates.map(player => (this.isEligible(player, slot) ? -getPoints(player) : FORBIDDEN));
+      for (let i = candidates.length; i < columnCount; i++) {
+        row.push(FORBIDDEN / 2);
+      }
+      return row;
+    });
+
+    const assignment = this.solveAssignment(costs);
+
+    const lineup = slots.map((slot, index) => {
+      const column = assignment[index];
+      const player = column < candidates.length && costs[index][column] < FORBIDDEN ? candidates[column] : null;
+      return { slot, player, points: player ? getPoints(player) : 0 };
+    });
+
+    return {
+      slots: lineup,
+      totalPoints: lineup.reduce((total, entry) => total + entry.points, 0),
+      excluded
+    };
+  }
+
+  // Hungarian algorithm for a rectangular cost matrix (rows <= columns).
+  // Returns the column assigned to each row that minimizes the total cost.
+  solveAssignment(costs) {
+    const rowCount = costs.length;
+    if (rowCount === 0) return [];
+    const columnCount = costs[0].length;
+
+    const u = new Array(rowCount + 1).fill(0);
+    const v = new Array(columnCount + 1).fill(0);
+    const match = new Array(columnCount + 1).fill(0); // match[column] = row (1-based), 0 when free
+    const way = new Array(columnCount + 1).fill(0);
+
+    for (let row = 1; row <= rowCount; row++) {
+      match[0] = row;
+      let column0 = 0;
+      const minValues = new Array(columnCount + 1).fill(Infinity);
+      const used = new Array(columnCount + 1).fill(false);
+
+      do {
+        used[column0] = true;
+        const row0 = match[column0];
+        let delta = Infinity;
+        let column1 = 0;
+
+        for (let column = 1; column <= columnCount; column++) {
+          if (used[column]) continue;
+          const current = costs[row0 - 1][column - 1] - u[row0] - v[column];
+          if (current < minValues[column]) {
+            minValues[column] = current;
+            way[column] = column0;
+          }
+          if (minValues[column] < delta) {
+            delta = minValues[column];
+            column1 = column;
+          }
+        }
+
+        for (let column = 0; column <= columnCount; column++) {
+          if (used[column]) {
+            u[match[column]] += delta;
+            v[column] -= delta;
+          } else {
+            minValues[column] -= delta;
+          }
+        }
+        column0 = column1;
+      } while (match[column0] !== 0);
+
+      do {
+        const column1 = way[column0];
+        match[column0] = match[column1];
+        column0 = column1;
+      } while (column0);
+    }
+
+    const assignment = new Array(rowCount).fill(-1);
+    for (let column = 1; column <= columnCount; column++) {
+      if (match[column] > 0) {
+        assignment[match[column] - 1] = column - 1;
+      }
+    }
+    return assignment;
+  }
+
+  // Current lineup laid out on the league's starting slots, using the roster's ordered starter ids.
+  // Starters who can't play this week (Out, on bye, ...) score nothing, whatever they were projected.
+  getCurrentLineup(starterIds, playersById, rosterPositions, options = {}) {
+    const { byeTeams = [], getPoints = player => this.getPlayerPoints(player) } = options;
+    const slots = this.getStartingSlots(rosterPositions);
+
+    const lineup = slots.map((slot, index) => {
+      const player = playersById[starterIds?.[index]] || null;
+      const playable = player && !this.getUnavailableReason(player, byeTeams);
+      return { slot, player, points: playable ? getPoints(player) : 0 };
+    });
+
+    return {
+      slots: lineup,
+      totalPoints: lineup.reduce((total, entry) => total + entry.points, 0)
+    };
+  }
+
+  // The optimal starters laid out on the slots so that as many as possible stay where they start today,
+  // since the optimizer is free to permute interchangeable slots
+  alignToCurrent(currentLineup, optimalLineup) {
+    const entries = optimalLineup.slots.filter(entry => entry.player);
+    const slots = optimalLineup.slots.map(entry => entry.slot);
+
+    const columnCount = entries.length + slots.length;
+    const costs = slots.map((slot, index) => {
+      const currentId = currentLineup.slots[index]?.player?.player_id;
+      const row = entries.map(entry => {
+        if (!this.isEligible(entry.player, slot)) return FORBIDDEN;
+        return entry.player.player_id === currentId ? 0 : 1;
+      });
+      for (let i = entries.length; i < columnCount; i++) {
+        row.push(FORBIDDEN / 2);
+      }
+      return row;
+    });
+
+    const assignment = this.solveAssignment(costs);
+    return slots.map((slot, index) => {
+      const column = assignment[index];
+      const entry = column < entries.length && costs[index][column] < FORBIDDEN ? entries[column] : null;
+      return { slot, player: entry?.player || null, points: entry?.points || 0 };
+    });
+  }
+
+  /**
+   * Concrete start/sit swaps that turn the current lineup into the optimal one. Each player moving into
+   * the lineup is paired with the starter they end up replacing, following any starters who shift slots
+   * to make room (e.g. a QB moving from SUPER_FLEX to QB so a RB can take the SUPER_FLEX).
+   * @returns {Array} [{ slot, start, sit, gain }] sorted by gain; sit is null when the slot is empty today
+   */
+  getSwaps(currentLineup, optimalLineup) {
+    const target = this.alignToCurrent(currentLineup, optimalLineup);
+    const currentIds = new Set(currentLineup.slots.map(entry => entry.player?.player_id).filter(Boolean));
+
+    const targetIndexById = {};
+    target.forEach((entry, index) => {
+      if (entry.player) targetIndexById[entry.player.player_id] = index;
+    });
+
+    const swaps = [];
+    target.forEach((entry, index) => {
+      if (!entry.player || currentIds.has(entry.player.player_id)) return;
+
+      // Walk the chain of starters shifting slots until reaching the one who leaves the lineup
+      let slotIndex = index;
+      for (let step = 0; step < target.length; step++) {
+        const occupant = currentLineup.slots[slotIndex]?.player;
+        if (!occupant || targetIndexById[occupant.player_id] === undefined) break;
+        slotIndex = targetIndexById[occupant.player_id];
+      }
+
+      const benched = currentLineup.slots[slotIndex] || null;
+      swaps.push({
+        slot: entry.slot,
+        start: entry.player,
+        sit: benched?.player || null,
+        gain: entry.points - (benched?.points || 0)
+      });
+    });
+
+    // The optimal lineup never trades points away, so a negative gain only comes from an illegal current lineup
+    return swaps
+      .filter(swap => swap.gain >= 0)
+      .sort((a, b) => b.gain - a.gain);
+  }
+
+  // Starters who shouldn't be in the lineup: injured, on bye, without an NFL team, or empty slots
+  getStarterFlags(currentLineup, byeTeams = []) {
+    const flags = [];
+
+    currentLineup.slots.forEach(({ slot, player }) => {
+      if (!player) {
+        flags.push({ slot, player: null, issues: ['Empty slot'] });
+        return;
+      }
+
+      const issues = [];
+      if (FLAGGED_STATUSES.includes(player.injury_status)) issues.push(player.injury_status);
+      if (!player.team) issues.push('No NFL team');
+      else if (byeTeams.includes(player.team)) issues.push('Bye week');
+
+      if (issues.length > 0) {
+        flags.push({ slot, player, issues });
+      }
+    });
+
+    return flags;
+  }
+}
+
+// Create and export a singleton instance
+const lineupOptimizer = new LineupOptimizer();
+export default lineupOptimizer;
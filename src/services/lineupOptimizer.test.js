@@ -0,0 +1,151 @@
+import lineupOptimizer from './lineupOptimizer';
+
+const makePlayer = (id, position, points, extra = {}) => ({
+  player_id: id,
+  position,
+  team: 'KC',
+  projections: { projected_points: points },
+  ...extra
+});
+
+const byId = (players) => Object.fromEntries(players.map(player => [player.player_id, player]));
+
+describe('lineupOptimizer.optimize', () => {
+  it('fills each slot with the best eligible player', () => {
+    const players = [
+      makePlayer('q1', 'QB', 22),
+      makePlayer('r1', 'RB', 15),
+      makePlayer('r2', 'RB', 12),
+      makePlayer('w1', 'WR', 14),
+      makePlayer('t1', 'TE', 9)
+    ];
+    const { slots, totalPoints } = lineupOptimizer.optimize(players, ['QB', 'RB', 'FLEX', 'BN', 'BN']);
+
+    expect(slots.map(entry => entry.player.player_id)).toEqual(['q1', 'r1', 'w1']);
+    expect(totalPoints).toBe(51);
+  });
+
+  it('beats greedy filling when a flex player is needed elsewhere', () => {
+    // Greedy would put the 20-point RB in FLEX first and leave RB to the 5-point back
+    const players = [
+      makePlayer('r1', 'RB', 20),
+      makePlayer('r2', 'RB', 5),
+      makePlayer('w1', 'WR', 18)
+    ];
+    const { totalPoints } = lineupOptimizer.optimize(players, ['FLEX', 'RB']);
+
+    expect(totalPoints).toBe(38);
+  });
+
+  it('leaves out unavailable players and leaves slots empty without an eligible player', () => {
+    const q1 = makePlayer('q1', 'QB', 25, { injury_status: 'Out' });
+    const q2 = makePlayer('q2', 'QB', 12, { team: 'BUF' });
+    const q3 = makePlayer('q3', 'QB', 10, { team: null });
+    const { slots, excluded } = lineupOptimizer.optimize([q1, q2, q3], ['QB', 'K'], { byeTeams: ['BUF'] });
+
+    expect(slots).toEqual([
+      { slot: 'QB', player: null, points: 0 },
+      { slot: 'K', player: null, points: 0 }
+    ]);
+    expect(excluded.map(entry => entry.reason)).toEqual(['Out', 'Bye', 'No NFL team']);
+  });
+
+  it('leaves out players parked in IR or TAXI slots', () => {
+    const r1 = makePlayer('r1', 'RB', 18);
+    const r2 = makePlayer('r2', 'RB', 9);
+    const { slots, excluded } = lineupOptimizer.optimize([r1, r2], ['RB'], { inactiveReasons: { r1: 'IR slot' } });
+
+    expect(slots[0].player).toBe(r2);
+    expect(excluded).toEqual([{ player: r1, reason: 'IR slot' }]);
+  });
+
+  it('uses multi-position eligibility and custom point functions', () => {
+    const hybrid = makePlayer('h1', 'WR', 3, { fantasy_positions: ['WR', 'RB'], rest: 40 });
+    const back = makePlayer('r1', 'RB', 10, { rest: 30 });
+    const { slots } = lineupOptimizer.optimize([hybrid, back], ['RB'], { getPoints: player => player.rest });
+
+    expect(slots[0].player).toBe(hybrid);
+    expect(slots[0].points).toBe(40);
+  });
+});
+
+describe('lineupOptimizer.getStartablePositions', () => {
+  it('lists positions any starting slot accepts', () => {
+    expect(lineupOptimizer.getStartablePositions(['QB', 'SUPER_FLEX', 'BN', 'IR'])).toEqual(['QB', 'RB', 'WR', 'TE']);
+  });
+});
+
+describe('lineupOptimizer.getCurrentLineup', () => {
+  it('scores unavailable starters as zero', () => {
+    const q1 = makePlayer('q1', 'QB', 20, { injury_status: 'Out' });
+    const r1 = makePlayer('r1', 'RB', 12, { team: 'BUF' });
+    const w1 = makePlayer('w1', 'WR', 9);
+    const players = [q1, r1, w1];
+
+    const current = lineupOptimizer.getCurrentLineup(['q1', 'r1', 'w1'], byId(players), ['QB', 'RB', 'WR'], { byeTeams: ['BUF'] });
+
+    expect(current.slots.map(entry => entry.points)).toEqual([0, 0, 9]);
+    expect(current.totalPoints).toBe(9);
+  });
+});
+
+describe('lineupOptimizer.getSwaps', () => {
+  it('pairs each incoming starter with a starter whose slot it can fill', () => {
+    const q1 = makePlayer('q1', 'QB', 18, { injury_status: 'Out' });
+    const r1 = makePlayer('r1', 'RB', 8);
+    const q2 = makePlayer('q2', 'QB', 5);
+    const r2 = makePlayer('r2', 'RB', 20);
+    const rosterPositions = ['QB', 'RB', 'BN', 'BN'];
+    const players = [q1, r1, q2, r2];
+
+    const current = lineupOptimizer.getCurrentLineup(['q1', 'r1'], byId(players), rosterPositions);
+    const optimal = lineupOptimizer.optimize(players, rosterPositions);
+    const swaps = lineupOptimizer.getSwaps(current, optimal);
+
+    expect(swaps).toEqual([
+      { slot: 'RB', start: r2, sit: r1, gain: 12 },
+      { slot: 'QB', start: q2, sit: q1, gain: 5 }
+    ]);
+  });
+
+  it('follows starters that shift slots to make room', () => {
+    const q1 = makePlayer('q1', 'QB', 15, { injury_status: 'Out' });
+    const q2 = makePlayer('q2', 'QB', 20);
+    const r1 = makePlayer('r1', 'RB', 14);
+    const rosterPositions = ['QB', 'SUPER_FLEX', 'BN'];
+    const players = [q1, q2, r1];
+
+    const current = lineupOptimizer.getCurrentLineup(['q1', 'q2'], byId(players), rosterPositions);
+    const optimal = lineupOptimizer.optimize(players, rosterPositions);
+    const swaps = lineupOptimizer.getSwaps(current, optimal);
+
+    expect(swaps).toEqual([{ slot: 'SUPER_FLEX', start: r1, sit: q1, gain: 14 }]);
+  });
+
+  it('fills empty slots and ignores starters that only change slots', () => {
+    const w1 = makePlayer('w1', 'WR', 10);
+    const w2 = makePlayer('w2', 'WR', 12);
+    const w3 = makePlayer('w3', 'WR', 7);
+    const rosterPositions = ['WR', 'WR', 'FLEX', 'BN'];
+    const players = [w1, w2, w3];
+
+    const current = lineupOptimizer.getCurrentLineup(['w1', 'w2'], byId(players), rosterPositions);
+    const optimal = lineupOptimizer.optimize(players, rosterPositions);
+    const swaps = lineupOptimizer.getSwaps(current, optimal);
+
+    expect(swaps).toEqual([{ slot: 'FLEX', start: w3, sit: null, gain: 7 }]);
+  });
+
+  it('returns no swaps when the current lineup is already optimal', () => {
+    const q1 = makePlayer('q1', 'QB', 20);
+    const r1 = makePlayer('r1', 'RB', 15);
+    const r2 = makePlayer('r2', 'RB', 6);
+    const rosterPositions = ['QB', 'RB', 'BN'];
+    const players = [q1, r1, r2];
+
+    const current = lineupOptimizer.getCurrentLineup(['q1', 'r1'], byId(players), rosterPositions);
+    const optimal = lineupOptimizer.optimize(players, rosterPositions);
+
+    expect(lineupOptimizer.getSwaps(current, optimal)).toEqual([]);
+  });
+});
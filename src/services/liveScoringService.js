@@ -0,0 +1,172 @@
+// Live Scoring Service
+// Polls Sleeper matchups for live fantasy scores and decides how often to refresh them
+
+import sleeperApi from './sleeperApi';
+import fantasyDataService from './fantasyDataService';
+import projectionsService from './projectionsService';
+import nflScheduleService from './nflScheduleService';
+import appConfig from '../config/appConfig';
+
+// Regular NFL game windows in US Eastern time (day: 0 = Sunday, minutes after midnight)
+const GAME_WINDOWS = [
+  { day: 4, start: 20 * 60 + 15, end: 24 * 60 }, // Thursday night
+  { day: 6, start: 13 * 60, end: 24 * 60, fromWeek: 15 }, // Late-season Saturdays
+  { day: 0, start: 9 * 60 + 30, end: 24 * 60 }, // Sunday, including international games
+  { day: 1, start: 19 * 60 + 15, end: 24 * 60 } // Monday night
+];
+
+// Kickoff to final whistle, with a little slack for overtime
+const GAME_DURATION = 3.5 * 60 * 60 * 1000;
+
+const EASTERN_WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+class LiveScoringService {
+  // Get the live matchup (my team vs opponent) for a Sleeper league
+  async getLiveMatchup(leagueId, userId, week = null) {
+    const currentWeek = week || await projectionsService.getCurrentNFLWeek();
+
+    // Matchups are fetched directly so every poll sees the latest points
+    const [matchups, rosters, users, players] = await Promise.all([
+      sleeperApi.getLeagueMatchups(leagueId, currentWeek),
+      fantasyDataService.getLeagueRostersWithCache(leagueId),
+      fantasyDataService.getLeagueUsersWithCache(leagueId),
+      fantasyDataService.getPlayersWithCache()
+    ]);
+
+    const userRoster = rosters.find(roster => roster.owner_id === userId);
+    if (!userRoster) {
+      throw new Error('User roster not found');
+    }
+
+    const myMatchup = (matchups || []).find(matchup => matchup.roster_id === userRoster.roster_id);
+    const opponentMatchup = myMatchup && myMatchup.matchup_id
+      ? matchups.find(matchup => matchup.matchup_id === myMatchup.matchup_id && matchup.roster_id !== myMatchup.roster_id)
+      : null;
+
+    return {
+      week: currentWeek,
+      myTeam: myMatchup ? this.buildTeamScore(myMatchup, rosters, users, players) : null,
+      opponent: opponentMatchup ? this.buildTeamScore(opponentMatchup, rosters, users, players) : null,
+      lastUpdated: new Date().toISOString()
+    };
+  }
+
+  // Combine a matchup entry with owner and player details
+  buildTeamScore(matchup, rosters, users, players) {
+    const roster = rosters.find(r => r.roster_id === matchup.roster_id);
+    const user = users.find(u => u.user_id === roster?.owner_id);
+    const playersPoints = matchup.players_points || {};
+
+    const starters = (matchup.starters || []).map((playerId, index) => {
+      const player = players[playerId];
+      return {
+        player_id: playerId,
+        slot: index,
+        name: player ? `${player.first_name} ${player.last_name}` : 'Empty',
+        position: player?.position || '-',
+        team: player?.team || null,
+        injury_status: player?.injury_status || null,
+        points: playersPoints[playerId] ?? matchup.starters_points?.[index] ?? 0
+      };
+    });
+
+    return {
+      rosterId: matchup.roster_id,
+      name: user?.metadata?.team_name || user?.display_name || `Team ${matchup.roster_id}`,
+      owner: user?.display_name || 'Unknown',
+      points: matchup.custom_points ?? matchup.points ?? 0,
+      starters
+    };
+  }
+
+  // Get the current time as US Eastern weekday and minutes after midnight
+  getEasternTime(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'America/New_York',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(date);
+
+    const part = (type) => parts.find(p => p.type === type)?.value;
+    return {
+      day: EASTERN_WEEKDAYS[part('weekday')],
+      minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+  }
+
+  // Determine whether games are in progress ('live'), still to come today ('pregame') or neither ('idle').
+  // Uses the week's NFL schedule and falls back to the regular game windows when kickoff times are unknown.
+  async getLiveStatus(date = new Date(), week = null) {
+    try {
+      const season = await projectionsService.getCurrentNFLSeason();
+      const currentWeek = week || await projectionsService.getCurrentNFLWeek();
+      const games = (await nflScheduleService.getGames(season, currentWeek)).filter(game => game.gameTime);
+
+      if (games.length > 0) {
+        return this.getScheduleStatus(games, date);
+      }
+    } catch (error) {
+      console.warn('Unable to load NFL schedule for live status, using game windows:', error);
+    }
+
+    return this.getGameWindowStatus(date, week);
+  }
+
+  // Live status from scheduled kickoff times
+  getScheduleStatus(games, date) {
+    const now = date.getTime();
+    const today = this.getEasternDateKey(date);
+
+    const isLive = games.some(game => {
+      if (game.status === 'live') return true;
+      const kickoff = new Date(game.gameTime).getTime();
+      return game.status !== 'completed' && now >= kickoff && now < kickoff + GAME_DURATION;
+    });
+    if (isLive) return 'live';
+
+    const hasGameLaterToday = games.some(game => {
+      const kickoff = new Date(game.gameTime);
+      return kickoff.getTime() > now && this.getEasternDateKey(kickoff) === today;
+    });
+    return hasGameLaterToday ? 'pregame' : 'idle';
+  }
+
+  // Calendar date (YYYY-MM-DD) in US Eastern time
+  getEasternDateKey(date) {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(date);
+  }
+
+  // Live status from the regular NFL game windows
+  getGameWindowStatus(date = new Date(), week = null) {
+    const { day, minutes } = this.getEasternTime(date);
+    const windows = GAME_WINDOWS.filter(window =>
+      window.day === day && (!window.fromWeek || !week || week >= window.fromWeek)
+    );
+
+    if (windows.some(window => minutes >= window.start && minutes < window.end)) {
+      return 'live';
+    }
+    if (windows.some(window => minutes < window.start)) {
+      return 'pregame';
+    }
+    return 'idle';
+  }
+
+  // Polling interval in ms for a game window status, or null when polling should stop
+  getPollingInterval(status) {
+    switch (status) {
+      case 'live':
+        return appConfig.liveActivePollInterval;
+      case 'pregame':
+        return appConfig.livePregamePollInterval;
+      default:
+        return null;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const liveScoringService = new LiveScoringService();
+export default liveScoringService;
@@ -0,0 +1,177 @@
+// Matchup Preview Service
+// Slot-by-slot comparison of this week's head-to-head matchup with a projected final score,
+// win probability from per-player projection variance and the highest-leverage remaining players
+
+import fantasyDataService from './fantasyDataService';
+import nflScheduleService from './nflScheduleService';
+import lineupOptimizer from './lineupOptimizer';
+import appConfig from '../config/appConfig';
+
+class MatchupPreviewService {
+  // Standard normal cumulative distribution (Abramowitz-Stegun erf approximation)
+  normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t
+      * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
+  // Probability that a team's score beats the opponent's, both normally distributed
+  getWinProbability(mean, variance, opponentMean, opponentVariance) {
+    const spread = Math.sqrt(variance + opponentVariance);
+    if (spread === 0) {
+      if (mean === opponentMean) return 0.5;
+      return mean > opponentMean ? 1 : 0;
+    }
+    return this.normalCdf((mean - opponentMean) / spread);
+  }
+
+  // Points still to come from one starter, given whether their NFL game is upcoming, live or over
+  getPlayerOutlook(player, gameStatus) {
+    const { playerDeviationShare, liveRemainingShare } = appConfig.matchupPreview;
+    const projected = player?.projections?.projected_points || 0;
+
+    if (!player || gameStatus === 'completed') {
+      return { status: player ? 'final' : 'empty', remainingMean: 0, remainingDeviation: 0 };
+    }
+    if (gameStatus === 'live') {
+      // No game clock here, so assume half of the projection is still to come
+      const remainingMean = projected * liveRemainingShare;
+      return {
+        status: 'live',
+        remainingMean,
+        remainingDeviation: remainingMean * playerDeviationShare
+      };
+    }
+    if (lineupOptimizer.getUnavailableReason(player)) {
+      return { status: 'out', remainingMean: 0, remainingDeviation: 0 };
+    }
+    return { status: 'upcoming', remainingMean: projected, remainingDeviation: projected * playerDeviationShare };
+  }
+
+  // One team's lineup laid out on the league's starting slots with projections and live points
+  buildSide(matchup, team, rosterPositions, gameStatusByTeam) {
+    const playersById = {};
+    (team?.players || []).forEach(player => {
+      playersById[player.player_id] = player;
+    });
+
+    const slots = lineupOptimizer.getStartingSlots(rosterPositions).map((slot, index) => {
+      const playerId = matchup.starters?.[index];
+      const player = playersById[playerId] || null;
+      const actual = matchup.starters_points?.[index] ?? matchup.players_points?.[playerId] ?? 0;
+      const outlook = this.getPlayerOutlook(player, player ? gameStatusByTeam[player.team] : null);
+
+      return {
+        slot,
+        player,
+        projected: player?.projections?.projected_points || 0,
+        actual,
+        ...outlook
+      };
+    });
+
+    const actual = slots.reduce((total, entry) => total + entry.actual, 0);
+    const remaining = slots.reduce((total, entry) => total + entry.remainingMean, 0);
+
+    return {
+      rosterId: matchup.roster_id,
+      teamName: team?.teamName || `Team ${matchup.roster_id}`,
+      slots,
+      actual,
+      projectedFinal: actual + remaining,
+      variance: slots.reduce((total, entry) => total + entry.remainingDeviation ** 2, 0)
+    };
+  }
+
+  // How far each remaining player can swing the win probability between a bust and a boom
+  // (one standard deviation either side of their projection)
+  getLeverage(mySide, opponentSide) {
+    const players = [];
+
+    [[mySide, opponentSide, true], [opponentSide, mySide, false]].forEach(([side, otherSide, isMine]) => {
+      side.slots.forEach(entry => {
+        if (!entry.player || entry.remainingDeviation === 0) return;
+
+        const baseMean = side.projectedFinal - entry.remainingMean;
+        const baseVariance = side.variance - entry.remainingDeviation ** 2;
+        const probabilityWith = (points) => {
+          const probability = this.getWinProbability(baseMean + points, baseVariance, otherSide.projectedFinal, otherSide.variance);
+          return isMine ? probability : 1 - probability;
+        };
+
+        const boom = probabilityWith(entry.remainingMean + entry.remainingDeviation);
+        const bust = probabilityWith(Math.max(0, entry.remainingMean - entry.remainingDeviation));
+
+        players.push({
+          player: entry.player,
+          slot: entry.slot,
+          isMine,
+          projected: entry.remainingMean,
+          // Change in my win probability if this player booms rather than busts
+          swing: Math.abs(boom - bust)
+        });
+      });
+    });
+
+    return players
+      .sort((a, b) => b.swing - a.swing)
+      .slice(0, appConfig.matchupPreview.leveragePlayers);
+  }
+
+  /**
+   * Preview the user's matchup this week in a Sleeper league
+   * @returns {Object} { week, mySide, opponentSide, winProbability, leverage }; opponentSide is null on a bye
+   */
+  async getMatchupPreview(userId, leagueId) {
+    const leagueRosters = await fantasyDataService.getEnhancedLeagueRosters(leagueId);
+    const { week, season, rosterPositions, teams } = leagueRosters;
+
+    const [matchups, games] = await Promise.all([
+      fantasyDataService.getLeagueMatchupsWithCache(leagueId, week),
+      nflScheduleService.getGames(season, week).catch(error => {
+        console.warn('NFL schedule unavailable, treating every game as upcoming:', error);
+        return [];
+      })
+    ]);
+
+    const gameStatusByTeam = {};
+    games.forEach(game => {
+      gameStatusByTeam[game.awayTeam] = game.status;
+      gameStatusByTeam[game.homeTeam] = game.status;
+    });
+
+    const myTeam = teams.find(team => team.ownerId === userId);
+    if (!myTeam) {
+      throw new Error('User roster not found');
+    }
+
+    const myMatchup = matchups.find(matchup => matchup.roster_id === myTeam.rosterId);
+    if (!myMatchup) {
+      throw new Error(`No week ${week} matchup found`);
+    }
+    const opponentMatchup = myMatchup.matchup_id
+      ? matchups.find(matchup => matchup.matchup_id === myMatchup.matchup_id && matchup.roster_id !== myMatchup.roster_id)
+      : null;
+
+    const mySide = this.buildSide(myMatchup, myTeam, rosterPositions, gameStatusByTeam);
+    if (!opponentMatchup) {
+      return { week, mySide, opponentSide: null, winProbability: null, leverage: [] };
+    }
+
+    const opponentTeam = teams.find(team => team.rosterId === opponentMatchup.roster_id);
+    const opponentSide = this.buildSide(opponentMatchup, opponentTeam, rosterPositions, gameStatusByTeam);
+
+    return {
+      week,
+      mySide,
+      opponentSide,
+      winProbability: this.getWinProbability(mySide.projectedFinal, mySide.variance, opponentSide.projectedFinal, opponentSide.variance),
+      leverage: this.getLeverage(mySide, opponentSide)
+    };
+  }
+}
+
+// Create and export a singleton instance
+const matchupPreviewService = new MatchupPreviewService();
+export default matchupPreviewService;
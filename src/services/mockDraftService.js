@@ -0,0 +1,132 @@
+// Mock Draft Service
+// Builds the draft kit a mock draft runs from: the league's draft settings and order from getDraft,
+// and the ranked player pool with ADP. Kits are saved to IndexedDB so later mocks need no network.
+
+import fantasyDataService from './fantasyDataService';
+import draftAssistantService from './draftAssistantService';
+import persistentStore from './persistentStore';
+import appConfig from '../config/appConfig';
+
+// Sleeper draft settings that count each roster slot
+const SLOT_SETTINGS = {
+  slots_qb: 'QB',
+  slots_rb: 'RB',
+  slots_wr: 'WR',
+  slots_te: 'TE',
+  slots_flex: 'FLEX',
+  slots_wrrb_flex: 'WRRB_FLEX',
+  slots_rec_flex: 'REC_FLEX',
+  slots_super_flex: 'SUPER_FLEX',
+  slots_k: 'K',
+  slots_def: 'DEF',
+  slots_dl: 'DL',
+  slots_lb: 'LB',
+  slots_db: 'DB',
+  slots_idp_flex: 'IDP_FLEX',
+  slots_bn: 'BN'
+};
+
+class MockDraftService {
+  getKitStoreKey(leagueId) {
+    return `mock_draft_kit_${leagueId}`;
+  }
+
+  // Roster slots from the draft's settings, falling back to the league's roster_positions
+  getRosterPositions(draft, league) {
+    const positions = [];
+    Object.entries(SLOT_SETTINGS).forEach(([setting, slot]) => {
+      for (let i = 0; i < (draft.settings?.[setting] || 0); i++) {
+        positions.push(slot);
+      }
+    });
+    return positions.length > 0 ? positions : (league?.roster_positions || []);
+  }
+
+  // Fetch everything a mock draft needs. Sleeper has no ADP feed, so its search rank stands in.
+  async buildKit(userId, leagueId) {
+    const [league, drafts] = await Promise.all([
+      fantasyDataService.getLeagueWithCache(leagueId),
+      fantasyDataService.getLeagueDraftsWithCache(leagueId)
+    ]);
+
+    const draftId = league?.draft_id || draftAssistantService.selectDraft(drafts, league)?.draft_id;
+    if (!draftId) {
+      throw new Error('This league has no drafts');
+    }
+    const draft = await fantasyDataService.getDraftWithCache(draftId);
+    const pool = await draftAssistantService.getDraftPool(leagueId, draft.season);
+
+    const rosterPositions = this.getRosterPositions(draft, league);
+    const teams = draft.settings?.teams || 12;
+    const rounds = draft.settings?.rounds || rosterPositions.length;
+    // Auctions are practiced as snake drafts
+    const type = draft.type === 'linear' ? 'linear' : 'snake';
+    const reversalRound = draft.settings?.reversal_round || 0;
+
+    const pickOrder = Array.from({ length: teams * rounds }, (_, index) => (
+      draftAssistantService.getPickSlot(index + 1, teams, type, reversalRound)
+    ));
+
+    const byAdp = [...pool].sort((a, b) => (
+      (a.search_rank || Infinity) - (b.search_rank || Infinity) || a.overallRank - b.overallRank
+    ));
+
+    return {
+      leagueId,
+      draftId,
+      season: draft.season,
+      teams,
+      rounds,
+      type,
+      reversalRound,
+      rosterPositions,
+      pickOrder,
+      mySlot: draft.draft_order?.[userId] || null,
+      // Only the fields a mock draft reads, so the saved kit stays small
+      pool: byAdp.map((player, index) => ({
+        player_id: player.player_id,
+        first_name: player.first_name,
+        last_name: player.last_name,
+        position: player.position,
+        fantasy_positions: player.fantasy_positions,
+        team: player.team,
+        draftProjection: player.draftProjection,
+        overallRank: player.overallRank,
+        positionRank: player.positionRank,
+        tier: player.tier,
+        adp: index + 1
+      }))
+    };
+  }
+
+  /**
+   * Draft kit for a league: the saved copy while it is fresh, otherwise rebuilt from Sleeper.
+   * When Sleeper can't be reached, an outdated saved kit is used rather than failing.
+   * @returns {Object} Kit plus savedAt and isStale
+   */
+  async getMockDraftKit(userId, leagueId, { refresh = false } = {}) {
+    const key = this.getKitStoreKey(leagueId);
+    const stored = await persistentStore.get(key);
+
+    if (!refresh && stored?.data && Date.now() - stored.timestamp < appConfig.mockDraft.kitMaxAge) {
+      return { ...stored.data, savedAt: stored.timestamp, isStale: false };
+    }
+
+    try {
+      const kit = await this.buildKit(userId, leagueId);
+      const savedAt = Date.now();
+      await persistentStore.set(key, kit, savedAt);
+      return { ...kit, savedAt, isStale: false };
+    } catch (error) {
+      if (stored?.data) {
+        console.warn('Unable to rebuild the mock draft kit, using the saved copy:', error);
+        return { ...stored.data, savedAt: stored.timestamp, isStale: true };
+      }
+      throw error;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const mockDraftService = new MockDraftService();
+export default mockDraftService;
@@ -0,0 +1,140 @@
+// Mock Draft Simulator
+// Runs a practice draft locally from a draft kit (see mockDraftService): bots pick by ADP with
+// some randomness and reach for positions their starting lineup still needs
+
+import lineupOptimizer from './lineupOptimizer';
+import appConfig from '../config/appConfig';
+
+class MockDraftSimulator {
+  // Standard normal draw (Box-Muller)
+  randomNormal() {
+    let u = 0;
+    while (u === 0) u = Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  /**
+   * Start a mock draft
+   * @param {Object} kit - Draft kit with teams, rounds, rosterPositions, pickOrder and an ADP-sorted pool
+   * @param {number} userSlot - Draft slot the user picks from
+   * @returns {Object} Draft state: { kit, userSlot, picks, rosters (slot -> players), available }
+   */
+  createDraft(kit, userSlot) {
+    const rosters = {};
+    for (let slot = 1; slot <= kit.teams; slot++) {
+      rosters[slot] = [];
+    }
+    return {
+      kit,
+      userSlot,
+      picks: [],
+      rosters,
+      available: [...kit.pool].sort((a, b) => a.adp - b.adp)
+    };
+  }
+
+  getCurrentSlot(state) {
+    return state.kit.pickOrder[state.picks.length] || null;
+  }
+
+  isComplete(state) {
+    return state.picks.length >= state.kit.pickOrder.length || state.available.length === 0;
+  }
+
+  isUserTurn(state) {
+    return !this.isComplete(state) && this.getCurrentSlot(state) === state.userSlot;
+  }
+
+  // Starting slots a roster hasn't filled yet
+  getOpenSlots(roster, rosterPositions) {
+    return lineupOptimizer
+      .optimize(roster, rosterPositions, { getPoints: player => player.draftProjection })
+      .slots
+      .filter(entry => !entry.player)
+      .map(entry => entry.slot);
+  }
+
+  // Make the current pick; returns a new state
+  makePick(state, playerId) {
+    const player = state.available.find(candidate => candidate.player_id === playerId);
+    if (!player || this.isComplete(state)) {
+      throw new Error('Player is not available');
+    }
+
+    const slot = this.getCurrentSlot(state);
+    const pickNo = state.picks.length + 1;
+    return {
+      ...state,
+      picks: [...state.picks, { pickNo, round: Math.ceil(pickNo / state.kit.teams), slot, player }],
+      rosters: { ...state.rosters, [slot]: [...state.rosters[slot], player] },
+      available: state.available.filter(candidate => candidate.player_id !== playerId)
+    };
+  }
+
+  // A bot's choice: the best of the next few players by ADP after a random draw, with a bonus for
+  // filling an open starter. Positions at their cap are skipped, and once the bot has no more picks
+  // than open starters it only takes players who fill one.
+  chooseBotPlayer(state, slot) {
+    const { adpRandomness, needBonus, botCandidates, positionCaps } = appConfig.mockDraft;
+    const roster = state.rosters[slot];
+    const openSlots = this.getOpenSlots(roster, state.kit.rosterPositions);
+    const picksLeft = state.kit.pickOrder.slice(state.picks.length).filter(pickSlot => pickSlot === slot).length;
+
+    const counts = {};
+    roster.forEach(player => {
+      counts[player.position] = (counts[player.position] || 0) + 1;
+    });
+
+    const fillsNeed = player => openSlots.some(openSlot => lineupOptimizer.isEligible(player, openSlot));
+    const mustFill = openSlots.length >= picksLeft;
+    const eligible = state.available.filter(player => (
+      (counts[player.position] || 0) < (positionCaps[player.position] ?? Infinity) &&
+      (!mustFill || fillsNeed(player))
+    ));
+    const candidates = (eligible.length > 0 ? eligible : state.available).slice(0, botCandidates);
+
+    let best = null;
+    let bestScore = Infinity;
+    candidates.forEach(player => {
+      const score = player.adp + this.randomNormal() * adpRandomness - (fillsNeed(player) ? needBonus : 0);
+      if (score < bestScore) {
+        best = player;
+        bestScore = score;
+      }
+    });
+    return best;
+  }
+
+  // Let the bots pick until it's the user's turn or the draft is over
+  runBots(state) {
+    let current = state;
+    while (!this.isComplete(current) && !this.isUserTurn(current)) {
+      const slot = this.getCurrentSlot(current);
+      current = this.makePick(current, this.chooseBotPlayer(current, slot).player_id);
+    }
+    return current;
+  }
+
+  /**
+   * Every team's best starting lineup by season projection
+   * @returns {Array} { slot, isUser, starters, projectedPoints }, best first
+   */
+  getResults(state) {
+    return Object.entries(state.rosters)
+      .map(([slot, roster]) => {
+        const lineup = lineupOptimizer.optimize(roster, state.kit.rosterPositions, { getPoints: player => player.draftProjection });
+        return {
+          slot: parseInt(slot),
+          isUser: parseInt(slot) === state.userSlot,
+          starters: lineup.slots,
+          projectedPoints: lineup.totalPoints
+        };
+      })
+      .sort((a, b) => b.projectedPoints - a.projectedPoints);
+  }
+}
+
+// Create and export a singleton instance
+const mockDraftSimulator = new MockDraftSimulator();
+export default mockDraftSimulator;
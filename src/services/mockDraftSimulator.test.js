@@ -0,0 +1,56 @@
+import mockDraftSimulator from './mockDraftSimulator';
+
+const POSITIONS = ['QB', 'RB', 'WR', 'TE'];
+
+// Two teams, three rounds, snake order
+const makeKit = () => ({
+  teams: 2,
+  rounds: 3,
+  rosterPositions: ['QB', 'RB', 'WR', 'BN'],
+  pickOrder: [1, 2, 2, 1, 1, 2],
+  pool: Array.from({ length: 20 }, (_, index) => ({
+    player_id: `p${index}`,
+    position: POSITIONS[index % POSITIONS.length],
+    team: 'KC',
+    adp: 20 - index,
+    draftProjection: 100 + index
+  }))
+});
+
+describe('mockDraftSimulator', () => {
+  it('starts with every player available in ADP order', () => {
+    const state = mockDraftSimulator.createDraft(makeKit(), 1);
+
+    expect(state.available[0].adp).toBe(1);
+    expect(state.rosters).toEqual({ 1: [], 2: [] });
+    expect(mockDraftSimulator.isUserTurn(state)).toBe(true);
+  });
+
+  it('records a pick on the team on the clock', () => {
+    const state = mockDraftSimulator.makePick(mockDraftSimulator.createDraft(makeKit(), 1), 'p19');
+
+    expect(state.picks).toEqual([{ pickNo: 1, round: 1, slot: 1, player: expect.objectContaining({ player_id: 'p19' }) }]);
+    expect(state.rosters[1].map(player => player.player_id)).toEqual(['p19']);
+    expect(state.available.some(player => player.player_id === 'p19')).toBe(false);
+    expect(() => mockDraftSimulator.makePick(state, 'p19')).toThrow('Player is not available');
+  });
+
+  it('runs bots until the user is back on the clock', () => {
+    let state = mockDraftSimulator.createDraft(makeKit(), 1);
+    state = mockDraftSimulator.makePick(state, 'p19');
+    state = mockDraftSimulator.runBots(state);
+
+    expect(state.picks.map(pick => pick.slot)).toEqual([1, 2, 2]);
+    expect(mockDraftSimulator.isUserTurn(state)).toBe(true);
+  });
+
+  it('has bots fill their starting lineup before the draft ends', () => {
+    const state = mockDraftSimulator.runBots(mockDraftSimulator.createDraft(makeKit(), 3));
+
+    expect(mockDraftSimulator.isComplete(state)).toBe(true);
+    expect(state.picks).toHaveLength(6);
+    mockDraftSimulator.getResults(state).forEach(result => {
+      expect(result.starters.every(entry => entry.player)).toBe(true);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 // NFL Matchups Service
 // Handles fetching NFL weekly matchups and game data
 
+import httpClient from './httpClient';
+
 class NflMatchupsService {
   constructor() {
     this.baseUrl = 'https://api.the-odds-api.com/v4';
@@ -26,15 +28,9 @@ class NflMatchupsService {
         return this.getMockMatchups();
       }
 
-      const response = await fetch(
+      const data = await httpClient.getJson(
         `${this.baseUrl}/sports/americanfootball_nfl/odds?apiKey=${this.apiKey}&bookmakers=fanduel&markets=spreads,totals&oddsFormat=american`
       );
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const data = await response.json();
       const processedMatchups = this.processMatchupsData(data);
       
       this.matchupsCache = processedMatchups;
@@ -137,9 +133,9 @@ class NflMatchupsService {
     }
   }
 
-  // Mock data for development/testing
+  // Mock data for development/testing; flagged so its lines are never shown against real games
   getMockMatchups() {
-    return [
+    const matchups = [
       {
         id: 'mock-1',
         homeTeam: 'Kansas City Chiefs',
@@ -189,6 +185,8 @@ class NflMatchupsService {
         status: 'completed'
       }
     ];
+
+    return matchups.map(matchup => ({ ...matchup, isMock: true }));
   }
 
   // Get team abbreviation from full name
@@ -231,6 +229,41 @@ class NflMatchupsService {
     return teamMap[teamName] || teamName;
   }
 
+  // Get spread and implied points for each team in a matchup, keyed by team abbreviation
+  getBettingLines(matchup) {
+    const total = matchup.total ?? null;
+    const teams = {};
+
+    [matchup.awayTeam, matchup.homeTeam].forEach(teamName => {
+      const spreadEntry = (matchup.spreads || []).find(s => s.team === teamName);
+      const spread = spreadEntry ? spreadEntry.spread : null;
+
+      teams[this.getTeamAbbreviation(teamName)] = {
+        spread,
+        // A favorite's spread is negative, so it gets more than half of the total
+        implied: total !== null && spread !== null ? total / 2 - spread / 2 : null
+      };
+    });
+
+    return { total, teams };
+  }
+
+  // Find the betting lines for a game from its two team abbreviations (home/away order is ignored) and
+  // kickoff, which must fall on the same day so a rematch or last season's line never matches.
+  // Mock matchups carry no real lines and are skipped.
+  findBettingLines(matchups, awayTeam, homeTeam, gameTime) {
+    if (!gameTime) return null;
+    const gameDate = new Date(gameTime).toDateString();
+
+    const matchup = (matchups || []).find(m => {
+      if (m.isMock || !m.gameTime) return false;
+      const teams = [this.getTeamAbbreviation(m.awayTeam), this.getTeamAbbreviation(m.homeTeam)];
+      return teams.includes(awayTeam) && teams.includes(homeTeam) && new Date(m.gameTime).toDateString() === gameDate;
+    });
+
+    return matchup ? this.getBettingLines(matchup) : null;
+  }
+
   // Format game time for display
   formatGameTime(gameTime) {
     const date = new Date(gameTime);
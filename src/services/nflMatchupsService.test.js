@@ -0,0 +1,37 @@
+import nflMatchupsService from './nflMatchupsService';
+
+const makeMatchup = (gameTime, extra = {}) => ({
+  id: 'game-1',
+  homeTeam: 'Kansas City Chiefs',
+  awayTeam: 'Buffalo Bills',
+  gameTime,
+  spreads: [
+    { team: 'Kansas City Chiefs', spread: -3 },
+    { team: 'Buffalo Bills', spread: 3 }
+  ],
+  total: 48,
+  ...extra
+});
+
+describe('nflMatchupsService.findBettingLines', () => {
+  it('matches a game by its teams and kickoff date', () => {
+    const matchups = [makeMatchup('2025-10-19T20:25:00Z')];
+    const lines = nflMatchupsService.findBettingLines(matchups, 'BUF', 'KC', '2025-10-19T20:25:00Z');
+
+    expect(lines).toEqual({ total: 48, teams: { BUF: { spread: 3, implied: 22.5 }, KC: { spread: -3, implied: 25.5 } } });
+  });
+
+  it('ignores lines for the same teams on another date', () => {
+    const matchups = [makeMatchup('2025-01-26T23:30:00Z')];
+
+    expect(nflMatchupsService.findBettingLines(matchups, 'BUF', 'KC', '2025-10-19T20:25:00Z')).toBeNull();
+    expect(nflMatchupsService.findBettingLines(matchups, 'BUF', 'KC', null)).toBeNull();
+  });
+
+  it('never attaches mock lines', () => {
+    const mock = nflMatchupsService.getMockMatchups()[0];
+
+    expect(mock.isMock).toBe(true);
+    expect(nflMatchupsService.findBettingLines([mock], 'BUF', 'KC', mock.gameTime)).toBeNull();
+  });
+});
@@ -0,0 +1,190 @@
+// NFL Schedule Service
+// Provides weekly NFL games and bye weeks from Sleeper, falling back to the full regular season
+// schedules bundled with the app when Sleeper's schedule is unavailable
+
+import sleeperApi from './sleeperApi';
+import nflMatchupsService from './nflMatchupsService';
+import schedule2025 from '../data/nflSchedule2025.json';
+
+// Bundled schedules keyed by season. Each file lists all 32 teams, the bye weeks and every
+// regular season game with its kickoff time.
+const BUNDLED_SCHEDULES = {
+  2025: schedule2025
+};
+
+const NFL_TEAMS = schedule2025.teams;
+
+const REGULAR_SEASON_WEEKS = 18;
+
+// Sleeper game status values mapped to the statuses used across the UI
+const SLEEPER_STATUS_MAP = {
+  complete: 'completed',
+  in_game: 'live'
+};
+
+class NflScheduleService {
+  constructor() {
+    this.scheduleCache = new Map();
+    this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes, game statuses change on game days
+  }
+
+  // Get the bundled schedule for a season, if one ships with the app
+  getBundledSchedule(season) {
+    return BUNDLED_SCHEDULES[parseInt(season)] || null;
+  }
+
+  // Seasons with a bundled schedule
+  getBundledSeasons() {
+    return Object.keys(BUNDLED_SCHEDULES).map(season => parseInt(season));
+  }
+
+  // Get games for a week as { id, awayTeam, homeTeam, gameTime, status, week, season }
+  async getGames(season, week) {
+    const cacheKey = `games_${season}_${week}`;
+    const cached = this.scheduleCache.get(cacheKey);
+    if (cached && (Date.now() - cached.timestamp) < this.CACHE_DURATION) {
+      return cached.data;
+    }
+
+    const bundledGames = this.getBundledGames(season, week);
+    let games = [];
+    let sleeperFailed = false;
+
+    try {
+      const sleeperGames = await sleeperApi.getNFLGames(season, week);
+      games = (sleeperGames || []).map(game => this.normalizeSleeperGame(game, season, week, bundledGames));
+    } catch (error) {
+      sleeperFailed = true;
+      console.warn(`Sleeper schedule unavailable for ${season} week ${week}, using bundled schedule:`, error);
+    }
+
+    if (games.length === 0) {
+      games = bundledGames;
+    }
+
+    games = games.sort((a, b) => {
+      if (!a.gameTime) return 1;
+      if (!b.gameTime) return -1;
+      return new Date(a.gameTime) - new Date(b.gameTime);
+    });
+
+    // A failed request with nothing bundled for the week is retried on the next call rather than cached
+    if (!sleeperFailed || games.length > 0) {
+      this.scheduleCache.set(cacheKey, { data: games, timestamp: Date.now() });
+    }
+    return games;
+  }
+
+  // Games from the bundled schedule file for a week
+  getBundledGames(season, week) {
+    const schedule = this.getBundledSchedule(season);
+    if (!schedule) return [];
+
+    return schedule.games
+      .filter(game => game.week === parseInt(week))
+      .map(game => ({
+        id: `${schedule.season}_${game.week}_${game.away}_${game.home}`,
+        awayTeam: game.away,
+        homeTeam: game.home,
+        gameTime: game.gameTime,
+        status: nflMatchupsService.getGameStatus(game.gameTime),
+        week: game.week,
+        season: schedule.season
+      }));
+  }
+
+  // Convert a Sleeper schedule entry, borrowing the kickoff time from the bundled file when Sleeper only has a date
+  normalizeSleeperGame(game, season, week, bundledGames) {
+    const bundled = bundledGames.find(b => b.awayTeam === game.away && b.homeTeam === game.home);
+    const gameTime = game.start_time
+      ? new Date(game.start_time).toISOString()
+      : bundled?.gameTime || null;
+
+    return {
+      id: game.game_id || `${season}_${week}_${game.away}_${game.home}`,
+      awayTeam: game.away,
+      homeTeam: game.home,
+      gameTime,
+      gameDate: game.date || null,
+      status: SLEEPER_STATUS_MAP[game.status] || (gameTime ? nflMatchupsService.getGameStatus(gameTime) : 'upcoming'),
+      week: parseInt(week),
+      season: parseInt(season)
+    };
+  }
+
+  // Teams on bye in each week, as { [week]: [teams] }, from the bundled schedule or, for seasons without
+  // one, from Sleeper's full-season schedule: teams missing from a week's games are on bye
+  async getByes(season) {
+    const schedule = this.getBundledSchedule(season);
+    if (schedule) {
+      return schedule.byes;
+    }
+
+    const cacheKey = `byes_${season}`;
+    const cached = this.scheduleCache.get(cacheKey);
+    if (cached) {
+      return cached.data;
+    }
+
+    let games;
+    try {
+      games = await sleeperApi.getNFLSchedule(season);
+    } catch (error) {
+      console.warn(`Sleeper schedule unavailable for ${season}, bye weeks unknown:`, error);
+      return {};
+    }
+
+    const byes = {};
+    for (let week = 1; week <= REGULAR_SEASON_WEEKS; week++) {
+      const weekGames = games.filter(game => game.week === week);
+      if (weekGames.length === 0) continue;
+
+      const playing = new Set(weekGames.flatMap(game => [game.away, game.home]));
+      const byeTeams = NFL_TEAMS.filter(team => !playing.has(team));
+      if (byeTeams.length > 0) {
+        byes[week] = byeTeams;
+      }
+    }
+
+    // Bye weeks don't change once the schedule is out, so they're kept for the session
+    if (Object.keys(byes).length > 0) {
+      this.scheduleCache.set(cacheKey, { data: byes, timestamp: Date.now() });
+    }
+    return byes;
+  }
+
+  // Get the NFL teams on bye for a week
+  async getByeTeams(season, week) {
+    const byes = await this.getByes(season);
+    return byes[week] || [];
+  }
+
+  // Check whether an NFL team is on bye in a given week
+  async isTeamOnBye(team, season, week) {
+    if (!team) return false;
+    const byeTeams = await this.getByeTeams(season, week);
+    return byeTeams.includes(team);
+  }
+
+  // Get the bye week for each NFL team in a season
+  async getByeWeeks(season) {
+    const byes = await this.getByes(season);
+
+    const byeWeeks = {};
+    Object.entries(byes).forEach(([week, teams]) => {
+      teams.forEach(team => {
+        byeWeeks[team] = parseInt(week);
+      });
+    });
+    return byeWeeks;
+  }
+
+  // Clear schedule cache
+  clearCache() {
+    this.scheduleCache.clear();
+  }
+}
+
+// Create and export a singleton instance
+const nflScheduleService = new NflScheduleService();
+export default nflScheduleService;
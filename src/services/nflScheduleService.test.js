@@ -0,0 +1,54 @@
+import nflScheduleService from './nflScheduleService';
+import sleeperApi from './sleeperApi';
+
+const WEEKS = Array.from({ length: 18 }, (_, index) => index + 1);
+
+describe('bundled NFL schedules', () => {
+  nflScheduleService.getBundledSeasons().forEach(season => {
+    const schedule = nflScheduleService.getBundledSchedule(season);
+
+    it(`has games in every week of ${season}, with each team playing once unless on bye`, () => {
+      WEEKS.forEach(week => {
+        const games = nflScheduleService.getBundledGames(season, week);
+        expect(games.length).toBeGreaterThan(0);
+
+        const playing = games.flatMap(game => [game.awayTeam, game.homeTeam]).sort();
+        const expected = schedule.teams.filter(team => !(schedule.byes[week] || []).includes(team)).sort();
+        expect(playing).toEqual(expected);
+        games.forEach(game => expect(game.gameTime).toBeTruthy());
+      });
+    });
+
+    it(`gives every team 17 games and one bye in ${season}`, async () => {
+      const byeWeeks = await nflScheduleService.getByeWeeks(season);
+
+      schedule.teams.forEach(team => {
+        expect(schedule.games.filter(game => game.away === team || game.home === team)).toHaveLength(17);
+        expect(byeWeeks[team]).toBeGreaterThan(0);
+      });
+    });
+  });
+});
+
+describe('nflScheduleService.getByeTeams', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    nflScheduleService.clearCache();
+  });
+
+  it('derives byes from Sleeper\'s season schedule for seasons without a bundled one', async () => {
+    const teams = nflScheduleService.getBundledSchedule(2025).teams;
+    const pairs = teams.map((team, index) => [team, teams[index + 1]]).filter((_, index) => index % 2 === 0);
+    // Week 1 has everyone; week 2 leaves out the first pairing
+    const games = [
+      ...pairs.map(([away, home]) => ({ week: 1, away, home })),
+      ...pairs.slice(1).map(([away, home]) => ({ week: 2, away, home }))
+    ];
+    const getSchedule = jest.spyOn(sleeperApi, 'getNFLSchedule').mockResolvedValue(games);
+
+    expect(await nflScheduleService.getByeTeams(2099, 1)).toEqual([]);
+    expect(await nflScheduleService.getByeTeams(2099, 2)).toEqual(pairs[0]);
+    expect(await nflScheduleService.getByeWeeks(2099)).toEqual({ [pairs[0][0]]: 2, [pairs[0][1]]: 2 });
+    expect(getSchedule).toHaveBeenCalledTimes(1);
+  });
+});
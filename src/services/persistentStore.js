@@ -0,0 +1,97 @@
+// Persistent Store
+// Small IndexedDB wrapper for payloads too large for localStorage (e.g. the full Sleeper player database)
+
+const DB_NAME = 'fantasy-ui';
+const DB_VERSION = 1;
+const STORE_NAME = 'cache';
+
+class PersistentStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  // Check whether IndexedDB is usable in this environment
+  get isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // Open (or create) the database, reusing the connection across calls
+  openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.dbPromise;
+  }
+
+  // Run a single request against the object store
+  async runRequest(mode, operation) {
+    const db = await this.openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  // Get a stored entry as { data, timestamp }, or null when missing
+  async get(key) {
+    if (!this.isAvailable) return null;
+
+    try {
+      const entry = await this.runRequest('readonly', store => store.get(key));
+      return entry || null;
+    } catch (error) {
+      console.warn(`Failed to read "${key}" from IndexedDB:`, error);
+      return null;
+    }
+  }
+
+  // Store data together with the time it was fetched
+  async set(key, data, timestamp = Date.now()) {
+    if (!this.isAvailable) return false;
+
+    try {
+      await this.runRequest('readwrite', store => store.put({ data, timestamp }, key));
+      return true;
+    } catch (error) {
+      console.warn(`Failed to write "${key}" to IndexedDB:`, error);
+      return false;
+    }
+  }
+
+  // Remove a stored entry
+  async remove(key) {
+    if (!this.isAvailable) return false;
+
+    try {
+      await this.runRequest('readwrite', store => store.delete(key));
+      return true;
+    } catch (error) {
+      console.warn(`Failed to remove "${key}" from IndexedDB:`, error);
+      return false;
+    }
+  }
+}
+
+// Create and export a singleton instance
+const persistentStore = new PersistentStore();
+export default persistentStore;
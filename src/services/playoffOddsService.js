@@ -0,0 +1,204 @@
+// Playoff Odds Service
+// Builds simulation inputs from Sleeper schedules and projections, then runs the
+// Monte Carlo simulation in a Web Worker
+
+import fantasyDataService from './fantasyDataService';
+import lineupOptimizer from './lineupOptimizer';
+import playoffSimulator from './playoffSimulator';
+import appConfig from '../config/appConfig';
+
+// Sleeper's default when a league hasn't set playoff_week_start
+const DEFAULT_PLAYOFF_WEEK_START = 15;
+
+class PlayoffOddsService {
+  constructor() {
+    // Last odds per league with the records and schedule they were simulated from
+    this.oddsCache = new Map();
+  }
+
+  // Sample standard deviation of a list of numbers
+  getDeviation(values) {
+    if (values.length < 2) return 0;
+    const mean = values.reduce((total, value) => total + value, 0) / values.length;
+    const variance = values.reduce((total, value) => total + (value - mean) ** 2, 0) / (values.length - 1);
+    return Math.sqrt(variance);
+  }
+
+  // Each remaining regular season week's head-to-head pairs from Sleeper's matchup_id schedule
+  async getRemainingSchedule(leagueId, weeks) {
+    const weeklyMatchups = await Promise.all(
+      weeks.map(week => fantasyDataService.getLeagueMatchupsWithCache(leagueId, week))
+    );
+
+    return weeks.map((week, index) => {
+      const byMatchup = new Map();
+      (weeklyMatchups[index] || []).forEach(matchup => {
+        if (!matchup.matchup_id) return;
+        const pair = byMatchup.get(matchup.matchup_id) || [];
+        pair.push(matchup.roster_id);
+        byMatchup.set(matchup.matchup_id, pair);
+      });
+
+      return {
+        week,
+        games: Array.from(byMatchup.values()).filter(pair => pair.length === 2)
+      };
+    });
+  }
+
+  // Records and the remaining schedule, the cheap part of the input that decides whether odds are stale
+  async getSimulationBasis(leagueId) {
+    const [league, rosters] = await Promise.all([
+      fantasyDataService.getLeagueWithCache(leagueId),
+      fantasyDataService.getLeagueRostersWithCache(leagueId)
+    ]);
+    const settings = league?.settings || {};
+
+    // Records tell us which weeks are complete; everything after that until the playoffs is simulated
+    const startWeek = settings.start_week || 1;
+    const gamesPlayed = Math.max(0, ...rosters.map(roster => {
+      const rosterSettings = roster.settings || {};
+      return (rosterSettings.wins || 0) + (rosterSettings.losses || 0) + (rosterSettings.ties || 0);
+    }));
+    const playoffWeekStart = settings.playoff_week_start || DEFAULT_PLAYOFF_WEEK_START;
+    const firstOpenWeek = startWeek + gamesPlayed;
+
+    const playedWeeks = [];
+    for (let week = startWeek; week < firstOpenWeek; week++) {
+      playedWeeks.push(week);
+    }
+    const remainingWeeks = [];
+    for (let week = firstOpenWeek; week < playoffWeekStart; week++) {
+      remainingWeeks.push(week);
+    }
+
+    const schedule = await this.getRemainingSchedule(leagueId, remainingWeeks);
+    const playoffTeams = settings.playoff_teams || 6;
+    const signature = JSON.stringify({
+      records: rosters.map(roster => {
+        const { wins, losses, ties, fpts, fpts_decimal: fptsDecimal } = roster.settings || {};
+        return [roster.roster_id, wins, losses, ties, fpts, fptsDecimal];
+      }),
+      schedule,
+      playoffTeams,
+      playoffWeekStart
+    });
+
+    return { rosters, playedWeeks, schedule, playoffTeams, playoffWeekStart, signature };
+  }
+
+  // Build the simulation input: records, projected score distributions and the remaining schedule
+  async getSimulationInput(leagueId, basis) {
+    const { rosters, playedWeeks, schedule, playoffTeams, playoffWeekStart } = basis;
+    const [leagueRosters, weeklyResults] = await Promise.all([
+      fantasyDataService.getEnhancedLeagueRosters(leagueId),
+      fantasyDataService.getWeeklyResults(leagueId, playedWeeks)
+    ]);
+    const { week: currentWeek, byeTeams, rosterPositions, restOfYearWeeks } = leagueRosters;
+
+    const { scoreDeviationShare, minWeeksForDeviation } = appConfig.playoffOdds;
+
+    const teams = rosters.map(roster => {
+      const rosterSettings = roster.settings || {};
+      const players = leagueRosters.teams.find(team => team.rosterId === roster.roster_id)?.players || [];
+      const scores = weeklyResults
+        .map(week => week.results.find(result => result.rosterId === roster.roster_id))
+        .filter(result => result && result.outcome)
+        .map(result => result.points);
+      const averageScore = scores.length > 0 ? scores.reduce((total, score) => total + score, 0) / scores.length : 0;
+
+      // Projected optimal lineups: this week's exactly, later weeks from the rest-of-season average
+      const weekProjection = lineupOptimizer.optimize(players, rosterPositions, { byeTeams }).totalPoints;
+      const restOfSeasonProjection = lineupOptimizer.optimize(players, rosterPositions, {
+        getPoints: player => player.projections?.rest_of_year || 0
+      }).totalPoints;
+      const mean = restOfYearWeeks > 0 && restOfSeasonProjection > 0
+        ? restOfSeasonProjection / restOfYearWeeks
+        : weekProjection || averageScore;
+
+      const deviation = scores.length >= minWeeksForDeviation
+        ? this.getDeviation(scores)
+        : mean * scoreDeviationShare;
+
+      return {
+        rosterId: roster.roster_id,
+        wins: rosterSettings.wins || 0,
+        losses: rosterSettings.losses || 0,
+        ties: rosterSettings.ties || 0,
+        pointsFor: (rosterSettings.fpts || 0) + (rosterSettings.fpts_decimal || 0) / 100,
+        mean,
+        deviation,
+        weekMeans: weekProjection > 0 ? { [currentWeek]: weekProjection } : {}
+      };
+    });
+
+    return {
+      teams,
+      schedule,
+      playoffTeams,
+      playoffWeekStart,
+      simulations: appConfig.playoffOdds.simulations
+    };
+  }
+
+  // Run the simulation in a Web Worker, or inline where workers aren't available
+  runSimulation(input) {
+    if (typeof Worker === 'undefined') {
+      return Promise.resolve(playoffSimulator.simulate(input));
+    }
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../workers/playoffOdds.worker.js', import.meta.url));
+
+      worker.onmessage = ({ data }) => {
+        worker.terminate();
+        if (data.error) {
+          reject(new Error(data.error));
+        } else {
+          resolve(data.odds);
+        }
+      };
+      worker.onerror = (event) => {
+        worker.terminate();
+        reject(new Error(event.message || 'Playoff simulation failed'));
+      };
+
+      worker.postMessage(input);
+    });
+  }
+
+  /**
+   * Playoff, bye and championship odds for every team in a Sleeper league. The simulation only
+   * re-runs when the league's records or remaining schedule have changed since the last one.
+   * @returns {Object} { playoffTeams, byeCount, remainingWeeks, simulations, odds: { [rosterId]: {...} } }
+   */
+  async getPlayoffOdds(leagueId) {
+    const basis = await this.getSimulationBasis(leagueId);
+    const cached = this.oddsCache.get(leagueId);
+    if (cached && cached.signature === basis.signature) {
+      return cached.odds;
+    }
+
+    const input = await this.getSimulationInput(leagueId, basis);
+    const results = await this.runSimulation(input);
+
+    const odds = {};
+    results.forEach(result => {
+      odds[result.rosterId] = result;
+    });
+
+    const playoffOdds = {
+      playoffTeams: Math.min(input.playoffTeams, input.teams.length),
+      byeCount: playoffSimulator.getByeCount(Math.min(input.playoffTeams, input.teams.length)),
+      remainingWeeks: input.schedule.length,
+      simulations: input.simulations,
+      odds
+    };
+    this.oddsCache.set(leagueId, { signature: basis.signature, odds: playoffOdds });
+    return playoffOdds;
+  }
+}
+
+// Create and export a singleton instance
+const playoffOddsService = new PlayoffOddsService();
+export default playoffOddsService;
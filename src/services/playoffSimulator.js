@@ -0,0 +1,133 @@
+// Playoff Simulator
+// Monte Carlo simulation of the rest of a regular season and the playoff bracket.
+// Pure computation with no imports, so it can run inside a Web Worker.
+
+class PlayoffSimulator {
+  // Standard normal draw (Box-Muller)
+  randomNormal() {
+    let u = 0;
+    while (u === 0) u = Math.random();
+    const v = Math.random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+  }
+
+  // Draw a weekly score for a team, never below zero
+  drawScore(team, week) {
+    const mean = team.weekMeans?.[week] ?? team.mean;
+    return Math.max(0, mean + this.randomNormal() * team.deviation);
+  }
+
+  // Teams that skip the first playoff round: whatever fills the bracket up to a power of two
+  getByeCount(playoffTeams) {
+    if (playoffTeams < 2) return 0;
+    const bracketSize = Math.pow(2, Math.ceil(Math.log2(playoffTeams)));
+    return bracketSize - playoffTeams;
+  }
+
+  // Seeds in bracket position order for a power-of-two bracket, e.g. [1, 8, 4, 5, 2, 7, 3, 6] for eight,
+  // so that adjacent seeds meet in the first round and the top two seeds can only meet in the final
+  getBracketOrder(bracketSize) {
+    let order = [1];
+    while (order.length < bracketSize) {
+      const size = order.length * 2;
+      order = order.flatMap(seed => [seed, size + 1 - seed]);
+    }
+    return order;
+  }
+
+  // Play out a fixed bracket from seeded team indexes. Pairings are set from the seeds once, like Sleeper's
+  // bracket: bye teams face the winners of the games below them and nobody is re-seeded between rounds.
+  playBracket(seeds, teams, byeCount) {
+    // Seeds past the playoff field are the byes; their opponents advance without playing
+    let round = this.getBracketOrder(seeds.length + byeCount).map(seed => seeds[seed - 1] ?? null);
+
+    while (round.length > 1) {
+      const winners = [];
+      for (let i = 0; i < round.length; i += 2) {
+        const [a, b] = [round[i], round[i + 1]];
+        if (a === null || b === null) {
+          winners.push(a ?? b);
+        } else {
+          winners.push(this.drawScore(teams[a]) >= this.drawScore(teams[b]) ? a : b);
+        }
+      }
+      round = winners;
+    }
+
+    return round[0];
+  }
+
+  /**
+   * Simulate the remaining schedule and playoffs many times
+   * @param {Object} input - { teams: [{ rosterId, wins, losses, ties, pointsFor, mean, deviation, weekMeans }],
+   *   schedule: [{ week, games: [[rosterIdA, rosterIdB]] }], playoffTeams, simulations }
+   * @returns {Array} [{ rosterId, playoffOdds, byeOdds, championshipOdds, projectedWins, averageSeed }]
+   */
+  simulate({ teams, schedule, playoffTeams, simulations }) {
+    const teamIndex = new Map(teams.map((team, index) => [team.rosterId, index]));
+    const playoffSpots = Math.min(playoffTeams, teams.length);
+    const byeCount = this.getByeCount(playoffSpots);
+
+    const totals = teams.map(() => ({ playoffs: 0, byes: 0, championships: 0, wins: 0, seeds: 0 }));
+    const wins = new Array(teams.length);
+    const points = new Array(teams.length);
+
+    for (let run = 0; run < simulations; run++) {
+      teams.forEach((team, index) => {
+        wins[index] = team.wins + team.ties * 0.5;
+        points[index] = team.pointsFor;
+      });
+
+      schedule.forEach(({ week, games }) => {
+        games.forEach(([rosterIdA, rosterIdB]) => {
+          const a = teamIndex.get(rosterIdA);
+          const b = teamIndex.get(rosterIdB);
+          if (a === undefined || b === undefined) return;
+
+          const scoreA = this.drawScore(teams[a], week);
+          const scoreB = this.drawScore(teams[b], week);
+          points[a] += scoreA;
+          points[b] += scoreB;
+          if (scoreA > scoreB) wins[a] += 1;
+          else if (scoreB > scoreA) wins[b] += 1;
+          else {
+            wins[a] += 0.5;
+            wins[b] += 0.5;
+          }
+        });
+      });
+
+      // Seed by record, with points for as the tiebreaker
+      const order = teams
+        .map((_, index) => index)
+        .sort((a, b) => (wins[b] - wins[a]) || (points[b] - points[a]));
+      const seeds = order.slice(0, playoffSpots);
+
+      order.forEach((index, position) => {
+        totals[index].wins += wins[index];
+        totals[index].seeds += position + 1;
+      });
+      seeds.forEach((index, position) => {
+        totals[index].playoffs++;
+        if (position < byeCount) totals[index].byes++;
+      });
+
+      if (seeds.length > 0) {
+        totals[this.playBracket(seeds, teams, byeCount)].championships++;
+      }
+    }
+
+    return teams.map((team, index) => ({
+      rosterId: team.rosterId,
+      playoffOdds: totals[index].playoffs / simulations,
+      byeOdds: totals[index].byes / simulations,
+      championshipOdds: totals[index].championships / simulations,
+      projectedWins: totals[index].wins / simulations,
+      averageSeed: totals[index].seeds / simulations
+    }));
+  }
+}
+
+// Create and export a singleton instance
+const playoffSimulator = new PlayoffSimulator();
+export default playoffSimulator;
@@ -0,0 +1,97 @@
+import playoffSimulator from './playoffSimulator';
+
+const makeTeam = (rosterId, wins, losses, mean, extra = {}) => ({
+  rosterId,
+  wins,
+  losses,
+  ties: 0,
+  pointsFor: wins * 100,
+  mean,
+  deviation: 0,
+  ...extra
+});
+
+describe('playoffSimulator.getByeCount', () => {
+  it('gives byes until the bracket is a power of two', () => {
+    expect(playoffSimulator.getByeCount(4)).toBe(0);
+    expect(playoffSimulator.getByeCount(6)).toBe(2);
+    expect(playoffSimulator.getByeCount(7)).toBe(1);
+    expect(playoffSimulator.getByeCount(1)).toBe(0);
+  });
+});
+
+describe('playoffSimulator.getBracketOrder', () => {
+  it('places seeds so the top seeds meet as late as possible', () => {
+    expect(playoffSimulator.getBracketOrder(1)).toEqual([1]);
+    expect(playoffSimulator.getBracketOrder(4)).toEqual([1, 4, 2, 3]);
+    expect(playoffSimulator.getBracketOrder(8)).toEqual([1, 8, 4, 5, 2, 7, 3, 6]);
+  });
+});
+
+describe('playoffSimulator.playBracket', () => {
+  it('sends the strongest team through when scores are certain', () => {
+    const teams = [makeTeam(1, 0, 0, 100), makeTeam(2, 0, 0, 90), makeTeam(3, 0, 0, 140), makeTeam(4, 0, 0, 80)];
+    expect(playoffSimulator.playBracket([0, 1, 2, 3], teams, 0)).toBe(2);
+  });
+
+  it('lets bye teams skip the first round', () => {
+    const teams = [makeTeam(1, 0, 0, 100), makeTeam(2, 0, 0, 50), makeTeam(3, 0, 0, 120)];
+    // Seed 1 has a bye; seed 3 beats seed 2 and then beats seed 1
+    expect(playoffSimulator.playBracket([0, 1, 2], teams, 1)).toBe(2);
+  });
+});
+
+describe('playoffSimulator.simulate', () => {
+  it('plays out the remaining schedule and seeds by record', () => {
+    const teams = [
+      makeTeam('a', 8, 2, 130),
+      makeTeam('b', 6, 4, 90),
+      makeTeam('c', 6, 4, 120),
+      makeTeam('d', 2, 8, 100)
+    ];
+    const schedule = [
+      { week: 11, games: [['a', 'd'], ['b', 'c']] },
+      { week: 12, games: [['a', 'b'], ['c', 'd']] }
+    ];
+
+    const results = playoffSimulator.simulate({ teams, schedule, playoffTeams: 2, simulations: 50 });
+    const byId = Object.fromEntries(results.map(result => [result.rosterId, result]));
+
+    expect(byId.a).toMatchObject({ playoffOdds: 1, projectedWins: 10, averageSeed: 1, championshipOdds: 1 });
+    expect(byId.c).toMatchObject({ playoffOdds: 1, projectedWins: 8, averageSeed: 2 });
+    expect(byId.b).toMatchObject({ playoffOdds: 0, projectedWins: 6 });
+    expect(byId.d.playoffOdds).toBe(0);
+  });
+
+  it('uses week-specific means over the season mean', () => {
+    const teams = [
+      makeTeam('a', 5, 5, 130, { weekMeans: { 11: 60 } }),
+      makeTeam('b', 5, 5, 100)
+    ];
+    const schedule = [{ week: 11, games: [['a', 'b']] }];
+
+    const results = playoffSimulator.simulate({ teams, schedule, playoffTeams: 1, simulations: 10 });
+
+    expect(results.find(result => result.rosterId === 'b').playoffOdds).toBe(1);
+  });
+
+  it('keeps odds consistent across random runs', () => {
+    const teams = [
+      makeTeam(1, 4, 4, 110, { deviation: 20 }),
+      makeTeam(2, 4, 4, 110, { deviation: 20 }),
+      makeTeam(3, 4, 4, 110, { deviation: 20 }),
+      makeTeam(4, 4, 4, 110, { deviation: 20 }),
+      makeTeam(5, 4, 4, 110, { deviation: 20 }),
+      makeTeam(6, 4, 4, 110, { deviation: 20 })
+    ];
+    const schedule = [{ week: 9, games: [[1, 2], [3, 4], [5, 6]] }];
+
+    const results = playoffSimulator.simulate({ teams, schedule, playoffTeams: 4, simulations: 200 });
+    const sum = key => results.reduce((total, result) => total + result[key], 0);
+
+    expect(sum('playoffOdds')).toBeCloseTo(4);
+    expect(sum('byeOdds')).toBeCloseTo(0);
+    expect(sum('championshipOdds')).toBeCloseTo(1);
+    expect(sum('projectedWins')).toBeCloseTo(6 * 4 + 3);
+  });
+});
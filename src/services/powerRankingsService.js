@@ -0,0 +1,117 @@
+// Power Rankings Service
+// All-play records, recent form and schedule luck from each week's Sleeper matchup points
+
+import fantasyDataService from './fantasyDataService';
+import appConfig from '../config/appConfig';
+
+class PowerRankingsService {
+  // All-play results for one week: each team's wins, losses and ties against every other score
+  getAllPlayWeek(results) {
+    const scored = results.filter(result => result.outcome);
+
+    return scored.map(result => {
+      let wins = 0;
+      let losses = 0;
+      let ties = 0;
+      scored.forEach(other => {
+        if (other === result) return;
+        if (result.points > other.points) wins++;
+        else if (result.points < other.points) losses++;
+        else ties++;
+      });
+      return { rosterId: result.rosterId, points: result.points, outcome: result.outcome, wins, losses, ties };
+    });
+  }
+
+  // Scale a value into 0-1 across the league's range
+  normalize(value, values) {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return max > min ? (value - min) / (max - min) : 0.5;
+  }
+
+  /**
+   * Power rankings for a Sleeper league
+   * @returns {Array} Teams sorted by power score, each with all-play record, points-for rank,
+   *   recent form and luck (actual wins minus all-play expected wins)
+   */
+  async getPowerRankings(leagueId) {
+    const [league, standings] = await Promise.all([
+      fantasyDataService.getLeagueWithCache(leagueId),
+      fantasyDataService.getStandings(leagueId, 'sleeper')
+    ]);
+
+    const gamesPlayed = Math.max(0, ...standings.map(standing => (
+      standing.team.wins + standing.team.losses + standing.team.ties
+    )));
+    const startWeek = league?.settings?.start_week || 1;
+    const weeks = Array.from({ length: gamesPlayed }, (_, index) => startWeek + index);
+    const weeklyResults = await fantasyDataService.getWeeklyResults(leagueId, weeks);
+    const allPlayWeeks = weeklyResults.map(week => this.getAllPlayWeek(week.results));
+
+    const { recentWeeks, weights } = appConfig.powerRankings;
+
+    const teams = standings.map(standing => {
+      const weeksPlayed = allPlayWeeks
+        .map(week => week.find(result => result.rosterId === standing.teamId))
+        .filter(Boolean);
+
+      const allPlay = weeksPlayed.reduce((record, week) => ({
+        wins: record.wins + week.wins,
+        losses: record.losses + week.losses,
+        ties: record.ties + week.ties
+      }), { wins: 0, losses: 0, ties: 0 });
+      const allPlayGames = allPlay.wins + allPlay.losses + allPlay.ties;
+      const allPlayPercentage = allPlayGames > 0 ? (allPlay.wins + allPlay.ties * 0.5) / allPlayGames : 0;
+
+      // Expected wins: the share of the league each weekly score would have beaten
+      const expectedWins = weeksPlayed.reduce((total, week) => {
+        const opponents = week.wins + week.losses + week.ties;
+        return total + (opponents > 0 ? (week.wins + week.ties * 0.5) / opponents : 0);
+      }, 0);
+      const actualWins = standing.team.wins + standing.team.ties * 0.5;
+
+      const recent = weeksPlayed.slice(-recentWeeks);
+      const recentAverage = recent.length > 0
+        ? recent.reduce((total, week) => total + week.points, 0) / recent.length
+        : 0;
+
+      return {
+        rosterId: standing.teamId,
+        ownerId: standing.ownerId,
+        name: standing.team.name,
+        owner: standing.team.owner,
+        record: standing.record,
+        standingsRank: standing.rank,
+        pointsFor: standing.team.pointsFor,
+        allPlay: { ...allPlay, percentage: allPlayPercentage },
+        expectedWins,
+        actualWins,
+        luck: actualWins - expectedWins,
+        recentAverage,
+        recentOutcomes: recent.map(week => week.outcome)
+      };
+    });
+
+    const pointsForValues = teams.map(team => team.pointsFor);
+    const recentValues = teams.map(team => team.recentAverage);
+    const sortedPointsFor = [...pointsForValues].sort((a, b) => b - a);
+
+    return teams
+      .map(team => ({
+        ...team,
+        pointsForRank: sortedPointsFor.indexOf(team.pointsFor) + 1,
+        powerScore: 100 * (
+          weights.allPlay * team.allPlay.percentage +
+          weights.pointsFor * this.normalize(team.pointsFor, pointsForValues) +
+          weights.recentForm * this.normalize(team.recentAverage, recentValues)
+        )
+      }))
+      .sort((a, b) => b.powerScore - a.powerScore)
+      .map((team, index) => ({ ...team, powerRank: index + 1 }));
+  }
+}
+
+// Create and export a singleton instance
+const powerRankingsService = new PowerRankingsService();
+export default powerRankingsService;
@@ -2,14 +2,23 @@
 // Handles fetching and processing player projections and stats from Sleeper
 
 import sleeperApi from './sleeperApi';
+import httpClient from './httpClient';
+import SwrCache from './swrCache';
+import scoringEngine from './scoringEngine';
 import appConfig from '../config/appConfig';
 
 class ProjectionsService {
   constructor() {
-    this.projectionsCache = new Map();
-    this.statsCache = new Map();
-    this.nflStateCache = new Map();
-    this.CACHE_DURATION = 30 * 60 * 1000; // 30 minutes
+    this.projectionsCache = new SwrCache('projections', appConfig.getCacheWindow('projections'));
+    this.statsCache = new SwrCache('stats', appConfig.getCacheWindow('stats'));
+    this.nflStateCache = new SwrCache('nflState', appConfig.getCacheWindow('nflState'));
+  }
+
+  // Subscribe to background refreshes of projections, stats and NFL state; returns an unsubscribe function
+  subscribe(listener) {
+    const unsubscribers = [this.projectionsCache, this.statsCache, this.nflStateCache]
+      .map(cache => cache.subscribe(listener));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }
 
   // Get weekly projections for a specific week
@@ -17,45 +26,18 @@ class ProjectionsService {
     console.log('getWeeklyProjections called with:', { season, week, seasonType, scoring });
     
     const cacheKey = `projections_${season}_${week}_${seasonType}_${scoring}`;
-    const cached = this.getCachedData(cacheKey, this.projectionsCache);
-    
-    if (cached) {
-      console.log('Returning cached projections data');
-      return cached;
-    }
     
-    // Force fresh data for debugging
-    console.log('No cached data found, making fresh API call');
-
     try {
-      // Use the specific endpoint format: /v1/projections/nfl/regular/2025/2
-      // Add cache-busting parameter to force fresh data
-      const timestamp = Date.now();
-      const url = `https://api.sleeper.app/v1/projections/nfl/${seasonType}/${season}/${week}?t=${timestamp}`;
-      console.log('Making network request to:', url);
-      
-      const response = await fetch(url, {
-        method: 'GET'
+      return await this.projectionsCache.get(cacheKey, async () => {
+        // Use the specific endpoint format: /v1/projections/nfl/regular/2025/2
+        const url = `https://api.sleeper.app/v1/projections/nfl/${seasonType}/${season}/${week}`;
+        console.log('Making network request to:', url);
+        
+        const projections = await httpClient.getJson(url);
+        console.log('Total projections count:', Object.keys(projections).length);
+        
+        return projections;
       });
-      console.log('Response status:', response.status, response.ok);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const projections = await response.json();
-      console.log('Raw projections response sample:', Object.keys(projections).slice(0, 5), Object.values(projections).slice(0, 2));
-      console.log('Total projections count:', Object.keys(projections).length);
-      
-      // Check if we have any players with actual projection data
-      const playersWithProjections = Object.entries(projections).filter(([id, data]) => data.pts_half_ppr !== undefined);
-      console.log('Players with pts_half_ppr data:', playersWithProjections.length);
-      console.log('Sample players with projections:', playersWithProjections.slice(0, 3));
-      
-      // Cache the results
-      this.setCachedData(cacheKey, projections, this.projectionsCache);
-      
-      return projections;
     } catch (error) {
       console.error('Error fetching weekly projections:', error);
       throw error;
@@ -65,19 +47,11 @@ class ProjectionsService {
   // Get player stats for a specific player
   async getPlayerStats(playerId, season, seasonType = 'regular', grouping = 'week') {
     const cacheKey = `stats_${playerId}_${season}_${seasonType}_${grouping}`;
-    const cached = this.getCachedData(cacheKey, this.statsCache);
-    
-    if (cached) {
-      return cached;
-    }
 
     try {
-      const stats = await sleeperApi.getPlayerStats(playerId, season, seasonType, grouping);
-      
-      // Cache the results
-      this.setCachedData(cacheKey, stats, this.statsCache);
-      
-      return stats;
+      return await this.statsCache.get(cacheKey, () =>
+        sleeperApi.getPlayerStats(playerId, season, seasonType, grouping)
+      );
     } catch (error) {
       console.error(`Error fetching stats for player ${playerId}:`, error);
       throw error;
@@ -87,19 +61,11 @@ class ProjectionsService {
   // Get player research data
   async getPlayerResearch(seasonType, season, week) {
     const cacheKey = `research_${seasonType}_${season}_${week}`;
-    const cached = this.getCachedData(cacheKey, this.projectionsCache);
-    
-    if (cached) {
-      return cached;
-    }
 
     try {
-      const research = await sleeperApi.getPlayerResearch(seasonType, season, week);
-      
-      // Cache the results
-      this.setCachedData(cacheKey, research, this.projectionsCache);
-      
-      return research;
+      return await this.projectionsCache.get(cacheKey, () =>
+        sleeperApi.getPlayerResearch(seasonType, season, week)
+      );
     } catch (error) {
       console.error('Error fetching player research:', error);
       throw error;
@@ -245,64 +211,14 @@ class ProjectionsService {
   }
 
   // Calculate fantasy points based on league scoring settings
-  calculateFantasyPoints(stats, scoringSettings) {
-    if (!stats || !scoringSettings) {
-      console.log('Missing stats or scoring settings:', { stats, scoringSettings });
-      return 0;
-    }
-
-    console.log('Calculating fantasy points:', { stats, scoringSettings });
-    let points = 0;
-
-    // Passing stats
-    if (stats.pass_yds) points += (stats.pass_yds / 25) * (scoringSettings.pass_yd || 0.04);
-    if (stats.pass_td) points += stats.pass_td * (scoringSettings.pass_td || 4);
-    if (stats.pass_int) points += stats.pass_int * (scoringSettings.pass_int || -2);
-
-    // Rushing stats
-    if (stats.rush_yds) points += (stats.rush_yds / 10) * (scoringSettings.rush_yd || 0.1);
-    if (stats.rush_td) points += stats.rush_td * (scoringSettings.rush_td || 6);
-
-    // Receiving stats
-    if (stats.rec) points += stats.rec * (scoringSettings.rec || 0);
-    if (stats.rec_yds) points += (stats.rec_yds / 10) * (scoringSettings.rec_yd || 0.1);
-    if (stats.rec_td) points += stats.rec_td * (scoringSettings.rec_td || 6);
-
-    // Kicking stats
-    if (stats.fgm) points += stats.fgm * (scoringSettings.fgm || 3);
-    if (stats.fga) points += stats.fga * (scoringSettings.fga || 0);
-    if (stats.xpm) points += stats.xpm * (scoringSettings.xpm || 1);
-    if (stats.xpa) points += stats.xpa * (scoringSettings.xpa || 0);
-
-    // Defense stats
-    if (stats.def_td) points += stats.def_td * (scoringSettings.def_td || 6);
-    if (stats.sack) points += stats.sack * (scoringSettings.sack || 1);
-    if (stats.int) points += stats.int * (scoringSettings.int || 2);
-    if (stats.fumble_rec) points += stats.fumble_rec * (scoringSettings.fumble_rec || 2);
-    if (stats.safety) points += stats.safety * (scoringSettings.safety || 2);
-    if (stats.blocked_kick) points += stats.blocked_kick * (scoringSettings.blocked_kick || 2);
-
-    const finalPoints = Math.round(points * 100) / 100; // Round to 2 decimal places
-    console.log(`Final calculated points: ${finalPoints}`);
-    return finalPoints;
+  calculateFantasyPoints(stats, scoringSettings, position = null) {
+    return scoringEngine.calculatePoints(stats, scoringSettings, position).points;
   }
 
   // Get current NFL week and season from Sleeper API
   async getCurrentNFLState() {
-    const cacheKey = 'nfl_state';
-    const cached = this.getCachedData(cacheKey, this.projectionsCache);
-    
-    if (cached) {
-      return cached;
-    }
-
     try {
-      const nflState = await sleeperApi.getNFLState();
-      
-      // Cache the results
-      this.setCachedData(cacheKey, nflState, this.projectionsCache);
-      
-      return nflState;
+      return await this.nflStateCache.get('nfl_state', () => sleeperApi.getNFLState());
     } catch (error) {
       console.error('Error fetching NFL state:', error);
       // Fallback to hardcoded values if API fails
@@ -336,22 +252,6 @@ class ProjectionsService {
     }
   }
 
-  // Cache management helpers
-  getCachedData(key, cache) {
-    const cached = cache.get(key);
-    if (cached && (Date.now() - cached.timestamp) < this.CACHE_DURATION) {
-      return cached.data;
-    }
-    return null;
-  }
-
-  setCachedData(key, data, cache) {
-    cache.set(key, {
-      data: data,
-      timestamp: Date.now()
-    });
-  }
-
   // Clear cache
   clearCache() {
     this.projectionsCache.clear();
@@ -382,32 +282,13 @@ class ProjectionsService {
     console.log('getPlayerSpecificProjections called with:', { playerId, season, seasonType });
     
     const cacheKey = `player_projections_${playerId}_${season}_${seasonType}`;
-    const cached = this.getCachedData(cacheKey, this.projectionsCache);
-    if (cached) {
-      console.log('Returning cached player-specific projections data');
-      return cached;
-    }
 
-    console.log('No cached player-specific projections found, making fresh API call');
     try {
-      const timestamp = Date.now();
-      const url = `https://api.sleeper.com/projections/nfl/player/${playerId}?season_type=${seasonType}&season=${season}&grouping=week&t=${timestamp}`;
-      console.log('Making network request to:', url);
-      
-      const response = await fetch(url, {
-        method: 'GET'
+      return await this.projectionsCache.get(cacheKey, () => {
+        const url = `https://api.sleeper.com/projections/nfl/player/${playerId}?season_type=${seasonType}&season=${season}&grouping=week`;
+        console.log('Making network request to:', url);
+        return httpClient.getJson(url);
       });
-      console.log('Player-specific projections response status:', response.status, response.ok);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const projectionsData = await response.json();
-      console.log('Raw player-specific projections response:', projectionsData);
-
-      this.setCachedData(cacheKey, projectionsData, this.projectionsCache);
-      return projectionsData;
     } catch (error) {
       console.error('Error fetching player-specific projections:', error);
       return {};
@@ -425,33 +306,13 @@ class ProjectionsService {
     console.log('getPlayerSpecificStats called with:', { playerId, season, seasonType });
     
     const cacheKey = `player_stats_${playerId}_${season}_${seasonType}`;
-    const cached = this.getCachedData(cacheKey, this.statsCache);
-    if (cached) {
-      console.log('Returning cached player-specific stats data for player', playerId);
-      return cached;
-    }
 
-    console.log('No cached player-specific stats found, making fresh API call for player', playerId);
     try {
-      const timestamp = Date.now();
-      const url = `https://api.sleeper.com/stats/nfl/player/${playerId}?season_type=${seasonType}&season=${season}&grouping=week&t=${timestamp}`;
-      console.log('Making network request to:', url);
-      
-      const response = await fetch(url, {
-        method: 'GET'
+      return await this.statsCache.get(cacheKey, () => {
+        const url = `https://api.sleeper.com/stats/nfl/player/${playerId}?season_type=${seasonType}&season=${season}&grouping=week`;
+        console.log('Making network request to:', url);
+        return httpClient.getJson(url);
       });
-      console.log('Player-specific stats response status:', response.status, response.ok);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const statsData = await response.json();
-      console.log('Raw player-specific stats response for player', playerId, ':', statsData);
-      console.log('Stats data type:', typeof statsData, 'Keys:', Object.keys(statsData || {}));
-
-      this.setCachedData(cacheKey, statsData, this.statsCache);
-      return statsData;
     } catch (error) {
       console.error('Error fetching player-specific stats for player', playerId, ':', error);
       return {};
@@ -469,109 +330,76 @@ class ProjectionsService {
     console.log('getHistoricalStats called with:', { season, week, seasonType });
     
     const cacheKey = `historical_stats_${season}_${week}_${seasonType}`;
-    const cached = this.getCachedData(cacheKey, this.statsCache);
-    if (cached) {
-      console.log('Returning cached historical stats data');
-      return cached;
-    }
 
-    console.log('No cached historical stats found, making fresh API call');
     try {
-      const timestamp = Date.now();
-      const url = `https://api.sleeper.com/stats/nfl/${season}/${week}?season_type=${seasonType}&position[]=DEF&position[]=FLEX&position[]=K&position[]=QB&position[]=RB&position[]=TE&position[]=WR&order_by=pts_ppr&t=${timestamp}`;
-      console.log('Making network request to:', url);
-      
-      const response = await fetch(url, {
-        method: 'GET'
-      });
-      console.log('Historical stats response status:', response.status, response.ok);
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
+      return await this.statsCache.get(cacheKey, async () => {
+        const url = `https://api.sleeper.com/stats/nfl/${season}/${week}?${this.getPositionQuery(seasonType)}`;
+        console.log('Making network request to:', url);
+        
+        const statsData = await httpClient.getJson(url);
+        console.log('Total historical stats count:', statsData.length);
 
-      const statsData = await response.json();
-      console.log('Raw historical stats response sample:', statsData.slice(0, 3));
-      console.log('Total historical stats count:', statsData.length);
-
-      // Convert array to object with player_id as keys
-      const statsByPlayer = {};
-      statsData.forEach(playerStat => {
-        if (playerStat.player_id && playerStat.stats) {
-          statsByPlayer[playerStat.player_id] = {
-            ...playerStat.stats,
-            player_info: playerStat.player,
-            team: playerStat.team,
-            opponent: playerStat.opponent,
-            week: playerStat.week
-          };
-        }
+        const statsByPlayer = this.indexByPlayer(statsData);
+        console.log('Processed historical stats for players:', Object.keys(statsByPlayer).length);
+        return statsByPlayer;
       });
-
-      console.log('Processed historical stats for players:', Object.keys(statsByPlayer).length);
-      this.setCachedData(cacheKey, statsByPlayer, this.statsCache);
-      return statsByPlayer;
     } catch (error) {
       console.error('Error fetching historical stats:', error);
       return {};
     }
   }
 
+  // Convert a stats/projections array from api.sleeper.com to an object with player_id as keys
+  indexByPlayer(entries) {
+    const byPlayer = {};
+    (entries || []).forEach(entry => {
+      if (entry.player_id && entry.stats) {
+        byPlayer[entry.player_id] = {
+          ...entry.stats,
+          player_info: entry.player,
+          team: entry.team,
+          opponent: entry.opponent,
+          week: entry.week
+        };
+      }
+    });
+    return byPlayer;
+  }
+
+  // Query string selecting every fantasy position from api.sleeper.com stats and projections
+  getPositionQuery(seasonType) {
+    const positions = ['DEF', 'FLEX', 'K', 'QB', 'RB', 'TE', 'WR'].map(position => `position[]=${position}`).join('&');
+    return `season_type=${seasonType}&${positions}&order_by=pts_ppr`;
+  }
+
   /**
-   * Calculate season average points for a player from their weekly stats
-   * @param {string} playerId - The player ID
+   * Fetch season-to-date stat totals in one request, rather than one request per completed week
    * @param {number} season - The season year
    * @param {string} seasonType - 'regular' or 'post'
-   * @param {string} scoringType - 'ppr' or 'half_ppr'
-   * @returns {Promise<number>} Season average points
+   * @returns {Promise<Object>} Object with player_id as keys and season totals (including gp) as values
    */
-  async getPlayerSeasonAverage(playerId, season, seasonType = 'regular', scoringType = 'half_ppr') {
-    const pointsField = scoringType === 'ppr' ? 'pts_ppr' : 'pts_half_ppr';
-    console.log('getPlayerSeasonAverage called with:', { playerId, season, seasonType, scoringType, pointsField });
-    
-    try {
-      const playerStats = await this.getPlayerSpecificStats(playerId, season, seasonType);
-      console.log('Player stats received for season average calculation:', playerStats);
-      
-      if (!playerStats || typeof playerStats !== 'object') {
-        console.log(`No stats data found for player ${playerId} - playerStats:`, playerStats);
-        return 0;
-      }
-
-      console.log('Available weeks in player stats:', Object.keys(playerStats));
+  async getSeasonStats(season, seasonType = 'regular') {
+    const cacheKey = `season_stats_${season}_${seasonType}`;
 
-      // Sum up points from all weeks and count games played
-      let totalPoints = 0;
-      let gamesPlayed = 0;
-      
-      Object.keys(playerStats).forEach(week => {
-        const weekData = playerStats[week];
-        console.log(`Processing week ${week} for player ${playerId}:`, weekData);
-        
-        if (weekData && weekData.stats && weekData.stats[pointsField] !== undefined) {
-          totalPoints += weekData.stats[pointsField];
-          gamesPlayed++;
-          console.log(`Week ${week}: ${weekData.stats[pointsField]} points (using ${pointsField})`);
-        } else {
-          console.log(`Week ${week}: No valid stats data for ${pointsField} (weekData:`, weekData, ')');
-        }
-      });
-
-      console.log(`Total calculation for player ${playerId}: ${totalPoints} points, ${gamesPlayed} games`);
+    return this.statsCache.get(cacheKey, async () => {
+      const statsData = await httpClient.getJson(`https://api.sleeper.com/stats/nfl/${season}?${this.getPositionQuery(seasonType)}`);
+      return this.indexByPlayer(statsData);
+    });
+  }
 
-      if (gamesPlayed === 0) {
-        console.log(`No games played found for player ${playerId} - all weeks had null/undefined data`);
-        return 0;
-      }
+  /**
+   * Fetch full-season projections in one request, rather than one request per remaining week
+   * @param {number} season - The season year
+   * @param {string} seasonType - 'regular' or 'post'
+   * @returns {Promise<Object>} Object with player_id as keys and projected season totals (including gp) as values
+   */
+  async getSeasonProjections(season, seasonType = 'regular') {
+    const cacheKey = `season_projections_${season}_${seasonType}`;
 
-      const seasonAverage = totalPoints / gamesPlayed;
-      console.log(`Player ${playerId} season average: ${seasonAverage.toFixed(2)} (${totalPoints} total points / ${gamesPlayed} games using ${pointsField})`);
-      
-      return seasonAverage;
-    } catch (error) {
-      console.error('Error calculating season average for player', playerId, ':', error);
-      return 0;
-    }
+    return this.projectionsCache.get(cacheKey, async () => {
+      const projections = await httpClient.getJson(`https://api.sleeper.com/projections/nfl/${season}?${this.getPositionQuery(seasonType)}`);
+      return this.indexByPlayer(projections);
+    });
   }
 
   // Get cache status
@@ -579,15 +407,15 @@ class ProjectionsService {
     return {
       projectionsCache: {
         size: this.projectionsCache.size,
-        keys: Array.from(this.projectionsCache.keys())
+        keys: this.projectionsCache.keys()
       },
       statsCache: {
         size: this.statsCache.size,
-        keys: Array.from(this.statsCache.keys())
+        keys: this.statsCache.keys()
       },
       nflStateCache: {
         size: this.nflStateCache.size,
-        keys: Array.from(this.nflStateCache.keys())
+        keys: this.nflStateCache.keys()
       }
     };
   }
@@ -0,0 +1,147 @@
+// Scoring Engine
+// Scores any Sleeper stat line (actual or projected) against a league's scoring_settings
+
+// Points/yards allowed tiers, e.g. pts_allow_0, pts_allow_7_13, yds_allow_550p
+const ALLOWED_TIER_PATTERN = /^(pts_allow|yds_allow)_(\d+)(?:_(\d+)|(p))?$/;
+
+// Threshold bonuses, e.g. bonus_pass_yd_300, bonus_rush_rec_yd_100, bonus_pass_cmp_25
+const THRESHOLD_BONUS_PATTERN = /^bonus_(rush_rec_yd|pass_yd|rush_yd|rec_yd|pass_cmp|rush_att)_(\d+)$/;
+
+// Position-specific bonuses, e.g. bonus_rec_te (TE premium), bonus_fd_rb
+const POSITION_BONUS_PATTERN = /^bonus_(rec|fd)_(qb|rb|wr|te)$/;
+
+// Long-play bonuses, e.g. bonus_rush_td_40p, bonus_rec_50p
+const LONG_PLAY_BONUS_PATTERN = /^bonus_(\w+_\d+p)$/;
+
+class ScoringEngine {
+  // Read a numeric stat, treating anything missing or non-numeric as 0
+  getStat(stats, key) {
+    const value = stats[key];
+    return typeof value === 'number' ? value : 0;
+  }
+
+  // Whether the stat line already carries tier flags for a family (e.g. any pts_allow_* key)
+  hasTierFlags(stats, family) {
+    return Object.keys(stats).some(key => {
+      const match = key.match(ALLOWED_TIER_PATTERN);
+      return match && match[1] === family;
+    });
+  }
+
+  // Exclusive upper bound of an allowed tier: the next tier's lower bound in the league's settings, so that
+  // fractional values and shared boundaries (yds_allow_0_100 / yds_allow_100_199) land in exactly one tier
+  getTierUpperBound(family, lower, max, plus, scoringSettings) {
+    const nextLower = Object.keys(scoringSettings || {}).reduce((next, key) => {
+      const match = key.match(ALLOWED_TIER_PATTERN);
+      if (!match || match[1] !== family) return next;
+      const tierLower = parseInt(match[2]);
+      return tierLower > lower && tierLower < next ? tierLower : next;
+    }, Infinity);
+
+    if (nextLower !== Infinity || plus) return nextLower;
+    return (max === undefined ? lower : parseInt(max)) + 1;
+  }
+
+  // Derive the value of a scoring key that has no matching stat, or null when it doesn't apply
+  deriveStat(key, stats, position, scoringSettings = {}) {
+    // Tiers and thresholds apply per game, so a multi-game line (season totals) only scores those it already counts
+    const isSingleGame = !(stats.gp > 1);
+
+    const tier = key.match(ALLOWED_TIER_PATTERN);
+    if (tier) {
+      const [, family, min, max, plus] = tier;
+      if (!isSingleGame || typeof stats[family] !== 'number') return null;
+      // A line with other tier flags already landed in a different tier
+      if (this.hasTierFlags(stats, family)) return 0;
+
+      const allowed = stats[family];
+      const lower = parseInt(min);
+      return allowed >= lower && allowed < this.getTierUpperBound(family, lower, max, plus, scoringSettings) ? 1 : 0;
+    }
+
+    // Long plays can't be derived from yardage totals, so these only score when the line counts them
+    // under the unprefixed key (rush_td_40p for bonus_rush_td_40p); projections never do
+    const longPlay = key.match(LONG_PLAY_BONUS_PATTERN);
+    if (longPlay) {
+      return typeof stats[longPlay[1]] === 'number' ? stats[longPlay[1]] : null;
+    }
+
+    const threshold = key.match(THRESHOLD_BONUS_PATTERN);
+    if (threshold) {
+      if (!isSingleGame) return null;
+      const [, stat, minimum] = threshold;
+      const total = stat === 'rush_rec_yd'
+        ? this.getStat(stats, 'rush_yd') + this.getStat(stats, 'rec_yd')
+        : this.getStat(stats, stat);
+      return total >= parseInt(minimum) ? 1 : 0;
+    }
+
+    const positionBonus = key.match(POSITION_BONUS_PATTERN);
+    if (positionBonus) {
+      const [, stat, bonusPosition] = positionBonus;
+      if ((position || '').toLowerCase() !== bonusPosition) return 0;
+      if (stat === 'rec') return this.getStat(stats, 'rec');
+      return this.getStat(stats, 'pass_fd') + this.getStat(stats, 'rush_fd') + this.getStat(stats, 'rec_fd');
+    }
+
+    return null;
+  }
+
+  // Sleeper's precomputed points field closest to the league's reception scoring, for stat lines we can't score
+  getPrecomputedPointsField(scoringSettings) {
+    const rec = scoringSettings?.rec || 0;
+    if (rec >= 1) return 'pts_ppr';
+    if (rec > 0) return 'pts_half_ppr';
+    return 'pts_std';
+  }
+
+  // Short description of a league's scoring, e.g. "Half-PPR • TE Premium (+0.5) • 6pt Pass TD"
+  getScoringLabel(scoringSettings) {
+    if (!scoringSettings || Object.keys(scoringSettings).length === 0) return 'Unknown';
+
+    const rec = scoringSettings.rec || 0;
+    const parts = [rec === 1 ? 'PPR' : rec === 0.5 ? 'Half-PPR' : rec === 0 ? 'Standard' : `${rec} PPR`];
+
+    if (scoringSettings.bonus_rec_te) parts.push(`TE Premium (+${scoringSettings.bonus_rec_te})`);
+    if (scoringSettings.pass_td && scoringSettings.pass_td !== 4) parts.push(`${scoringSettings.pass_td}pt Pass TD`);
+    if (scoringSettings.rec_fd || scoringSettings.rush_fd) parts.push('First Downs');
+
+    return parts.join(' • ');
+  }
+
+  /**
+   * Calculate fantasy points for a stat line
+   * @param {Object} stats - Sleeper stat line, keyed like scoring_settings (pass_yd, rec, fum_lost, ...)
+   * @param {Object} scoringSettings - The league's scoring_settings
+   * @param {string} position - Player position, used for position-specific bonuses
+   * @returns {{points: number, breakdown: Object}} Total points and { [scoringKey]: { value, multiplier, points } }
+   */
+  calculatePoints(stats, scoringSettings, position = null) {
+    const breakdown = {};
+    if (!stats || !scoringSettings) {
+      return { points: 0, breakdown };
+    }
+
+    let total = 0;
+    Object.entries(scoringSettings).forEach(([key, multiplier]) => {
+      if (typeof multiplier !== 'number' || multiplier === 0) return;
+
+      // Stat keys match scoring keys one-to-one; bonuses and tiers are derived when the line lacks them
+      const value = typeof stats[key] === 'number' ? stats[key] : this.deriveStat(key, stats, position, scoringSettings);
+      if (!value) return;
+
+      const points = value * multiplier;
+      breakdown[key] = { value, multiplier, points: Math.round(points * 100) / 100 };
+      total += points;
+    });
+
+    return {
+      points: Math.round(total * 100) / 100,
+      breakdown
+    };
+  }
+}
+
+// Create and export a singleton instance
+const scoringEngine = new ScoringEngine();
+export default scoringEngine;
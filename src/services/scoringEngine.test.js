@@ -0,0 +1,103 @@
+import scoringEngine from './scoringEngine';
+
+const HALF_PPR = {
+  pass_yd: 0.04,
+  pass_td: 4,
+  pass_int: -2,
+  rush_yd: 0.1,
+  rush_td: 6,
+  rec: 0.5,
+  rec_yd: 0.1,
+  rec_td: 6,
+  fum_lost: -2
+};
+
+describe('scoringEngine.calculatePoints', () => {
+  it('multiplies each stat by its scoring setting', () => {
+    const stats = { pass_yd: 300, pass_td: 2, pass_int: 1, rush_yd: 20 };
+    const { points, breakdown } = scoringEngine.calculatePoints(stats, HALF_PPR, 'QB');
+
+    expect(points).toBe(12 + 8 - 2 + 2);
+    expect(breakdown.pass_yd).toEqual({ value: 300, multiplier: 0.04, points: 12 });
+    expect(breakdown.pass_int.points).toBe(-2);
+  });
+
+  it('scores nothing without stats or settings', () => {
+    expect(scoringEngine.calculatePoints(null, HALF_PPR).points).toBe(0);
+    expect(scoringEngine.calculatePoints({ rec: 5 }, null).points).toBe(0);
+  });
+
+  it('ignores stats the league does not score and settings of zero', () => {
+    const { points, breakdown } = scoringEngine.calculatePoints(
+      { rec: 4, rec_yd: 50, tkl: 7 },
+      { ...HALF_PPR, rec_yd: 0 },
+      'WR'
+    );
+
+    expect(points).toBe(2);
+    expect(Object.keys(breakdown)).toEqual(['rec']);
+  });
+
+  it('derives threshold bonuses from yardage', () => {
+    const settings = { rush_yd: 0.1, bonus_rush_yd_100: 3, bonus_rush_rec_yd_200: 5 };
+
+    expect(scoringEngine.calculatePoints({ rush_yd: 99 }, settings, 'RB').points).toBe(9.9);
+    expect(scoringEngine.calculatePoints({ rush_yd: 100 }, settings, 'RB').points).toBe(13);
+    expect(scoringEngine.calculatePoints({ rush_yd: 120, rec_yd: 80 }, settings, 'RB').points).toBe(12 + 3 + 5);
+  });
+
+  it('only scores per-game bonuses a season total line already counts', () => {
+    const settings = { rush_yd: 0.1, bonus_rush_yd_100: 3, pts_allow_0: 10 };
+
+    expect(scoringEngine.calculatePoints({ rush_yd: 800, gp: 8 }, settings, 'RB').points).toBe(80);
+    expect(scoringEngine.calculatePoints({ rush_yd: 800, bonus_rush_yd_100: 2, gp: 8 }, settings, 'RB').points).toBe(86);
+    expect(scoringEngine.calculatePoints({ pts_allow: 0, gp: 2 }, settings, 'DEF').points).toBe(0);
+  });
+
+  it('applies position bonuses only to that position', () => {
+    const settings = { rec: 1, bonus_rec_te: 0.5 };
+
+    expect(scoringEngine.calculatePoints({ rec: 6 }, settings, 'TE').points).toBe(9);
+    expect(scoringEngine.calculatePoints({ rec: 6 }, settings, 'WR').points).toBe(6);
+  });
+
+  it('places defenses in their points allowed tier', () => {
+    const settings = { pts_allow_0: 10, pts_allow_1_6: 7, pts_allow_7_13: 4, pts_allow_35p: -4 };
+
+    expect(scoringEngine.calculatePoints({ pts_allow: 0 }, settings, 'DEF').points).toBe(10);
+    expect(scoringEngine.calculatePoints({ pts_allow: 10 }, settings, 'DEF').points).toBe(4);
+    expect(scoringEngine.calculatePoints({ pts_allow: 42 }, settings, 'DEF').points).toBe(-4);
+  });
+
+  it('runs each tier up to the next tier\'s lower bound', () => {
+    const settings = { pts_allow_14_20: 1, pts_allow_21_27: 0.5, yds_allow_0_100: 5, yds_allow_100_199: 3 };
+
+    expect(scoringEngine.calculatePoints({ pts_allow: 20.5 }, settings, 'DEF').points).toBe(1);
+    expect(scoringEngine.calculatePoints({ pts_allow: 21 }, settings, 'DEF').points).toBe(0.5);
+
+    const { breakdown } = scoringEngine.calculatePoints({ yds_allow: 100 }, settings, 'DEF');
+    expect(Object.keys(breakdown)).toEqual(['yds_allow_100_199']);
+  });
+
+  it('scores long-play bonuses only when the stat line counts them', () => {
+    const settings = { rush_yd: 0.1, bonus_rush_td_40p: 2 };
+
+    expect(scoringEngine.calculatePoints({ rush_yd: 60, rush_td_40p: 1 }, settings, 'RB').points).toBe(8);
+    expect(scoringEngine.calculatePoints({ rush_yd: 60 }, settings, 'RB').points).toBe(6);
+  });
+
+  it('trusts tier flags already on the stat line', () => {
+    const settings = { pts_allow_0: 10, pts_allow_7_13: 4 };
+    const stats = { pts_allow: 10, pts_allow_7_13: 1 };
+
+    expect(scoringEngine.calculatePoints(stats, settings, 'DEF').points).toBe(4);
+  });
+});
+
+describe('scoringEngine.getPrecomputedPointsField', () => {
+  it('picks the Sleeper points field closest to the reception scoring', () => {
+    expect(scoringEngine.getPrecomputedPointsField({ rec: 1 })).toBe('pts_ppr');
+    expect(scoringEngine.getPrecomputedPointsField({ rec: 0.5 })).toBe('pts_half_ppr');
+    expect(scoringEngine.getPrecomputedPointsField({})).toBe('pts_std');
+  });
+});
@@ -2,134 +2,33 @@
 // Documentation: https://docs.sleeper.com/
 
 import appConfig from '../config/appConfig';
+import httpClient from './httpClient';
+import SwrCache from './swrCache';
 
 class SleeperApiService {
   constructor() {
     this.baseUrl = appConfig.sleeperBaseUrl;
-    this.rateLimit = appConfig.sleeperRateLimit;
-    this.requestCount = 0;
-    this.lastResetTime = Date.now();
-    
-    // Request deduplication
-    this.pendingRequests = new Map();
-    
-    // Exponential backoff settings
-    this.maxRetries = 3;
-    this.baseDelay = 1000; // 1 second
+    this.scheduleUrl = appConfig.sleeper.scheduleUrl;
+    this.host = new URL(this.baseUrl).host;
+    this.scheduleCache = new SwrCache('schedule', appConfig.getCacheWindow('schedule'));
   }
 
-  // Rate limiting helper
-  checkRateLimit() {
-    const now = Date.now();
-    const timeSinceReset = now - this.lastResetTime;
-    
-    // Reset counter every minute
-    if (timeSinceReset >= 60000) {
-      this.requestCount = 0;
-      this.lastResetTime = now;
-    }
-    
-    if (this.requestCount >= this.rateLimit) {
-      throw new Error(`Rate limit exceeded. Maximum ${this.rateLimit} requests per minute allowed.`);
-    }
-    
-    this.requestCount++;
-  }
-
-  // Exponential backoff helper
-  async sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
-  // Request deduplication helper
-  async deduplicateRequest(url, requestFn) {
-    // Check if this request is already pending
-    if (this.pendingRequests.has(url)) {
-      return this.pendingRequests.get(url);
-    }
-
-    // Create the request promise
-    const requestPromise = requestFn();
-    
-    // Store the promise to prevent duplicate requests
-    this.pendingRequests.set(url, requestPromise);
-
+  // Generic fetch method; rate limiting, deduplication and retries are handled by the shared HTTP client
+  async fetchWithErrorHandling(url, options = {}) {
     try {
-      const result = await requestPromise;
-      return result;
-    } finally {
-      // Remove the promise from pending requests
-      this.pendingRequests.delete(url);
+      return await httpClient.getJson(url, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          ...options.headers,
+        },
+      });
+    } catch (error) {
+      console.error('Sleeper API Error:', error);
+      throw error;
     }
   }
 
-  // Generic fetch method with error handling, rate limiting, and exponential backoff
-  async fetchWithErrorHandling(url, options = {}) {
-    return this.deduplicateRequest(url, async () => {
-      let lastError;
-      
-      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
-        try {
-          // Check rate limit before making request
-          this.checkRateLimit();
-          
-          if (appConfig.isDebugEnabled) {
-            console.log(`Sleeper API Request (attempt ${attempt + 1}): ${url}`);
-          }
-
-          const response = await fetch(url, {
-            ...options,
-            headers: {
-              'Content-Type': 'application/json',
-              ...options.headers,
-            },
-          });
-
-          if (!response.ok) {
-            // Handle rate limit errors specifically
-            if (response.status === 429) {
-              const retryAfter = response.headers.get('Retry-After');
-              const delay = retryAfter ? parseInt(retryAfter) * 1000 : this.baseDelay * Math.pow(2, attempt);
-              
-              if (appConfig.isDebugEnabled) {
-                console.log(`Rate limit hit, waiting ${delay}ms before retry ${attempt + 1}/${this.maxRetries}`);
-              }
-              
-              if (attempt < this.maxRetries) {
-                await this.sleep(delay);
-                continue;
-              }
-            }
-            
-            throw new Error(`HTTP error! status: ${response.status}`);
-          }
-
-          return await response.json();
-        } catch (error) {
-          lastError = error;
-          
-          // If it's a rate limit error and we have retries left, wait and retry
-          if (error.message.includes('Rate limit exceeded') && attempt < this.maxRetries) {
-            const delay = this.baseDelay * Math.pow(2, attempt);
-            
-            if (appConfig.isDebugEnabled) {
-              console.log(`Rate limit exceeded, waiting ${delay}ms before retry ${attempt + 1}/${this.maxRetries}`);
-            }
-            
-            await this.sleep(delay);
-            continue;
-          }
-          
-          // For other errors, don't retry
-          break;
-        }
-      }
-      
-      console.error('Sleeper API Error:', lastError);
-      throw lastError;
-    });
-  }
-
   // User endpoints
   async getUserByUsername(username) {
     return this.fetchWithErrorHandling(`${this.baseUrl}/user/${username}`);
@@ -163,6 +62,11 @@ class SleeperApiService {
     return this.fetchWithErrorHandling(`${this.baseUrl}/league/${leagueId}/matchups/${week}`);
   }
 
+  // Transaction endpoints (waivers, free agent pickups and trades processed in a week)
+  async getLeagueTransactions(leagueId, week) {
+    return this.fetchWithErrorHandling(`${this.baseUrl}/league/${leagueId}/transactions/${week}`);
+  }
+
   // Draft endpoints
   async getLeagueDrafts(leagueId) {
     return this.fetchWithErrorHandling(`${this.baseUrl}/league/${leagueId}/drafts`);
@@ -176,10 +80,16 @@ class SleeperApiService {
     return this.fetchWithErrorHandling(`${this.baseUrl}/draft/${draftId}/picks`);
   }
 
+  // Future draft picks that have changed hands in a league
+  async getTradedPicks(leagueId) {
+    return this.fetchWithErrorHandling(`${this.baseUrl}/league/${leagueId}/traded_picks`);
+  }
+
   // Player endpoints
   async getAllPlayers(sport = null) {
     const sportParam = sport || appConfig.defaultSport;
-    return this.fetchWithErrorHandling(`${this.baseUrl}/players/${sportParam}`);
+    // The full player database is several megabytes, so allow it more time
+    return this.fetchWithErrorHandling(`${this.baseUrl}/players/${sportParam}`, { timeout: 60 * 1000 });
   }
 
   async getTrendingPlayers(sport = null, type = 'add', lookbackHours = 24, limit = 25) {
@@ -215,9 +125,19 @@ class SleeperApiService {
     return this.fetchWithErrorHandling(`${this.baseUrl}/state/nfl`);
   }
 
-  // Get NFL games for a specific week
-  async getNFLGames(season, week) {
-    return this.fetchWithErrorHandling(`${this.baseUrl}/schedule/nfl/${season}/${week}`);
+  // Get every NFL game in a season (undocumented full-season schedule endpoint, see appConfig.sleeper.scheduleUrl).
+  // The payload is fetched once per season and cached, so looking up several weeks costs one request.
+  async getNFLSchedule(season, seasonType = 'regular') {
+    return this.scheduleCache.get(`${seasonType}_${season}`, async () => {
+      const games = await this.fetchWithErrorHandling(`${this.scheduleUrl}/${seasonType}/${season}`);
+      return games || [];
+    });
+  }
+
+  // Get NFL games for a specific week, sliced from the season schedule
+  async getNFLGames(season, week, seasonType = 'regular') {
+    const games = await this.getNFLSchedule(season, seasonType);
+    return games.filter(game => game.week === parseInt(week));
   }
 
   // Avatar endpoints
@@ -230,25 +150,15 @@ class SleeperApiService {
 
   // Get current rate limit status
   getRateLimitStatus() {
-    const now = Date.now();
-    const timeSinceReset = now - this.lastResetTime;
-    const timeUntilReset = Math.max(0, 60000 - timeSinceReset);
-    
     return {
-      currentCount: this.requestCount,
-      maxCount: this.rateLimit,
-      remaining: this.rateLimit - this.requestCount,
-      timeUntilReset: timeUntilReset,
-      resetTime: new Date(this.lastResetTime + 60000),
-      pendingRequests: this.pendingRequests.size
+      ...httpClient.getHostStatus(this.host),
+      pendingRequests: httpClient.getStats().pendingRequests
     };
   }
 
-  // Clear rate limit counter (for testing or emergency reset)
+  // Clear rate limit counters (for testing or emergency reset)
   clearRateLimit() {
-    this.requestCount = 0;
-    this.lastResetTime = Date.now();
-    this.pendingRequests.clear();
+    httpClient.reset();
   }
 }
 
@@ -0,0 +1,23 @@
+import sleeperApi from './sleeperApi';
+import httpClient from './httpClient';
+
+describe('sleeperApi.getNFLGames', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    sleeperApi.scheduleCache.clear();
+  });
+
+  it('fetches the season schedule once and slices it by week', async () => {
+    const schedule = [
+      { week: 1, away: 'DAL', home: 'PHI' },
+      { week: 2, away: 'WAS', home: 'GB' },
+      { week: 2, away: 'CLE', home: 'BAL' }
+    ];
+    const getJson = jest.spyOn(httpClient, 'getJson').mockResolvedValue(schedule);
+
+    expect(await sleeperApi.getNFLGames(2025, 1)).toEqual([schedule[0]]);
+    expect(await sleeperApi.getNFLGames(2025, '2')).toEqual(schedule.slice(1));
+    expect(getJson).toHaveBeenCalledTimes(1);
+    expect(getJson.mock.calls[0][0]).toMatch(/\/regular\/2025$/);
+  });
+});
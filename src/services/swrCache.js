@@ -0,0 +1,101 @@
+// Stale-While-Revalidate Cache
+// Serves cached values immediately, refreshes stale entries in the background
+// and notifies subscribers when fresher data arrives
+
+class SwrCache {
+  // freshFor: serve without refetching; maxAge: past this, callers wait on the network
+  constructor(name, { freshFor, maxAge }) {
+    this.name = name;
+    this.freshFor = freshFor;
+    this.maxAge = Math.max(maxAge, freshFor);
+    this.entries = new Map();
+    this.pending = new Map();
+    this.listeners = new Set();
+  }
+
+  // Get a value, fetching it when missing or expired and revalidating it when stale
+  async get(key, fetcher) {
+    const entry = this.entries.get(key);
+    const age = entry ? Date.now() - entry.timestamp : Infinity;
+
+    if (age < this.freshFor) {
+      return entry.data;
+    }
+
+    if (age < this.maxAge) {
+      this.revalidate(key, fetcher).catch(error => {
+        console.warn(`Background refresh of ${this.name} "${key}" failed, keeping stale data:`, error);
+      });
+      return entry.data;
+    }
+
+    return this.revalidate(key, fetcher);
+  }
+
+  // Fetch a fresh value, sharing the request with any refresh already in flight
+  revalidate(key, fetcher) {
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const hadValue = this.entries.has(key);
+    const request = fetcher()
+      .then(data => {
+        this.set(key, data);
+        // Only refreshes of values a caller has already been served are worth announcing
+        if (hadValue) {
+          this.notify(key, data);
+        }
+        return data;
+      })
+      .finally(() => {
+        this.pending.delete(key);
+      });
+
+    this.pending.set(key, request);
+    return request;
+  }
+
+  set(key, data) {
+    this.entries.set(key, { data, timestamp: Date.now() });
+  }
+
+  // Get a cached value without fetching, regardless of age
+  peek(key) {
+    return this.entries.get(key)?.data ?? null;
+  }
+
+  // Listen for background refreshes; returns an unsubscribe function
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(key, data) {
+    this.listeners.forEach(listener => {
+      try {
+        listener({ cache: this.name, key, data });
+      } catch (error) {
+        console.error(`Error in ${this.name} cache listener:`, error);
+      }
+    });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+export default SwrCache;
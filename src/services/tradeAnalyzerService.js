@@ -0,0 +1,268 @@
+// Trade Analyzer Service
+// Evaluates trades by how each side's optimal lineup changes, scored with the league's own settings
+
+import fantasyDataService from './fantasyDataService';
+import lineupOptimizer from './lineupOptimizer';
+import appConfig from '../config/appConfig';
+
+class TradeAnalyzerService {
+  // Load every roster in a Sleeper league with players enhanced for this week and the rest of the season
+  async getLeagueTradeContext(userId, leagueId) {
+    const leagueRosters = await fantasyDataService.getEnhancedLeagueRosters(leagueId);
+
+    const myTeam = leagueRosters.teams.find(team => team.ownerId === userId);
+    if (!myTeam) {
+      throw new Error('User roster not found');
+    }
+
+    return {
+      ...leagueRosters,
+      myRosterId: myTeam.rosterId
+    };
+  }
+
+  // Projected points of the best legal lineup this week and summed over the rest of the season
+  getLineupValue(players, tradeContext) {
+    const { rosterPositions, byeTeams } = tradeContext;
+
+    const week = lineupOptimizer.optimize(players, rosterPositions, { byeTeams });
+    // Rest-of-season projections already span every future week, so this week's byes don't apply
+    const restOfSeason = lineupOptimizer.optimize(players, rosterPositions, {
+      getPoints: player => player.projections?.rest_of_year || 0
+    });
+
+    return {
+      week: week.totalPoints,
+      restOfSeason: restOfSeason.totalPoints
+    };
+  }
+
+  // Player counts at each startable position
+  getDepth(players, positions) {
+    const depth = {};
+    positions.forEach(position => {
+      depth[position] = players.filter(player => lineupOptimizer.getPlayerPositions(player).includes(position)).length;
+    });
+    return depth;
+  }
+
+  // Before/after numbers for one side of a trade
+  analyzeSide(team, outgoingIds, incomingPlayers, tradeContext, positions) {
+    const before = team.players;
+    const after = [
+      ...before.filter(player => !outgoingIds.includes(player.player_id)),
+      ...incomingPlayers
+    ];
+
+    const valueBefore = this.getLineupValue(before, tradeContext);
+    const valueAfter = this.getLineupValue(after, tradeContext);
+
+    return {
+      rosterId: team.rosterId,
+      teamName: team.teamName,
+      outgoing: before.filter(player => outgoingIds.includes(player.player_id)),
+      incoming: incomingPlayers,
+      weekBefore: valueBefore.week,
+      weekAfter: valueAfter.week,
+      weekChange: valueAfter.week - valueBefore.week,
+      restOfSeasonBefore: valueBefore.restOfSeason,
+      restOfSeasonAfter: valueAfter.restOfSeason,
+      restOfSeasonChange: valueAfter.restOfSeason - valueBefore.restOfSeason,
+      depthBefore: this.getDepth(before, positions),
+      depthAfter: this.getDepth(after, positions)
+    };
+  }
+
+  // Label a trade by how evenly it splits rest-of-season lineup gains between the two sides
+  getFairness(mySide, theirSide) {
+    const { fairMargin, lopsidedMargin } = appConfig.trades;
+    const difference = mySide.restOfSeasonChange - theirSide.restOfSeasonChange;
+    // Scale by the bigger lineup so the margin means the same thing in any scoring system
+    const scale = Math.max(mySide.restOfSeasonBefore, theirSide.restOfSeasonBefore, 1);
+    const margin = difference / scale;
+
+    let label = 'Fair';
+    if (Math.abs(margin) > lopsidedMargin) {
+      label = margin > 0 ? 'Lopsided in your favor' : `Lopsided for ${theirSide.teamName}`;
+    } else if (Math.abs(margin) > fairMargin) {
+      label = margin > 0 ? 'Favors you' : `Favors ${theirSide.teamName}`;
+    }
+
+    return {
+      label,
+      margin,
+      difference,
+      // 0 means one side takes everything, 50 is perfectly even, 100 is all yours
+      score: Math.round(Math.min(100, Math.max(0, 50 + (margin / lopsidedMargin) * 25)))
+    };
+  }
+
+  /**
+   * Analyze a trade between the user's team and another team in the league
+   * @param {Object} tradeContext - Result of getLeagueTradeContext
+   * @param {number} partnerRosterId - The other team's roster id
+   * @param {Array} givePlayerIds - Player ids leaving the user's roster
+   * @param {Array} receivePlayerIds - Player ids coming from the partner's roster
+   * @returns {Object} { mySide, theirSide, fairness, positions }
+   */
+  analyzeTrade(tradeContext, partnerRosterId, givePlayerIds, receivePlayerIds) {
+    const myTeam = tradeContext.teams.find(team => team.rosterId === tradeContext.myRosterId);
+    const partnerTeam = tradeContext.teams.find(team => team.rosterId === partnerRosterId);
+    if (!myTeam || !partnerTeam) {
+      throw new Error('Trade partner not found in league');
+    }
+
+    const positions = lineupOptimizer.getStartablePositions(tradeContext.rosterPositions);
+    const giving = myTeam.players.filter(player => givePlayerIds.includes(player.player_id));
+    const receiving = partnerTeam.players.filter(player => receivePlayerIds.includes(player.player_id));
+
+    const mySide = this.analyzeSide(myTeam, givePlayerIds, receiving, tradeContext, positions);
+    const theirSide = this.analyzeSide(partnerTeam, receivePlayerIds, giving, tradeContext, positions);
+
+    return {
+      mySide,
+      theirSide,
+      fairness: this.getFairness(mySide, theirSide),
+      positions
+    };
+  }
+
+  // Rest-of-season lineup profile for every team: starters, the weakest starter at each position,
+  // positions of need (below the league's typical starter) and tradeable bench surplus
+  getRosterProfiles(tradeContext, positions) {
+    const { surplusShare, candidatesPerTeam } = appConfig.trades;
+    const getRestOfSeason = player => player.projections?.rest_of_year || 0;
+
+    const profiles = tradeContext.teams.map(team => {
+      const lineup = lineupOptimizer.optimize(team.players, tradeContext.rosterPositions, { getPoints: getRestOfSeason });
+      const starterIds = new Set(lineup.slots.map(entry => entry.player?.player_id).filter(Boolean));
+
+      const weakestStarter = {};
+      positions.forEach(position => {
+        const values = lineup.slots
+          .filter(entry => entry.player && lineupOptimizer.getPlayerPositions(entry.player).includes(position))
+          .map(entry => entry.points);
+        weakestStarter[position] = values.length > 0 ? Math.min(...values) : 0;
+      });
+
+      return {
+        team,
+        weakestStarter,
+        bench: team.players.filter(player => !starterIds.has(player.player_id))
+      };
+    });
+
+    // The league's typical starter at a position is the median team's weakest starter there
+    const starterBar = {};
+    positions.forEach(position => {
+      const values = profiles.map(profile => profile.weakestStarter[position]).sort((a, b) => a - b);
+      starterBar[position] = values[Math.floor(values.length / 2)] || 0;
+    });
+
+    profiles.forEach(profile => {
+      profile.needs = positions.filter(position => profile.weakestStarter[position] < starterBar[position]);
+      profile.surplus = profile.bench
+        .filter(player => lineupOptimizer.getPlayerPositions(player).some(position => (
+          starterBar[position] > 0 && getRestOfSeason(player) >= starterBar[position] * surplusShare
+        )))
+        .sort((a, b) => getRestOfSeason(b) - getRestOfSeason(a))
+        .slice(0, candidatesPerTeam);
+    });
+
+    return profiles;
+  }
+
+  // One- and two-player packages from a pool of candidates
+  getPackages(players) {
+    const packages = players.map(player => [player]);
+    for (let i = 0; i < players.length; i++) {
+      for (let j = i + 1; j < players.length; j++) {
+        packages.push([players[i], players[j]]);
+      }
+    }
+    return packages;
+  }
+
+  /**
+   * Scan every roster in the league for trades that improve both teams' starting lineups
+   * @param {Object} tradeContext - Result of getLeagueTradeContext
+   * @returns {Array} Proposals ranked by the smaller of the two rest-of-season gains, each
+   *   { partnerRosterId, givePlayerIds, receivePlayerIds, ...analyzeTrade result }
+   */
+  findTrades(tradeContext) {
+    const positions = lineupOptimizer.getStartablePositions(tradeContext.rosterPositions);
+    const profiles = this.getRosterProfiles(tradeContext, positions);
+    const myProfile = profiles.find(profile => profile.team.rosterId === tradeContext.myRosterId);
+    if (!myProfile) return [];
+
+    const baselines = new Map();
+    profiles.forEach(profile => {
+      baselines.set(profile.team.rosterId, this.getLineupValue(profile.team.players, tradeContext));
+    });
+
+    // Rest-of-season lineup gain for a team swapping outgoing players for incoming ones
+    const getGain = (team, outgoing, incoming) => {
+      const outgoingIds = outgoing.map(player => player.player_id);
+      const after = [...team.players.filter(player => !outgoingIds.includes(player.player_id)), ...incoming];
+      return this.getLineupValue(after, tradeContext).restOfSeason - baselines.get(team.rosterId).restOfSeason;
+    };
+
+    const fillsNeed = (player, needs) => lineupOptimizer.getPlayerPositions(player).some(position => needs.includes(position));
+
+    const candidates = [];
+    profiles
+      .filter(profile => profile !== myProfile)
+      .forEach(partner => {
+        // My surplus at the partner's needs, for the partner's surplus at mine
+        const givePool = myProfile.surplus.filter(player => fillsNeed(player, partner.needs));
+        const receivePool = partner.surplus.filter(player => fillsNeed(player, myProfile.needs));
+        if (givePool.length === 0 || receivePool.length === 0) return;
+
+        this.getPackages(givePool).forEach(give => {
+          this.getPackages(receivePool).forEach(receive => {
+            // Two-for-two deals are rarely worth the roster churn
+            if (give.length > 1 && receive.length > 1) return;
+
+            const myGain = getGain(myProfile.team, give, receive);
+            if (myGain <= 0) return;
+            const theirGain = getGain(partner.team, receive, give);
+            if (theirGain <= 0) return;
+
+            candidates.push({ partner, give, receive, myGain, theirGain });
+          });
+        });
+      });
+
+    // Drop packages that do no better for either side than a smaller deal they contain
+    const ids = players => players.map(player => player.player_id);
+    const isPadded = candidate => candidates.some(other => (
+      other !== candidate &&
+      other.partner === candidate.partner &&
+      other.give.length + other.receive.length < candidate.give.length + candidate.receive.length &&
+      ids(other.give).every(id => ids(candidate.give).includes(id)) &&
+      ids(other.receive).every(id => ids(candidate.receive).includes(id)) &&
+      other.myGain >= candidate.myGain &&
+      other.theirGain >= candidate.theirGain
+    ));
+
+    return candidates
+      .filter(candidate => !isPadded(candidate))
+      .sort((a, b) => Math.min(b.myGain, b.theirGain) - Math.min(a.myGain, a.theirGain))
+      .slice(0, appConfig.trades.maxProposals)
+      .map(candidate => {
+        const partnerRosterId = candidate.partner.team.rosterId;
+        const givePlayerIds = ids(candidate.give);
+        const receivePlayerIds = ids(candidate.receive);
+        return {
+          partnerRosterId,
+          givePlayerIds,
+          receivePlayerIds,
+          ...this.analyzeTrade(tradeContext, partnerRosterId, givePlayerIds, receivePlayerIds)
+        };
+      });
+  }
+}
+
+// Create and export a singleton instance
+const tradeAnalyzerService = new TradeAnalyzerService();
+export default tradeAnalyzerService;
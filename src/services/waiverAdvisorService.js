@@ -0,0 +1,119 @@
+// Waiver Advisor Service
+// Ranks free agents by the value they add over the weakest rostered player they would replace
+
+import fantasyDataService from './fantasyDataService';
+import lineupOptimizer from './lineupOptimizer';
+import faabService from './faabService';
+import appConfig from '../config/appConfig';
+
+class WaiverAdvisorService {
+  // Blend this week's projection with the weekly average of the rest-of-season projection
+  getPlayerValue(player, restOfYearWeeks) {
+    const weekPoints = player.projections?.projected_points || 0;
+    const restOfSeasonPerWeek = restOfYearWeeks > 0
+      ? (player.projections?.rest_of_year || 0) / restOfYearWeeks
+      : weekPoints;
+    const weekWeight = appConfig.waivers.weekWeight;
+
+    return weekWeight * weekPoints + (1 - weekWeight) * restOfSeasonPerWeek;
+  }
+
+  // Get ranked add/drop pairs for the user's roster in one Sleeper league
+  async getRecommendations(userId, leagueId) {
+    const lineup = await fantasyDataService.getEnhancedLineups(userId, leagueId, 'sleeper');
+    // getEnhancedLineups falls back to the plain lineup when projections fail; without the league's
+    // roster positions there is nothing to compare free agents against
+    if (!lineup.rosterPositions) {
+      throw new Error(`Lineup projections unavailable for league ${leagueId}`);
+    }
+    const restOfYearWeeks = lineup.metadata?.dataQuality?.restOfYearWeeks || 0;
+    const positions = lineupOptimizer.getStartablePositions(lineup.rosterPositions);
+
+    const [freeAgentsByPosition, faab] = await Promise.all([
+      fantasyDataService.getEnhancedFreeAgentsByPosition(
+        leagueId,
+        positions,
+        appConfig.waivers.freeAgentsPerPosition
+      ),
+      // FAAB data is a nice-to-have; recommendations still work without it
+      faabService.getLeagueFaab(leagueId).catch(error => {
+        console.warn(`Failed to load FAAB data for league ${leagueId}:`, error);
+        return null;
+      })
+    ]);
+    const rosterId = lineup.roster?.roster_id;
+
+    // IR players don't take a roster spot, so they're never the drop
+    const rostered = [...(lineup.starters || []), ...(lineup.bench || [])].map(player => ({
+      player,
+      value: this.getPlayerValue(player, restOfYearWeeks)
+    }));
+    const weakestBench = (lineup.bench || [])
+      .map(player => rostered.find(entry => entry.player.player_id === player.player_id))
+      .sort((a, b) => a.value - b.value)[0];
+
+    const bestByPlayer = new Map();
+    positions.forEach(position => {
+      // Drop the weakest player at the position; fall back to the weakest bench player
+      const drop = rostered
+        .filter(entry => lineupOptimizer.getPlayerPositions(entry.player).includes(position))
+        .sort((a, b) => a.value - b.value)[0] || weakestBench;
+      if (!drop) return;
+
+      (freeAgentsByPosition[position] || []).forEach(freeAgent => {
+        const addValue = this.getPlayerValue(freeAgent, restOfYearWeeks);
+        const netGain = addValue - drop.value;
+        if (netGain <= 0) return;
+
+        const existing = bestByPlayer.get(freeAgent.player_id);
+        if (existing && existing.netGain >= netGain) return;
+
+        bestByPlayer.set(freeAgent.player_id, {
+          position,
+          add: freeAgent,
+          drop: drop.player,
+          addValue,
+          dropValue: drop.value,
+          netGain,
+          weekGain: (freeAgent.projections?.projected_points || 0) - (drop.player.projections?.projected_points || 0),
+          restOfSeasonGain: (freeAgent.projections?.rest_of_year || 0) - (drop.player.projections?.rest_of_year || 0)
+        });
+      });
+    });
+
+    const recommendations = Array.from(bestByPlayer.values())
+      .sort((a, b) => b.netGain - a.netGain)
+      .slice(0, appConfig.waivers.maxRecommendations)
+      .map(recommendation => ({
+        ...recommendation,
+        suggestedBid: faabService.suggestBid(faab, recommendation.add, rosterId)
+      }));
+
+    return {
+      leagueId,
+      rosterId,
+      week: lineup.metadata?.week,
+      faab,
+      recommendations
+    };
+  }
+
+  // Get recommendations for each of the user's Sleeper leagues, one league at a time
+  async getRecommendationsForLeagues(userId, teams) {
+    const results = [];
+    for (const team of teams.filter(t => t.platform === 'sleeper')) {
+      try {
+        const result = await this.getRecommendations(userId, team.leagueId);
+        results.push({ team, ...result, error: null });
+      } catch (error) {
+        console.error(`Error building waiver recommendations for league ${team.leagueId}:`, error);
+        results.push({ team, leagueId: team.leagueId, recommendations: [], error: 'Failed to load recommendations' });
+      }
+    }
+    return results;
+  }
+}
+
+// Create and export a singleton instance
+const waiverAdvisorService = new WaiverAdvisorService();
+export default waiverAdvisorService;
@@ -0,0 +1,13 @@
+// Playoff Odds Worker
+// Runs the playoff simulation off the main thread so the UI stays responsive.
+// onmessage and postMessage are the worker's own global scope handlers.
+
+import playoffSimulator from '../services/playoffSimulator';
+
+onmessage = ({ data }) => {
+  try {
+    postMessage({ odds: playoffSimulator.simulate(data) });
+  } catch (error) {
+    postMessage({ error: error.message });
+  }
+};